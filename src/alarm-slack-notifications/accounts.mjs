@@ -0,0 +1,18 @@
+import { ConfiguredRetryStrategy } from "@smithy/util-retry";
+import { crossAccountProvider } from "./credentials.mjs";
+
+/**
+ * Clients for the accounts where alarms originate, shared by everything in
+ * this function that reads from those accounts, so that each account's role
+ * is only assumed once.
+ */
+export const accounts = crossAccountProvider(
+  process.env.CROSS_ACCOUNT_CLOUDWATCH_ALARM_IAM_ROLE_NAME,
+  "notifications_lambda_reader",
+  {
+    retryStrategy: new ConfiguredRetryStrategy(
+      10,
+      (attempt) => 100 + attempt * 1000,
+    ),
+  },
+);
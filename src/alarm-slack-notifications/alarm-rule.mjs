@@ -0,0 +1,329 @@
+/**
+ * Parses the AlarmRule expression of a composite alarm, e.g.,
+ * `(ALARM("Foo") OR ALARM(Bar)) AND NOT OK("Baz")` or
+ * `AT_LEAST(2, ALARM, ("Foo", "Bar", "Baz"))`, into a small syntax tree that
+ * can be inspected and rendered.
+ *
+ * https://docs.aws.amazon.com/AmazonCloudWatch/latest/APIReference/API_PutCompositeAlarm.html
+ */
+
+/**
+ * @typedef {Object} AlarmRuleStateNode
+ * @property {'state'} type
+ * @property {'ALARM'|'OK'|'INSUFFICIENT_DATA'} state
+ * @property {String} alarm The alarm name or ARN, as written in the rule
+ */
+
+/**
+ * @typedef {Object} AlarmRuleAtLeastNode
+ * @property {'atLeast'} type
+ * @property {String} threshold A number of alarms, or a percentage of them, e.g., 2 or 50%
+ * @property {'ALARM'|'OK'|'INSUFFICIENT_DATA'} state
+ * @property {Boolean} negated Alarms are counted when they're NOT in the state
+ * @property {String[]} alarms The alarm names or ARNs, as written in the rule
+ */
+
+/**
+ * @typedef {Object} AlarmRuleConstantNode
+ * @property {'constant'} type
+ * @property {Boolean} value
+ */
+
+/**
+ * @typedef {Object} AlarmRuleNotNode
+ * @property {'not'} type
+ * @property {AlarmRuleNode} operand
+ */
+
+/**
+ * @typedef {Object} AlarmRuleLogicalNode
+ * @property {'and'|'or'} type
+ * @property {AlarmRuleNode[]} operands
+ */
+
+/** @typedef {AlarmRuleStateNode|AlarmRuleAtLeastNode|AlarmRuleConstantNode|AlarmRuleNotNode|AlarmRuleLogicalNode} AlarmRuleNode */
+
+const STATES = ["ALARM", "OK", "INSUFFICIENT_DATA"];
+
+/**
+ * Splits an AlarmRule expression into tokens. Quoted alarm names are returned
+ * as `name` tokens; everything else is a `word` or a `punct` token.
+ * @param {String} rule
+ * @returns {{type: 'name'|'word'|'punct', value: String}[]}
+ */
+function tokenize(rule) {
+  /** @type {{type: 'name'|'word'|'punct', value: String}[]} */
+  const tokens = [];
+  let i = 0;
+
+  while (i < rule.length) {
+    const c = rule[i];
+
+    if (/\s/.test(c)) {
+      i += 1;
+    } else if (c === "(" || c === ")" || c === ",") {
+      tokens.push({ type: "punct", value: c });
+      i += 1;
+    } else if (c === '"') {
+      let value = "";
+      i += 1;
+
+      while (i < rule.length && rule[i] !== '"') {
+        // Allow for escaped quotes within alarm names
+        if (rule[i] === "\\" && i + 1 < rule.length) {
+          i += 1;
+        }
+
+        value = value.concat(rule[i]);
+        i += 1;
+      }
+
+      if (i >= rule.length) {
+        throw new Error("Unterminated alarm name in AlarmRule");
+      }
+
+      tokens.push({ type: "name", value });
+      i += 1;
+    } else {
+      let value = "";
+
+      while (i < rule.length && !/[\s(),"]/.test(rule[i])) {
+        value = value.concat(rule[i]);
+        i += 1;
+      }
+
+      tokens.push({ type: "word", value });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Returns the syntax tree for an AlarmRule expression. Operator precedence is
+ * NOT, then AND, then OR.
+ * @param {String} rule
+ * @returns {AlarmRuleNode}
+ */
+export function parse(rule) {
+  const tokens = tokenize(rule);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => {
+    const t = tokens[pos];
+    pos += 1;
+    return t;
+  };
+  const expect = (value) => {
+    const t = next();
+    if (!t || t.value !== value) {
+      throw new Error(`Expected "${value}" in AlarmRule at token ${pos}`);
+    }
+  };
+  const isWord = (t, value) => t?.type === "word" && t.value === value;
+  const isPunct = (t, value) => t?.type === "punct" && t.value === value;
+
+  let orExpr;
+
+  const primary = () => {
+    const t = next();
+
+    if (!t) {
+      throw new Error("Unexpected end of AlarmRule");
+    }
+
+    if (t.type === "punct" && t.value === "(") {
+      const node = orExpr();
+      expect(")");
+      return node;
+    }
+
+    if (isWord(t, "TRUE") || isWord(t, "FALSE")) {
+      return { type: "constant", value: t.value === "TRUE" };
+    }
+
+    if (t.type === "word" && STATES.includes(t.value)) {
+      expect("(");
+      const name = next();
+      if (!name || name.type === "punct") {
+        throw new Error(`Expected an alarm name after ${t.value}(`);
+      }
+      expect(")");
+      return { type: "state", state: t.value, alarm: name.value };
+    }
+
+    // e.g., AT_LEAST(50%, NOT OK, ("Foo", "Bar"))
+    if (isWord(t, "AT_LEAST")) {
+      expect("(");
+
+      const threshold = next();
+      if (threshold?.type !== "word" || !/^\d+%?$/.test(threshold.value)) {
+        throw new Error("Expected a count or percentage after AT_LEAST(");
+      }
+      expect(",");
+
+      const negated = isWord(peek(), "NOT");
+      if (negated) {
+        next();
+      }
+
+      const state = next();
+      if (state?.type !== "word" || !STATES.includes(state.value)) {
+        throw new Error("Expected a state in AT_LEAST");
+      }
+      expect(",");
+      expect("(");
+
+      const alarms = [];
+      do {
+        const name = next();
+        if (!name || name.type === "punct") {
+          throw new Error("Expected an alarm name in AT_LEAST");
+        }
+        alarms.push(name.value);
+      } while (isPunct(peek(), ",") && next());
+
+      expect(")");
+      expect(")");
+
+      return {
+        type: "atLeast",
+        threshold: threshold.value,
+        state: state.value,
+        negated,
+        alarms,
+      };
+    }
+
+    throw new Error(`Unexpected "${t.value}" in AlarmRule`);
+  };
+
+  const notExpr = () => {
+    if (isWord(peek(), "NOT")) {
+      next();
+      return { type: "not", operand: notExpr() };
+    }
+
+    return primary();
+  };
+
+  const andExpr = () => {
+    const operands = [notExpr()];
+
+    while (isWord(peek(), "AND")) {
+      next();
+      operands.push(notExpr());
+    }
+
+    return operands.length === 1 ? operands[0] : { type: "and", operands };
+  };
+
+  orExpr = () => {
+    const operands = [andExpr()];
+
+    while (isWord(peek(), "OR")) {
+      next();
+      operands.push(andExpr());
+    }
+
+    return operands.length === 1 ? operands[0] : { type: "or", operands };
+  };
+
+  const tree = orExpr();
+
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected "${tokens[pos].value}" in AlarmRule`);
+  }
+
+  return tree;
+}
+
+/**
+ * Returns the alarm name for a value used in an AlarmRule, which may be
+ * either an alarm name or an alarm ARN
+ * e.g., arn:aws:cloudwatch:us-east-1:123456789012:alarm:Foo => Foo
+ * @param {String} nameOrArn
+ * @returns {String}
+ */
+export function alarmName(nameOrArn) {
+  const match = nameOrArn.match(
+    /^arn:[^:]+:cloudwatch:[^:]*:[^:]*:alarm:(.+)$/,
+  );
+  return match ? match[1] : nameOrArn;
+}
+
+/**
+ * Returns the unique list of alarm names referenced anywhere in the rule
+ * @param {AlarmRuleNode} node
+ * @returns {String[]}
+ */
+export function alarmNames(node) {
+  const names = [];
+
+  const walk = (n) => {
+    if (n.type === "state") {
+      names.push(alarmName(n.alarm));
+    } else if (n.type === "atLeast") {
+      names.push(...n.alarms.map(alarmName));
+    } else if (n.type === "not") {
+      walk(n.operand);
+    } else if (n.type === "and" || n.type === "or") {
+      n.operands.forEach(walk);
+    }
+  };
+
+  walk(node);
+
+  return [...new Set(names)];
+}
+
+/**
+ * Renders the syntax tree back into a compact, readable expression. ARNs are
+ * shortened to alarm names, and only necessary parentheses are included.
+ * @param {AlarmRuleNode} node
+ * @param {function(String): String} [label] Formats each alarm name
+ * @returns {String}
+ */
+export function format(node, label = (n) => `"${n}"`) {
+  const wrap = (child, parentType) => {
+    const str = format(child, label);
+
+    // OR inside AND needs parentheses; anything logical inside NOT does too
+    if (
+      (parentType === "and" && child.type === "or") ||
+      (parentType === "not" && (child.type === "and" || child.type === "or"))
+    ) {
+      return `(${str})`;
+    }
+
+    return str;
+  };
+
+  switch (node.type) {
+    case "constant":
+      return node.value ? "TRUE" : "FALSE";
+    case "state":
+      return `${node.state}(${label(alarmName(node.alarm))})`;
+    case "atLeast":
+      return `AT_LEAST(${node.threshold}, ${node.negated ? "NOT " : ""}${node.state}, (${node.alarms.map((a) => label(alarmName(a))).join(", ")}))`;
+    case "not":
+      return `NOT ${wrap(node.operand, "not")}`;
+    case "and":
+      return node.operands.map((o) => wrap(o, "and")).join(" AND ");
+    case "or":
+      return node.operands.map((o) => wrap(o, "or")).join(" OR ");
+    default:
+      return "";
+  }
+}
+
+/**
+ * Returns an alarm name that's safe to include in Slack mrkdwn, including as
+ * the text of a link
+ * @param {String} name
+ * @returns {String}
+ */
+export function escapeName(name) {
+  return name.replace(/>/g, "&gt;").replace(/</g, "&lt;");
+}
@@ -0,0 +1,113 @@
+/** @typedef {import('../index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
+/** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} DescribeAlarmsOutput */
+/** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmHistoryOutput} DescribeAlarmHistoryOutput */
+/** @typedef {import('../log-groups.mjs').AlarmLogGroups} AlarmLogGroups */
+/** @typedef {import('@aws-sdk/client-cloudwatch').CloudWatchClient} CloudWatchClient */
+
+import { bandDatapoints, formatBandDatapoints } from "../anomaly-band.mjs";
+import { band } from "../operators.mjs";
+import { bandWidth, queryPeriod, returnDataQuery } from "../queries.mjs";
+import { evaluationSummary, last24Hours, started } from "./single-metric.mjs";
+
+/**
+ * @param {EventBridgeCloudWatchAlarmsEvent} _event
+ * @param {DescribeAlarmsOutput} desc
+ * @returns {String[]}
+ */
+function cause(_event, desc) {
+  const alarm = desc.MetricAlarms[0];
+  const query = returnDataQuery(alarm);
+
+  const period = queryPeriod(alarm);
+  const evaluationPeriods = alarm.EvaluationPeriods;
+  const datapointsToAlarm = alarm.DatapointsToAlarm || evaluationPeriods;
+  const evaluationInterval = period * evaluationPeriods;
+
+  const metric = query.MetricStat
+    ? `${query.MetricStat.Stat} of \`${query.MetricStat.Metric.MetricName}\` metric`
+    : `\`${query.Label || query.Expression}\``;
+
+  return [
+    [
+      "*Cause:*",
+
+      // E.g., Average of `Latency` metric
+      metric,
+
+      // E.g., above the expected band (width 2)
+      `was ${band(alarm.ComparisonOperator)} (width ${bandWidth(alarm)})`,
+
+      // A human-readable summary of the interval evaluation
+      evaluationSummary(
+        period,
+        evaluationPeriods,
+        datapointsToAlarm,
+        evaluationInterval,
+      ),
+    ]
+      .join(" ")
+      .trim(),
+  ];
+}
+
+/**
+ * Returns the datapoints that were evaluated and caused the alarm to move to
+ * an ALARM state, each next to the bounds of the band at that time
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} desc
+ * @param {CloudWatchClient} cloudWatchClient
+ * @returns {Promise<String[]>}
+ */
+async function datapoints(event, desc, cloudWatchClient) {
+  if (!event.detail.state.reasonData || !cloudWatchClient) {
+    return [];
+  }
+
+  const data = JSON.parse(event.detail.state.reasonData);
+  const timestamps = (data?.evaluatedDatapoints || [])
+    .map((p) => Date.parse(p.timestamp))
+    .filter((t) => Number.isFinite(t));
+
+  if (!timestamps.length) {
+    return [];
+  }
+
+  const alarm = desc.MetricAlarms[0];
+  const period = queryPeriod(alarm);
+
+  const points = await bandDatapoints(
+    cloudWatchClient,
+    alarm,
+    new Date(Math.min(...timestamps)),
+    new Date(Math.max(...timestamps) + period * 1000),
+  );
+
+  if (!points.length) {
+    return [];
+  }
+
+  return [`*Datapoints:* ${formatBandDatapoints(points)}`];
+}
+
+/**
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} desc
+ * @param {DescribeAlarmHistoryOutput} history
+ * @param {AlarmLogGroups} groups
+ * @param {CloudWatchClient} cloudWatchClient
+ * @returns {Promise<String[]>}
+ */
+export async function detailLines(
+  event,
+  desc,
+  history,
+  groups,
+  cloudWatchClient,
+) {
+  return [
+    ...cause(event, desc),
+    ...(await started(event, desc, history, groups)),
+    ...(await datapoints(event, desc, cloudWatchClient)),
+    ...last24Hours(history),
+  ];
+}
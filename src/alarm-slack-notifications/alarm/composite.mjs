@@ -0,0 +1,194 @@
+/** @typedef {import('../index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
+/** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} DescribeAlarmsOutput */
+/** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmHistoryOutput} DescribeAlarmHistoryOutput */
+/** @typedef {import('../log-groups.mjs').AlarmLogGroups} AlarmLogGroups */
+/** @typedef {import('@aws-sdk/client-cloudwatch').CloudWatchClient} CloudWatchClient */
+/** @typedef {import('@aws-sdk/client-cloudwatch').MetricAlarm} MetricAlarm */
+/** @typedef {import('@aws-sdk/client-cloudwatch').CompositeAlarm} CompositeAlarm */
+
+/**
+ * @callback ChildDetailLines
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} desc
+ * @param {DescribeAlarmHistoryOutput} history
+ * @param {AlarmLogGroups} groups
+ * @param {CloudWatchClient} cloudWatchClient
+ * @returns {Promise<String[]>}
+ */
+
+import { ListTagsForResourceCommand } from "@aws-sdk/client-cloudwatch";
+import { escapeName, format, parse } from "../alarm-rule.mjs";
+import { childEvent, describeChildren } from "../composite-children.mjs";
+import { logGroups } from "../log-groups.mjs";
+import { alarmConsoleUrl, metricsConsoleUrl } from "../urls.mjs";
+import { last24Hours } from "./single-metric.mjs";
+
+// The number of child alarms that get full details in the message. Others in
+// ALARM are listed by name only, to stay within Slack's block size limits.
+const DETAILED_CHILDREN = 4;
+
+/**
+ * Returns the rendered AlarmRule expression of the composite alarm
+ * @param {CompositeAlarm} composite
+ * @returns {String[]}
+ */
+export function rule(composite) {
+  try {
+    return [`*Rule:* \`${format(parse(composite.AlarmRule))}\``];
+  } catch (error) {
+    console.warn(error);
+    return [`*Rule:* \`${composite.AlarmRule}\``];
+  }
+}
+
+/**
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} desc
+ * @param {DescribeAlarmsOutput} children
+ * @returns {String[]}
+ */
+function started(event, desc, children) {
+  const startTime = Date.parse(event.detail.state.timestamp);
+  const difSec = (Date.now() - startTime) / 1000;
+
+  let duration = Math.round(difSec);
+  let durationUnit = "seconds";
+
+  if (difSec >= 86400) {
+    duration = Math.round(difSec / 86400);
+    durationUnit = "days";
+  } else if (difSec >= 3600) {
+    duration = Math.round(difSec / 3600);
+    durationUnit = "hours";
+  } else if (difSec >= 60) {
+    duration = Math.round(difSec / 60);
+    durationUnit = "minutes";
+  }
+
+  const metricsUrl = metricsConsoleUrl(event, desc, undefined, children);
+
+  return [
+    `*Started:* ${duration} ${durationUnit} ago | *CloudWatch:* <${metricsUrl}|Metrics>`,
+  ];
+}
+
+/**
+ * Returns the lines describing a single child alarm that is in ALARM. Metric
+ * alarm children are rendered with the same details as a standalone alarm;
+ * composite children include their own rule.
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {MetricAlarm|CompositeAlarm} child
+ * @param {CloudWatchClient} cloudWatchClient
+ * @param {ChildDetailLines} childDetailLines
+ * @returns {Promise<String[]>}
+ */
+async function childLines(event, child, cloudWatchClient, childDetailLines) {
+  const cEvent = childEvent(event, child);
+  const lines = [
+    `• *<${alarmConsoleUrl(cEvent)}|${escapeName(child.AlarmName)}>*`,
+  ];
+
+  if ("AlarmRule" in child) {
+    lines.push(...rule(/** @type {CompositeAlarm} */ (child)));
+  } else {
+    const childDesc = { MetricAlarms: [child], CompositeAlarms: [] };
+    const tagList = await cloudWatchClient.send(
+      new ListTagsForResourceCommand({ ResourceARN: child.AlarmArn }),
+    );
+
+    lines.push(
+      ...(await childDetailLines(
+        cEvent,
+        childDesc,
+        { AlarmHistoryItems: [] },
+        await logGroups(cEvent, childDesc, tagList),
+        cloudWatchClient,
+      )),
+    );
+  }
+
+  // Child details are quoted beneath the linked child name
+  return lines.map((l, i) => (i === 0 ? l : `> ${l}`));
+}
+
+/**
+ * Returns the child alarms that are currently in ALARM, with details for the
+ * first few
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} children
+ * @param {CloudWatchClient} cloudWatchClient
+ * @param {ChildDetailLines} childDetailLines
+ * @returns {Promise<String[]>}
+ */
+async function alarmingChildren(
+  event,
+  children,
+  cloudWatchClient,
+  childDetailLines,
+) {
+  const all = [...children.CompositeAlarms, ...children.MetricAlarms];
+  const alarming = all.filter((a) => a.StateValue === "ALARM");
+
+  if (!alarming.length) {
+    return [];
+  }
+
+  const lines = [
+    `*Child alarms in ALARM:* ${alarming.length} of ${all.length}`,
+  ];
+
+  const detailed = alarming.slice(0, DETAILED_CHILDREN);
+  const others = alarming.slice(DETAILED_CHILDREN);
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const child of detailed) {
+    lines.push(
+      // eslint-disable-next-line no-await-in-loop
+      ...(await childLines(event, child, cloudWatchClient, childDetailLines)),
+    );
+  }
+
+  if (others.length) {
+    lines.push(
+      `• _Also in ALARM:_ ${others
+        .map(
+          (c) =>
+            `<${alarmConsoleUrl(childEvent(event, c))}|${escapeName(c.AlarmName)}>`,
+        )
+        .join(", ")}`,
+    );
+  }
+
+  return lines;
+}
+
+/**
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} desc
+ * @param {DescribeAlarmHistoryOutput} history
+ * @param {CloudWatchClient} cloudWatchClient
+ * @param {ChildDetailLines} childDetailLines Renders metric child alarms
+ * @returns {Promise<String[]>}
+ */
+export async function detailLines(
+  event,
+  desc,
+  history,
+  cloudWatchClient,
+  childDetailLines,
+) {
+  const composite = desc.CompositeAlarms[0];
+  const children = await describeChildren(cloudWatchClient, composite);
+
+  return [
+    ...rule(composite),
+    ...started(event, desc, children),
+    ...last24Hours(history),
+    ...(await alarmingChildren(
+      event,
+      children,
+      cloudWatchClient,
+      childDetailLines,
+    )),
+  ];
+}
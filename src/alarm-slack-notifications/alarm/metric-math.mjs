@@ -0,0 +1,108 @@
+/** @typedef {import('../index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
+/** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} DescribeAlarmsOutput */
+/** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmHistoryOutput} DescribeAlarmHistoryOutput */
+/** @typedef {import('../log-groups.mjs').AlarmLogGroups} AlarmLogGroups */
+/** @typedef {import('@aws-sdk/client-cloudwatch').MetricAlarm} MetricAlarm */
+/** @typedef {import('@aws-sdk/client-cloudwatch').MetricDataQuery} MetricDataQuery */
+
+import { comparison } from "../operators.mjs";
+import { queryPeriod, returnDataQuery } from "../queries.mjs";
+import {
+  datapoints,
+  evaluationSummary,
+  last24Hours,
+  started,
+} from "./single-metric.mjs";
+
+/**
+ * Returns a short description of a metric data query, e.g.,
+ * Sum of `Errors` (FunctionName: my-function)
+ * @param {MetricDataQuery} query
+ * @returns {String}
+ */
+function queryDescription(query) {
+  if (query.Expression) {
+    return `\`${query.Expression}\``;
+  }
+
+  const metric = query.MetricStat.Metric;
+  const dimensions = (metric.Dimensions || [])
+    .map((d) => `${d.Name}: ${d.Value}`)
+    .join(", ");
+
+  return [
+    query.MetricStat.Stat,
+    `of \`${metric.MetricName}\``,
+    ...(dimensions ? [`(${dimensions})`] : []),
+  ].join(" ");
+}
+
+/**
+ * @param {EventBridgeCloudWatchAlarmsEvent} _event
+ * @param {DescribeAlarmsOutput} desc
+ * @returns {String[]}
+ */
+function cause(_event, desc) {
+  const alarm = desc.MetricAlarms[0];
+  const query = returnDataQuery(alarm);
+
+  const period = queryPeriod(alarm);
+  const evaluationPeriods = alarm.EvaluationPeriods;
+  const datapointsToAlarm = alarm.DatapointsToAlarm || evaluationPeriods;
+  const evaluationInterval = period * evaluationPeriods;
+
+  const lines = [
+    [
+      "*Cause:*",
+
+      // E.g., `Error rate` (`100*(m2/m1)`) or Sum of `Errors`
+      query.Label
+        ? `\`${query.Label}\` (${queryDescription(query)})`
+        : queryDescription(query),
+
+      "was",
+
+      // E.g., ≥ 150
+      `\`${comparison(alarm.ComparisonOperator)} ${alarm.Threshold}\``,
+
+      // A human-readable summary of the interval evaluation
+      evaluationSummary(
+        period,
+        evaluationPeriods,
+        datapointsToAlarm,
+        evaluationInterval,
+      ),
+    ]
+      .join(" ")
+      .trim(),
+  ];
+
+  // List the other queries, which are the inputs to the expression
+  const inputs = alarm.Metrics.filter((m) => m.Id !== query.Id);
+
+  if (inputs.length) {
+    lines.push(
+      `*Inputs:* ${inputs
+        .map((m) => `\`${m.Id}\` = ${queryDescription(m)}`)
+        .join(" • ")}`,
+    );
+  }
+
+  return lines;
+}
+
+/**
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} desc
+ * @param {DescribeAlarmHistoryOutput} history
+ * @param {AlarmLogGroups} groups
+ * @returns {Promise<String[]>}
+ */
+export async function detailLines(event, desc, history, groups) {
+  return [
+    ...cause(event, desc),
+    ...(await started(event, desc, history, groups)),
+    ...datapoints(event, desc),
+    ...last24Hours(history),
+  ];
+}
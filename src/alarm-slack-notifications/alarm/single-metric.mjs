@@ -1,7 +1,7 @@
 /** @typedef {import('../index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
 /** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} DescribeAlarmsOutput */
 /** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmHistoryOutput} DescribeAlarmHistoryOutput */
-/** @typedef {import('@aws-sdk/client-cloudwatch').ListTagsForResourceOutput} ListTagsForResourceOutput */
+/** @typedef {import('../log-groups.mjs').AlarmLogGroups} AlarmLogGroups */
 /** @typedef {import('@aws-sdk/client-cloudwatch').MetricAlarm} MetricAlarm */
 
 import { comparison } from "../operators.mjs";
@@ -28,10 +28,10 @@ function precision(a) {
  * @param {EventBridgeCloudWatchAlarmsEvent} event
  * @param {DescribeAlarmsOutput} desc
  * @param {DescribeAlarmHistoryOutput} history
- * @param {ListTagsForResourceOutput} tagList
- * * @returns {Promise<String[]>}
+ * @param {AlarmLogGroups} groups
+ * @returns {Promise<String[]>}
  */
-async function started(event, desc, history, tagList) {
+export async function started(event, desc, history, groups) {
   if (event.detail.state.reasonData) {
     const data = JSON.parse(event.detail.state.reasonData);
 
@@ -66,7 +66,7 @@ async function started(event, desc, history, tagList) {
 
       let console = `*CloudWatch:* <${metricsUrl}| Metrics>`;
 
-      const logsUrl = await logsConsoleUrl(event, desc, tagList);
+      const logsUrl = logsConsoleUrl(event, groups);
       if (logsUrl) {
         console = console.concat(` • <${logsUrl}|Logs>`);
       }
@@ -85,7 +85,7 @@ async function started(event, desc, history, tagList) {
  * @param {DescribeAlarmsOutput} desc
  * @returns {String[]}
  */
-function datapoints(event, desc) {
+export function datapoints(event, desc) {
   if (event.detail.state.reasonData) {
     const data = JSON.parse(event.detail.state.reasonData);
 
@@ -142,7 +142,7 @@ function datapoints(event, desc) {
  * @param {DescribeAlarmHistoryOutput} history
  * @returns {String[]}
  */
-function last24Hours(history) {
+export function last24Hours(history) {
   if (history?.AlarmHistoryItems.length) {
     const alarms = history.AlarmHistoryItems.filter((i) =>
       i.HistorySummary.includes("to ALARM"),
@@ -175,7 +175,7 @@ function alarmStatistic(alarm) {
  * @param {Number} evaluationInterval
  * @returns {String}
  */
-function evaluationSummary(
+export function evaluationSummary(
   periodInSeconds,
   evaluationPeriods,
   datapointsToAlarm,
@@ -256,13 +256,13 @@ function cause(_event, desc, _history) {
  * @param {EventBridgeCloudWatchAlarmsEvent} event
  * @param {DescribeAlarmsOutput} desc
  * @param {DescribeAlarmHistoryOutput} history
- * @param {ListTagsForResourceOutput} tagList
+ * @param {AlarmLogGroups} groups
  * @returns {Promise<String[]>}
  */
-export async function detailLines(event, desc, history, tagList) {
+export async function detailLines(event, desc, history, groups) {
   return [
     ...cause(event, desc, history),
-    ...(await started(event, desc, history, tagList)),
+    ...(await started(event, desc, history, groups)),
     ...datapoints(event, desc),
     ...last24Hours(history),
   ];
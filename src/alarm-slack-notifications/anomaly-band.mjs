@@ -0,0 +1,96 @@
+/** @typedef {import('@aws-sdk/client-cloudwatch').MetricAlarm} MetricAlarm */
+/** @typedef {import('@aws-sdk/client-cloudwatch').CloudWatchClient} CloudWatchClient */
+
+/**
+ * @typedef {Object} BandDatapoint
+ * @property {Date} timestamp
+ * @property {Number} value
+ * @property {Number} [lower]
+ * @property {Number} [upper]
+ */
+
+import { GetMetricDataCommand, ScanBy } from "@aws-sdk/client-cloudwatch";
+import { bandQuery, metricDataQueries, returnDataQuery } from "./queries.mjs";
+
+/**
+ * Returns the values of an anomaly detection alarm's metric for a time range,
+ * along with the lower and upper bounds of the band at each timestamp
+ * @param {CloudWatchClient} cloudWatchClient
+ * @param {MetricAlarm} alarm
+ * @param {Date} startTime
+ * @param {Date} endTime
+ * @returns {Promise<BandDatapoint[]>}
+ */
+export async function bandDatapoints(
+  cloudWatchClient,
+  alarm,
+  startTime,
+  endTime,
+) {
+  const metricId = returnDataQuery(alarm).Id;
+  const bandId = bandQuery(alarm).Id;
+
+  const data = await cloudWatchClient.send(
+    new GetMetricDataCommand({
+      StartTime: startTime,
+      EndTime: endTime,
+      ScanBy: ScanBy.TIMESTAMP_DESCENDING,
+      MetricDataQueries: metricDataQueries(alarm, [metricId, bandId]),
+    }),
+  );
+
+  const results = data.MetricDataResults || [];
+  const metric = results.find((r) => r.Id === metricId);
+
+  // The band is returned as two time series with the same ID, one for each
+  // bound. Which one is which is determined by comparing their values.
+  const bounds = results
+    .filter((r) => r.Id === bandId)
+    .map(
+      (r) => new Map((r.Timestamps || []).map((t, i) => [+t, r.Values?.[i]])),
+    );
+
+  if (!metric) {
+    return [];
+  }
+
+  return metric.Timestamps.map((timestamp, i) => {
+    const values = bounds
+      .map((b) => b.get(+timestamp))
+      .filter((v) => Number.isFinite(v));
+
+    // A band needs both bounds at the same timestamp, otherwise it would be
+    // shown as a single value
+    return {
+      timestamp,
+      value: metric.Values[i],
+      ...(values.length === 2 && {
+        lower: Math.min(...values),
+        upper: Math.max(...values),
+      }),
+    };
+  });
+}
+
+/**
+ * Returns a formatted list of datapoints alongside the expected band, e.g.,
+ * `120.50` (`80.06`–`110.24`) at 14:05
+ * @param {BandDatapoint[]} points
+ * @returns {String}
+ */
+export function formatBandDatapoints(points) {
+  // Band bounds are rarely round numbers, so two decimals are enough to
+  // compare them with the value
+  const fmt = (v) => `\`${v.toFixed(Number.isInteger(v) ? 0 : 2)}\``;
+
+  return points
+    .map((p) => {
+      const time = p.timestamp.toISOString().substring(11, 16);
+      const bandRange =
+        Number.isFinite(p.lower) && Number.isFinite(p.upper)
+          ? ` (${fmt(p.lower)}–${fmt(p.upper)})`
+          : "";
+      return `${fmt(p.value)}${bandRange} at ${time}`;
+    })
+    .join(", ");
+}
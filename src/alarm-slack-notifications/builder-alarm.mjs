@@ -1,21 +1,84 @@
 /** @typedef {import('./index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
 /** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} DescribeAlarmsOutput */
 /** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmHistoryOutput} DescribeAlarmHistoryOutput */
-/** @typedef {import('@aws-sdk/client-cloudwatch').ListTagsForResourceOutput} ListTagsForResourceOutput */
+/** @typedef {import('./log-groups.mjs').AlarmLogGroups} AlarmLogGroups */
+/** @typedef {import('@aws-sdk/client-cloudwatch').CloudWatchClient} CloudWatchClient */
 
+import { detailLines as anomalyDetectionDetailLines } from "./alarm/anomaly-detection.mjs";
+import { detailLines as compositeDetailLines } from "./alarm/composite.mjs";
+import { detailLines as metricMathDetailLines } from "./alarm/metric-math.mjs";
 import { detailLines as singleMetricDetailLines } from "./alarm/single-metric.mjs";
+import { isAnomalyDetection, isMetricMath } from "./queries.mjs";
+import { resourceLines } from "./resource-context.mjs";
 
 /**
  * @param {EventBridgeCloudWatchAlarmsEvent} event
  * @param {DescribeAlarmsOutput} desc
  * @param {DescribeAlarmHistoryOutput} history
- * @param {ListTagsForResourceOutput} tagList
+ * @param {AlarmLogGroups} groups
+ * @param {CloudWatchClient} [cloudWatchClient]
  * @returns {Promise<String[]>}
  */
-export async function detailLines(event, desc, history, tagList) {
-  if (event.detail.configuration.metrics.length === 1) {
-    return singleMetricDetailLines(event, desc, history, tagList);
+async function metricDetailLines(
+  event,
+  desc,
+  history,
+  groups,
+  cloudWatchClient,
+) {
+  if (isAnomalyDetection(desc?.MetricAlarms?.[0])) {
+    return anomalyDetectionDetailLines(
+      event,
+      desc,
+      history,
+      groups,
+      cloudWatchClient,
+    );
+  }
+
+  if (isMetricMath(desc?.MetricAlarms?.[0])) {
+    return metricMathDetailLines(event, desc, history, groups);
+  }
+
+  if (event.detail.configuration.metrics?.length === 1) {
+    return singleMetricDetailLines(event, desc, history, groups);
   }
 
   return ["Unknown alarm metric type!"];
 }
+
+/**
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} desc
+ * @param {DescribeAlarmHistoryOutput} history
+ * @param {AlarmLogGroups} groups
+ * @param {CloudWatchClient} [cloudWatchClient]
+ * @returns {Promise<String[]>}
+ */
+export async function detailLines(
+  event,
+  desc,
+  history,
+  groups,
+  cloudWatchClient,
+) {
+  if (desc?.CompositeAlarms?.length) {
+    // Child alarms that are metric alarms get rendered by this same function
+    return compositeDetailLines(
+      event,
+      desc,
+      history,
+      cloudWatchClient,
+      detailLines,
+    );
+  }
+
+  // Context about the alarm's resource follows the details about the alarm
+  // itself
+  const [lines, context] = await Promise.all([
+    metricDetailLines(event, desc, history, groups, cloudWatchClient),
+    resourceLines(event, desc, cloudWatchClient),
+  ]);
+
+  return [...lines, ...context];
+}
@@ -0,0 +1,292 @@
+/** @typedef {import('./index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
+/** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} DescribeAlarmsOutput */
+/** @typedef {import('./log-groups.mjs').AlarmLogGroups} AlarmLogGroups */
+/** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmHistoryOutput} DescribeAlarmHistoryOutput */
+/** @typedef {import('@aws-sdk/client-cloudwatch').CloudWatchClient} CloudWatchClient */
+/** @typedef {import('@aws-sdk/client-cloudwatch').MetricAlarm} MetricAlarm */
+/** @typedef {import('@aws-sdk/client-cloudwatch').Metric} Metric */
+
+/**
+ * @typedef {Object} AlarmMetric
+ * @property {Metric} metric
+ * @property {Number} period
+ */
+
+import {
+  GetMetricDataCommand,
+  ListMetricsCommand,
+  ScanBy,
+} from "@aws-sdk/client-cloudwatch";
+import { isMetricMath } from "./queries.mjs";
+import { logsConsoleUrl, metricsConsoleUrl } from "./urls.mjs";
+
+// CloudWatch only lists metrics that have reported data within the past two
+// weeks, so that's as far back as it's useful to look for datapoints.
+const LOOKBACK_DAYS = 14;
+
+// Limits the number of metrics (e.g., metric math inputs) that get diagnosed
+const MAX_METRICS = 3;
+
+/**
+ * Returns a human-readable duration for a number of seconds
+ * e.g., 7200 => 2 hours
+ * @param {Number} difSec
+ * @returns {String}
+ */
+function humanDuration(difSec) {
+  if (difSec >= 86400) {
+    return `${Math.round(difSec / 86400)} days`;
+  }
+
+  if (difSec >= 3600) {
+    return `${Math.round(difSec / 3600)} hours`;
+  }
+
+  if (difSec >= 60) {
+    return `${Math.round(difSec / 60)} minutes`;
+  }
+
+  return `${Math.round(difSec)} seconds`;
+}
+
+/**
+ * Returns the metrics the alarm evaluates. For metric math alarms, these are
+ * the inputs to the expression.
+ * @param {MetricAlarm} alarm
+ * @returns {AlarmMetric[]}
+ */
+function alarmMetrics(alarm) {
+  if (isMetricMath(alarm)) {
+    return alarm.Metrics.filter((m) => m.MetricStat).map((m) => ({
+      metric: m.MetricStat.Metric,
+      period: m.MetricStat.Period,
+    }));
+  }
+
+  if (alarm?.MetricName) {
+    return [
+      {
+        metric: {
+          Namespace: alarm.Namespace,
+          MetricName: alarm.MetricName,
+          Dimensions: alarm.Dimensions || [],
+        },
+        period: alarm.Period,
+      },
+    ];
+  }
+
+  return [];
+}
+
+/**
+ * Returns the timestamp of the most recent datapoint for a metric, if there
+ * was one within the lookback window. Recent data is checked at the alarm's
+ * own period; older data is checked hourly, so is less precise.
+ * @param {CloudWatchClient} cloudWatchClient
+ * @param {AlarmMetric} alarmMetric
+ * @returns {Promise<Date>}
+ */
+async function lastDatapoint(cloudWatchClient, alarmMetric) {
+  const now = Date.now();
+
+  const ranges = [
+    { start: now - 3 * 3600 * 1000, period: alarmMetric.period || 60 },
+    { start: now - LOOKBACK_DAYS * 86400 * 1000, period: 3600 },
+  ];
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const range of ranges) {
+    // eslint-disable-next-line no-await-in-loop
+    const data = await cloudWatchClient.send(
+      new GetMetricDataCommand({
+        StartTime: new Date(range.start),
+        EndTime: new Date(now),
+        ScanBy: ScanBy.TIMESTAMP_DESCENDING,
+        MetricDataQueries: [
+          {
+            Id: "lastDatapoint",
+            MetricStat: {
+              Metric: alarmMetric.metric,
+              Period: range.period,
+              Stat: "SampleCount",
+            },
+          },
+        ],
+      }),
+    );
+
+    const result = data.MetricDataResults?.[0];
+    const i = result?.Values?.findIndex((v) => v > 0);
+
+    if (i >= 0) {
+      return result.Timestamps[i];
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Returns all metrics with the given namespace and name that have reported
+ * data recently, optionally filtered to an exact set of dimensions
+ * @param {CloudWatchClient} cloudWatchClient
+ * @param {Metric} metric
+ * @param {Boolean} exact
+ * @returns {Promise<Metric[]>}
+ */
+async function listMetrics(cloudWatchClient, metric, exact) {
+  const data = await cloudWatchClient.send(
+    new ListMetricsCommand({
+      Namespace: metric.Namespace,
+      MetricName: metric.MetricName,
+      ...(exact && { Dimensions: metric.Dimensions }),
+    }),
+  );
+
+  return data.Metrics || [];
+}
+
+/**
+ * Returns a diagnosis of why a metric may not have enough data, based on when
+ * it last reported and which similar metrics still exist
+ * @param {CloudWatchClient} cloudWatchClient
+ * @param {AlarmMetric} alarmMetric
+ * @param {MetricAlarm} alarm
+ * @returns {Promise<String[]>}
+ */
+async function diagnose(cloudWatchClient, alarmMetric, alarm) {
+  const { metric } = alarmMetric;
+  const name = `\`${metric.MetricName}\``;
+
+  const lines = [];
+
+  const last = await lastDatapoint(cloudWatchClient, alarmMetric);
+
+  if (last) {
+    const ago = humanDuration((Date.now() - +last) / 1000);
+    lines.push(
+      `*Last datapoint:* ${name} last reported ${ago} ago (${last.toISOString()})`,
+    );
+  } else {
+    lines.push(
+      `*Last datapoint:* ${name} has not reported in the last ${LOOKBACK_DAYS} days`,
+    );
+  }
+
+  // If data arrived within the span the alarm evaluates, the metric is still
+  // being published, just not in every period
+  const evaluationSeconds =
+    (alarmMetric.period || 60) * (alarm.EvaluationPeriods || 1);
+  if (last && Date.now() - +last <= evaluationSeconds * 2 * 1000) {
+    lines.push(
+      `*Diagnosis:* The metric is still reporting, but not in every period. The alarm may be evaluating sparse data (missing data is treated as \`${alarm.TreatMissingData || "missing"}\`).`,
+    );
+    return lines;
+  }
+
+  const exactMatches = await listMetrics(cloudWatchClient, metric, true);
+
+  if (exactMatches.length) {
+    lines.push(
+      "*Diagnosis:* The metric still exists with these dimensions, but stopped reporting. This looks like an emitter that stopped, such as a service that was scaled down, a failing job, or a disabled schedule.",
+    );
+    return lines;
+  }
+
+  const similar = await listMetrics(cloudWatchClient, metric, false);
+
+  if (similar.length) {
+    const alarmDimensionNames = (metric.Dimensions || [])
+      .map((d) => d.Name)
+      .sort()
+      .join(",");
+
+    const sameShape = similar.filter(
+      (m) =>
+        (m.Dimensions || [])
+          .map((d) => d.Name)
+          .sort()
+          .join(",") === alarmDimensionNames,
+    );
+
+    const examples = (sameShape.length ? sameShape : similar)
+      .slice(0, 3)
+      .map(
+        (m) =>
+          `\`${(m.Dimensions || []).map((d) => `${d.Name}=${d.Value}`).join(", ") || "(no dimensions)"}\``,
+      );
+
+    lines.push(
+      `*Diagnosis:* No ${name} metric matches the alarm's dimensions, but it is reported with ${sameShape.length ? "other dimension values" : "different dimensions"}, e.g., ${examples.join(", ")}. This looks like a renamed dimension or a replaced resource, and the alarm may need to be updated.`,
+    );
+    return lines;
+  }
+
+  lines.push(
+    `*Diagnosis:* No ${name} metric has been reported in \`${metric.Namespace}\` in the last ${LOOKBACK_DAYS} days. This looks like a deleted resource; if so, the alarm can likely be deleted too.`,
+  );
+
+  return lines;
+}
+
+/**
+ * Returns basic details of the alarm notification, like the reason for the
+ * state change and links to CloudWatch console pages.
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} desc
+ * @param {DescribeAlarmHistoryOutput} history
+ * @param {AlarmLogGroups} groups
+ * @returns {Promise<String[]>}
+ */
+async function basics(event, desc, history, groups) {
+  const lines = [];
+
+  if (event.detail.state.reason) {
+    lines.push(`*Reason:* ${event.detail.state.reason}`);
+  }
+
+  let line = "";
+
+  const metricsUrl = metricsConsoleUrl(event, desc, history);
+  line = line.concat(`*CloudWatch:* <${metricsUrl}|Metrics>`);
+
+  // Not all alarms can be associated with logs, so only add when there
+  // is a URL to use
+  const logsUrl = logsConsoleUrl(event, groups);
+  if (logsUrl) {
+    line = line.concat(` • <${logsUrl}|Logs>`);
+  }
+
+  lines.push(line);
+
+  return lines;
+}
+
+/**
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} desc
+ * @param {DescribeAlarmHistoryOutput} history
+ * @param {AlarmLogGroups} groups
+ * @param {CloudWatchClient} cloudWatchClient
+ * @returns {Promise<String[]>}
+ */
+export async function detailLines(
+  event,
+  desc,
+  history,
+  groups,
+  cloudWatchClient,
+) {
+  const lines = [];
+
+  const alarm = desc?.MetricAlarms?.[0];
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const alarmMetric of alarmMetrics(alarm).slice(0, MAX_METRICS)) {
+    // eslint-disable-next-line no-await-in-loop
+    lines.push(...(await diagnose(cloudWatchClient, alarmMetric, alarm)));
+  }
+
+  return [...(await basics(event, desc, history, groups)), ...lines];
+}
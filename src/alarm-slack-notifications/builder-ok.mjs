@@ -1,11 +1,20 @@
 /** @typedef {import('./index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
 /** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} DescribeAlarmsOutput */
-/** @typedef {import('@aws-sdk/client-cloudwatch').ListTagsForResourceOutput} ListTagsForResourceOutput */
+/** @typedef {import('./log-groups.mjs').AlarmLogGroups} AlarmLogGroups */
 /** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmHistoryOutput} DescribeAlarmHistoryOutput */
 /** @typedef {import('@aws-sdk/client-cloudwatch').GetMetricDataOutput} GetMetricDataOutput */
 /** @typedef {import('@aws-sdk/client-cloudwatch').CloudWatchClient} CloudWatchClient */
+/** @typedef {import('@aws-sdk/client-cloudwatch').MetricDataQuery} MetricDataQuery */
 
 import { GetMetricDataCommand, ScanBy } from "@aws-sdk/client-cloudwatch";
+import { bandDatapoints, formatBandDatapoints } from "./anomaly-band.mjs";
+import { detailLines as compositeDetailLines } from "./ok/composite.mjs";
+import {
+  isAnomalyDetection,
+  isMetricMath,
+  metricDataQueries,
+  returnDataQuery,
+} from "./queries.mjs";
 import { logsConsoleUrl, metricsConsoleUrl } from "./urls.mjs";
 
 /**
@@ -74,15 +83,12 @@ function conditionAlarmTime(event) {
 }
 
 /**
- *
+ * Returns a query for the single metric that an alarm is based on
  * @param {EventBridgeCloudWatchAlarmsEvent} event
- * @param {CloudWatchClient} cloudWatchClient
  * @param {DescribeAlarmsOutput} desc
- * @param {Date} startTime
- * @param {Date} endTime
- * @returns {Promise<GetMetricDataOutput>}
+ * @returns {MetricDataQuery[]}
  */
-async function metricData(event, cloudWatchClient, desc, startTime, endTime) {
+function singleMetricQueries(event, desc) {
   const queryMetric = {};
 
   if (desc.MetricAlarms[0].Namespace) {
@@ -97,23 +103,52 @@ async function metricData(event, cloudWatchClient, desc, startTime, endTime) {
     queryMetric.Dimensions = desc.MetricAlarms[0].Dimensions;
   }
 
+  return [
+    {
+      Id: "alarmMetricData",
+      MetricStat: {
+        Metric: queryMetric,
+        Period: event.detail.configuration.metrics[0].metricStat.period,
+        Stat: event.detail.configuration.metrics[0].metricStat.stat,
+      },
+    },
+  ];
+}
+
+/**
+ * Returns the values of the metric (or expression) that the alarm evaluates,
+ * for the given time range
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {CloudWatchClient} cloudWatchClient
+ * @param {DescribeAlarmsOutput} desc
+ * @param {Date} startTime
+ * @param {Date} endTime
+ * @returns {Promise<Number[]>}
+ */
+async function metricValues(event, cloudWatchClient, desc, startTime, endTime) {
+  const metricMath = isMetricMath(desc.MetricAlarms[0]);
+
   const params = {
     StartTime: startTime,
     EndTime: endTime,
     ScanBy: ScanBy.TIMESTAMP_ASCENDING,
-    MetricDataQueries: [
-      {
-        Id: "alarmMetricData",
-        MetricStat: {
-          Metric: queryMetric,
-          Period: event.detail.configuration.metrics[0].metricStat.period,
-          Stat: event.detail.configuration.metrics[0].metricStat.stat,
-        },
-      },
-    ],
+    MetricDataQueries: metricMath
+      ? metricDataQueries(desc.MetricAlarms[0])
+      : singleMetricQueries(event, desc),
   };
 
-  return cloudWatchClient.send(new GetMetricDataCommand(params));
+  /** @type {GetMetricDataOutput} */
+  const data = await cloudWatchClient.send(new GetMetricDataCommand(params));
+
+  const id = metricMath
+    ? returnDataQuery(desc.MetricAlarms[0]).Id
+    : "alarmMetricData";
+
+  return (
+    data.MetricDataResults?.find((r) => r.Id === id)?.Values ||
+    data.MetricDataResults?.[0]?.Values ||
+    []
+  );
 }
 
 /**
@@ -155,10 +190,10 @@ function duration(event) {
  * @param {EventBridgeCloudWatchAlarmsEvent} event
  * @param {DescribeAlarmsOutput} desc
  * @param {DescribeAlarmHistoryOutput} history
- * @param {ListTagsForResourceOutput} tagList
+ * @param {AlarmLogGroups} groups
  * @returns {Promise<String[]>}
  */
-async function basics(event, desc, history, tagList) {
+async function basics(event, desc, history, groups) {
   let line = "";
 
   line = line.concat(duration(event));
@@ -169,7 +204,7 @@ async function basics(event, desc, history, tagList) {
 
   // Not all alarms can be associated with logs, so only add when there
   // is a URL to use
-  const logsUrl = await logsConsoleUrl(event, desc, tagList);
+  const logsUrl = logsConsoleUrl(event, groups);
   if (logsUrl) {
     line = line.concat(` • <${logsUrl}|Logs>`);
   }
@@ -190,12 +225,39 @@ async function datapoints(event, desc, cloudWatchClient) {
   const okTime = conditionOkTime(event);
   const alarmTime = conditionAlarmTime(event);
 
+  if (okTime && alarmTime && isAnomalyDetection(desc.MetricAlarms[0])) {
+    // Anomaly detection alarms have no fixed threshold, so each datapoint is
+    // shown with the band it was compared against
+    const points = await bandDatapoints(
+      cloudWatchClient,
+      desc.MetricAlarms[0],
+      new Date(alarmTime),
+      new Date(okTime),
+    );
+
+    if (points.length) {
+      const cap = 8;
+      const qualifier =
+        points.length > cap
+          ? `Latest ${cap} of ${points.length} datapoints`
+          : "Datapoints";
+
+      return [
+        `*${qualifier} during alarm:* ${formatBandDatapoints(points.slice(0, cap))}`,
+      ];
+    }
+
+    return [];
+  }
+
   if (okTime && alarmTime) {
-    // TODO Move this to a single-metric specific builder
-    if (event.detail.configuration.metrics.length === 1) {
+    if (
+      event.detail.configuration.metrics?.length === 1 ||
+      isMetricMath(desc.MetricAlarms[0])
+    ) {
       // Use more complete set of metric data for the duration of the alarm
       // to provide some more details
-      const alarmMetricData = await metricData(
+      const rawValues = await metricValues(
         event,
         cloudWatchClient,
         desc,
@@ -203,8 +265,6 @@ async function datapoints(event, desc, cloudWatchClient) {
         new Date(okTime),
       );
 
-      const rawValues = alarmMetricData.MetricDataResults?.[0]?.Values;
-
       if (rawValues.length) {
         const maxDigits = 4;
         let qualifier = "Datapoints";
@@ -276,7 +336,7 @@ async function datapoints(event, desc, cloudWatchClient) {
  * @param {EventBridgeCloudWatchAlarmsEvent} event
  * @param {DescribeAlarmsOutput} desc
  * @param {DescribeAlarmHistoryOutput} history
- * @param {ListTagsForResourceOutput} tagList
+ * @param {AlarmLogGroups} groups
  * @param {CloudWatchClient} cloudWatchClient
  * @returns {Promise<String[]>}
  */
@@ -284,11 +344,15 @@ export async function detailLines(
   event,
   desc,
   history,
-  tagList,
+  groups,
   cloudWatchClient,
 ) {
+  if (desc?.CompositeAlarms?.length) {
+    return compositeDetailLines(event, desc, history, cloudWatchClient);
+  }
+
   return [
-    ...(await basics(event, desc, history, tagList)),
+    ...(await basics(event, desc, history, groups)),
     ...(await datapoints(event, desc, cloudWatchClient)),
   ];
 }
@@ -2,21 +2,76 @@
 /** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} DescribeAlarmsOutput */
 /** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmHistoryOutput} DescribeAlarmHistoryOutput */
 /** @typedef {import('@aws-sdk/client-cloudwatch').ListTagsForResourceOutput} ListTagsForResourceOutput */
+/** @typedef {import('@aws-sdk/client-cloudwatch').CloudWatchClient} CloudWatchClient */
+/** @typedef {import('./log-groups.mjs').AlarmLogGroups} AlarmLogGroups */
+
+/**
+ * Each property is undefined if it couldn't be fetched, in which case the
+ * step is included in failures.
+ * @typedef {Object} AlarmEnrichment
+ * @property {CloudWatchClient} cloudwatch A client for the alarm's account and region
+ * @property {DescribeAlarmsOutput} desc
+ * @property {ListTagsForResourceOutput} tagList
+ * @property {DescribeAlarmHistoryOutput} history State changes from the last 24 hours
+ * @property {AlarmLogGroups} logGroups The log groups for the alarm, which are found once and shared by everything that links to or queries them
+ * @property {EnrichmentStep[]} failures
+ */
+
+/** @typedef {'credentials'|'description'|'tags'|'history'|'details'|'chart'|'logs'} EnrichmentStep */
 
 import {
-  CloudWatchClient,
   DescribeAlarmsCommand,
   ListTagsForResourceCommand,
   paginateDescribeAlarmHistory,
 } from "@aws-sdk/client-cloudwatch";
-import { AssumeRoleCommand, STSClient } from "@aws-sdk/client-sts";
-import { ConfiguredRetryStrategy } from "@smithy/util-retry";
+import { accounts } from "./accounts.mjs";
 import { detailLines as alarmDetailLines } from "./builder-alarm.mjs";
+import { detailLines as insufficientDataDetailLines } from "./builder-insufficient-data.mjs";
 import { detailLines as okDetailLines } from "./builder-ok.mjs";
+import { guidanceLine } from "./guidance.mjs";
+import { logExcerptBlock } from "./log-excerpts.mjs";
+import { logGroups as alarmLogGroups, taggedLogGroups } from "./log-groups.mjs";
+import { chartBlock } from "./metric-chart.mjs";
 import regions from "./regions.mjs";
 import { alarmConsoleUrl } from "./urls.mjs";
 
-const sts = new STSClient({ apiVersion: "2011-06-15" });
+// How each step is described when its details are missing from a message
+const STEP_DESCRIPTIONS = {
+  credentials: "account access",
+  description: "alarm configuration",
+  tags: "tags",
+  history: "history",
+  details: "metric data",
+};
+
+/**
+ * Logs the failure of an enrichment step. Entries use the CloudWatch embedded
+ * metric format, so failures are also counted per step.
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {EnrichmentStep} step
+ * @param {*} error
+ */
+function enrichmentFailed(event, step, error) {
+  console.log(
+    JSON.stringify({
+      _aws: {
+        Timestamp: Date.now(),
+        CloudWatchMetrics: [
+          {
+            Namespace: "PRX/CloudWatchToolkit",
+            Dimensions: [["Step"]],
+            Metrics: [{ Name: "EnrichmentFailures", Unit: "Count" }],
+          },
+        ],
+      },
+      msg: "Enrichment step failed",
+      Step: step,
+      EnrichmentFailures: 1,
+      alarmName: event.detail.alarmName,
+      error: `${error}`,
+    }),
+  );
+}
 
 /**
  * Returns the alarm name with the suffix portion (anything at the end
@@ -52,46 +107,34 @@ function title(event) {
  * @returns {Promise<CloudWatchClient>}
  */
 async function cloudWatchClient(event) {
-  const accountId = event.account;
-  const roleName = process.env.CROSS_ACCOUNT_CLOUDWATCH_ALARM_IAM_ROLE_NAME;
-
-  const role = await sts.send(
-    new AssumeRoleCommand({
-      RoleArn: `arn:aws:iam::${accountId}:role/${roleName}`,
-      RoleSessionName: "notifications_lambda_reader",
-    }),
-  );
-
-  return new CloudWatchClient({
-    apiVersion: "2010-08-01",
-    region: event.region,
-    retryStrategy: new ConfiguredRetryStrategy(
-      10,
-      (attempt) => 100 + attempt * 1000,
-    ),
-    credentials: {
-      accessKeyId: role.Credentials.AccessKeyId,
-      secretAccessKey: role.Credentials.SecretAccessKey,
-      sessionToken: role.Credentials.SessionToken,
-    },
-  });
+  // Clients fetch credentials lazily, so they're fetched here first to fail
+  // early if the role can't be assumed
+  await accounts.credentials(event.account, event.region);
+  return accounts.cloudWatchClient(event.account, event.region);
 }
 
 /**
  * @param {EventBridgeCloudWatchAlarmsEvent} event
  * @param {DescribeAlarmsOutput} desc
  * @param {DescribeAlarmHistoryOutput} history
- * @param {ListTagsForResourceOutput} tagList
+ * @param {AlarmLogGroups} groups
+ * @param {CloudWatchClient} cwClient
  * @returns {Promise<String[]>}
  */
-async function detailLines(event, desc, history, tagList, cwClient) {
+async function detailLines(event, desc, history, groups, cwClient) {
   switch (event.detail.state.value) {
     case "INSUFFICIENT_DATA":
-      return ["Details not implemented for `INSUFFICIENT_DATA`"];
+      return insufficientDataDetailLines(
+        event,
+        desc,
+        history,
+        groups,
+        cwClient,
+      );
     case "OK":
-      return okDetailLines(event, desc, history, tagList, cwClient);
+      return okDetailLines(event, desc, history, groups, cwClient);
     case "ALARM":
-      return alarmDetailLines(event, desc, history, tagList);
+      return alarmDetailLines(event, desc, history, groups, cwClient);
     default:
       return [];
   }
@@ -105,55 +148,207 @@ async function detailLines(event, desc, history, tagList, cwClient) {
 export async function fallback(event) {
   return title(event);
 }
+/**
+ * Logs the failure of an enrichment step and adds it to the enrichment's
+ * failures. Returns undefined, in place of the step's result.
+ * @template T
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {EnrichmentStep[]} failures
+ * @param {EnrichmentStep} step
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function attempt(event, failures, step, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    enrichmentFailed(event, step, error);
+    failures.push(step);
+    return undefined;
+  }
+}
+
+/**
+ * Fetches what's needed to route a notification about the alarm: its
+ * description and tags. The history and log groups are left to
+ * detailEnrichment, so that routing (and paging) doesn't wait on them. Log
+ * groups are only included when they're set by the alarm's tags.
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @returns {Promise<AlarmEnrichment>}
+ */
+export async function routingEnrichment(event) {
+  /** @type {EnrichmentStep[]} */
+  const failures = [];
+
+  const cloudwatch = await attempt(event, failures, "credentials", () =>
+    cloudWatchClient(event),
+  );
+
+  if (!cloudwatch) {
+    // Nothing else can be fetched without access to the account
+    failures.push("description", "tags", "history");
+    return {
+      cloudwatch,
+      desc: undefined,
+      tagList: undefined,
+      history: undefined,
+      logGroups: { names: [], filterPatterns: [] },
+      failures,
+    };
+  }
+
+  // Fetch the full description of the alarm, and its resource tags.
+  // Composite alarms are only included when explicitly requested.
+  let [desc, tagList] = await Promise.all([
+    attempt(event, failures, "description", () =>
+      cloudwatch.send(
+        new DescribeAlarmsCommand({
+          AlarmNames: [event.detail.alarmName],
+          AlarmTypes: ["CompositeAlarm", "MetricAlarm"],
+        }),
+      ),
+    ),
+    attempt(event, failures, "tags", () =>
+      cloudwatch.send(
+        new ListTagsForResourceCommand({
+          ResourceARN: event.resources[0],
+        }),
+      ),
+    ),
+  ]);
+
+  // e.g., the alarm was deleted after the state change
+  if (desc && !desc.MetricAlarms?.length && !desc.CompositeAlarms?.length) {
+    enrichmentFailed(event, "description", "Alarm not found");
+    failures.push("description");
+    desc = undefined;
+  }
+
+  return {
+    cloudwatch,
+    desc,
+    tagList,
+    history: undefined,
+    logGroups: taggedLogGroups(tagList),
+    failures,
+  };
+}
+
+/**
+ * Adds the alarm's recent history and its log groups to the routing
+ * enrichment
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {AlarmEnrichment} enriched From routingEnrichment
+ * @returns {Promise<AlarmEnrichment>}
+ */
+export async function detailEnrichment(event, enriched) {
+  const { cloudwatch, desc, tagList } = enriched;
+
+  if (!cloudwatch) {
+    return enriched;
+  }
+
+  const failures = [...enriched.failures];
+
+  // Fetch all state transitions from the last 24 hours
+  const history = await attempt(event, failures, "history", async () => {
+    const items = { AlarmHistoryItems: [] };
+    const historyStart = new Date();
+    historyStart.setUTCHours(-24);
+    const paginator = paginateDescribeAlarmHistory(
+      {
+        client: cloudwatch,
+      },
+      {
+        AlarmName: event.detail.alarmName,
+        HistoryItemType: "StateUpdate",
+        StartDate: historyStart,
+        EndDate: new Date(),
+      },
+    );
+
+    // eslint-disable-next-line no-restricted-syntax, no-await-in-loop
+    for await (const page of paginator) {
+      items.AlarmHistoryItems.push(...page.AlarmHistoryItems);
+    }
+
+    return items;
+  });
+
+  // Log groups are used for links in every notification, and for log
+  // excerpts, and finding them can take several requests, so they're only
+  // found once
+  const logGroups =
+    enriched.logGroups || (await alarmLogGroups(event, desc, tagList));
+
+  return { ...enriched, history, logGroups, failures };
+}
+
+/**
+ * Fetches everything about the alarm that isn't included in the event itself,
+ * from the account and region where the alarm exists. Each step can fail on
+ * its own, so that a notification can still be sent with whatever was
+ * fetched.
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @returns {Promise<AlarmEnrichment>}
+ */
+export async function enrichment(event) {
+  return detailEnrichment(event, await routingEnrichment(event));
+}
+
+/**
+ * Returns the details that can be included without the alarm's configuration
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @returns {String[]}
+ */
+function basicDetailLines(event) {
+  return [
+    ...(event.detail.state.reason
+      ? [`*Reason:* ${event.detail.state.reason}`]
+      : []),
+    `*CloudWatch:* <${alarmConsoleUrl(event)}|Alarm>`,
+  ];
+}
+
+/**
+ * Returns the block that says an alarm is flapping. The block has a fixed ID,
+ * so that it can be replaced with an updated count after the message is
+ * posted.
+ * @param {import('./index.mjs').FlapStatus} flap
+ * @returns {Object}
+ */
+export function flapBlock(flap) {
+  return {
+    type: "context",
+    block_id: "flapping",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: `:repeat: *Flapping:* ${flap.count} transitions to ALARM in the last ${flap.windowMinutes} minutes. Further notifications are held until the alarm stabilizes.`,
+      },
+    ],
+  };
+}
+
 /**
  * Returns all the Slack message blocks that will make up the content of the
  * alarm notification being sent to Slack. The structure is roughly:
  * - Linked title
  * - Details about the new alarm state (cause, duration, etc)
+ * - A chart of the alarm's metric, when possible
+ * - (For ALARM only) Recent matching log lines, when they can be found quickly
+ * - (For ALARM only) Links to the alarm's runbook and dashboard, and its owner
  * - (For ALARM only) The full text description of the alarm
  * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {AlarmEnrichment} enriched
+ * @param {import('./index.mjs').FlapStatus} [flap]
  * @returns {Promise<any[]>}
  */
-
-export async function blocks(event) {
+export async function blocks(event, enriched, flap) {
   const blox = [];
 
-  const cloudwatch = await cloudWatchClient(event);
-
-  // Fetch the full description of the alarm
-  const desc = await cloudwatch.send(
-    new DescribeAlarmsCommand({
-      AlarmNames: [event.detail.alarmName],
-    }),
-  );
-
-  // Fetch the resource tags for the alarm
-  const tagList = await cloudwatch.send(
-    new ListTagsForResourceCommand({
-      ResourceARN: event.resources[0],
-    }),
-  );
-
-  // Fetch all state transitions from the last 24 hours
-  const history = { AlarmHistoryItems: [] };
-  const historyStart = new Date();
-  historyStart.setUTCHours(-24);
-  const paginator = paginateDescribeAlarmHistory(
-    {
-      client: cloudwatch,
-    },
-    {
-      AlarmName: event.detail.alarmName,
-      HistoryItemType: "StateUpdate",
-      StartDate: historyStart,
-      EndDate: new Date(),
-    },
-  );
-
-  // eslint-disable-next-line no-restricted-syntax, no-await-in-loop
-  for await (const page of paginator) {
-    history.AlarmHistoryItems.push(...page.AlarmHistoryItems);
-  }
+  const { cloudwatch, desc, tagList, history, logGroups } = enriched;
+  const failures = [...(enriched.failures || [])];
 
   // Linked title block
   blox.push({
@@ -164,9 +359,37 @@ export async function blocks(event) {
     },
   });
 
+  // When this state change started a flapping period, say so, since the
+  // notifications that follow will be collapsed
+  if (flap?.flapping) {
+    blox.push(flapBlock(flap));
+  }
+
+  // The log query runs alongside everything else, so that it adds as little
+  // time as possible. Like charts, log excerpts are a nice-to-have.
+  const excerpt = logExcerptBlock(event, desc, logGroups).catch((error) => {
+    enrichmentFailed(event, "logs", error);
+    return undefined;
+  });
+
   const lines = [];
 
-  lines.push(...(await detailLines(event, desc, history, tagList, cloudwatch)));
+  // Most details depend on the alarm's configuration, and metric data is
+  // fetched along the way, so any failure falls back to the basics
+  if (desc) {
+    try {
+      lines.push(
+        ...(await detailLines(event, desc, history, logGroups, cloudwatch)),
+      );
+    } catch (error) {
+      enrichmentFailed(event, "details", error);
+      failures.push("details");
+    }
+  }
+
+  if (!lines.length) {
+    lines.push(...basicDetailLines(event));
+  }
 
   let text = lines.join("\n");
 
@@ -207,6 +430,36 @@ export async function blocks(event) {
     },
   });
 
+  // Charts are a nice-to-have, so a failure to render or upload one is only
+  // logged and counted, without a note in the message
+  try {
+    const chart = await chartBlock(event, desc, history, cloudwatch);
+    if (chart) {
+      blox.push(chart);
+    }
+  } catch (error) {
+    enrichmentFailed(event, "chart", error);
+  }
+
+  const excerptBlock = await excerpt;
+  if (excerptBlock) {
+    blox.push(excerptBlock);
+  }
+
+  // Include links to any runbook and dashboard, and who to escalate to, for
+  // ALARM states, ahead of the description
+  const guidance =
+    event.detail.state.value === "ALARM" && guidanceLine(event, tagList);
+  if (guidance) {
+    blox.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: guidance,
+      },
+    });
+  }
+
   // Include a block with the alarm's full text description for ALARM states
   if (
     event.detail.state.value === "ALARM" &&
@@ -221,5 +474,21 @@ export async function blocks(event) {
     });
   }
 
+  const missing = [
+    ...new Set(failures.map((f) => STEP_DESCRIPTIONS[f]).filter((d) => d)),
+  ];
+
+  if (missing.length) {
+    blox.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `:warning: Some details couldn't be loaded: ${missing.join(", ")}`,
+        },
+      ],
+    });
+  }
+
   return blox;
 }
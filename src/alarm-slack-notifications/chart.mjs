@@ -0,0 +1,240 @@
+/**
+ * Renders small line charts of metric data as PNG images, without any
+ * dependencies beyond Node.js itself. Charts have no text; anything that
+ * needs to be labeled should go in the message alongside the image.
+ */
+
+/**
+ * @typedef {Object} ChartPoint
+ * @property {Date} timestamp
+ * @property {Number} value
+ */
+
+/**
+ * @typedef {Object} ChartWindow
+ * @property {Date} start
+ * @property {Date} [end] Open-ended windows extend to the end of the chart
+ */
+
+/**
+ * @typedef {Object} ChartOptions
+ * @property {ChartPoint[]} points
+ * @property {Date} start
+ * @property {Date} end
+ * @property {Number} [threshold] Drawn as a horizontal line
+ * @property {ChartWindow[]} [windows] Drawn as shaded ranges, e.g., when an alarm was in ALARM
+ * @property {Number} [width]
+ * @property {Number} [height]
+ */
+
+import { deflateSync } from "node:zlib";
+
+const BACKGROUND = [255, 255, 255];
+const GRID = [221, 221, 221];
+const WINDOW = [255, 221, 221];
+const THRESHOLD = [214, 39, 40];
+const SERIES = [31, 119, 180];
+
+const PADDING = 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * @param {Buffer} buf
+ * @returns {Number}
+ */
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i += 1) {
+    c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @param {String} type
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encodes RGB pixel data as a PNG
+ * @param {Buffer} pixels Three bytes per pixel, row by row
+ * @param {Number} width
+ * @param {Number} height
+ * @returns {Buffer}
+ */
+function encodePng(pixels, width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // Truecolor
+  header[10] = 0; // Compression
+  header[11] = 0; // Filter
+  header[12] = 0; // No interlacing
+
+  // Each row is prefixed with its filter type, which is always none
+  const rows = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    pixels.copy(
+      rows,
+      y * (width * 3 + 1) + 1,
+      y * width * 3,
+      (y + 1) * width * 3,
+    );
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", deflateSync(rows)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Returns a minimal canvas for drawing into an RGB buffer
+ * @param {Number} width
+ * @param {Number} height
+ */
+function canvas(width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+
+  const set = (x, y, color) => {
+    const px = Math.round(x);
+    const py = Math.round(y);
+
+    if (px >= 0 && px < width && py >= 0 && py < height) {
+      pixels.set(color, (py * width + px) * 3);
+    }
+  };
+
+  const fill = (x0, y0, x1, y1, color) => {
+    for (
+      let y = Math.max(0, Math.round(y0));
+      y < Math.min(height, y1);
+      y += 1
+    ) {
+      for (
+        let x = Math.max(0, Math.round(x0));
+        x < Math.min(width, x1);
+        x += 1
+      ) {
+        set(x, y, color);
+      }
+    }
+  };
+
+  // Draws a line with the given thickness, optionally dashed
+  const line = (x0, y0, x1, y1, color, thickness = 1, dash = 0) => {
+    const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+
+    for (let i = 0; i <= steps; i += 1) {
+      if (!dash || Math.floor(i / dash) % 2 === 0) {
+        const x = x0 + ((x1 - x0) * i) / steps;
+        const y = y0 + ((y1 - y0) * i) / steps;
+        fill(x, y, x + thickness, y + thickness, color);
+      }
+    }
+  };
+
+  return { pixels, set, fill, line };
+}
+
+/**
+ * Renders a line chart as a PNG image
+ * @param {ChartOptions} options
+ * @returns {Buffer}
+ */
+export function renderChart(options) {
+  const width = options.width || 480;
+  const height = options.height || 160;
+
+  const c = canvas(width, height);
+  c.fill(0, 0, width, height, BACKGROUND);
+
+  const points = options.points
+    .filter((p) => Number.isFinite(p.value))
+    .sort((a, b) => +a.timestamp - +b.timestamp);
+
+  const values = points.map((p) => p.value);
+  if (Number.isFinite(options.threshold)) {
+    values.push(options.threshold);
+  }
+
+  let min = values.length ? Math.min(...values) : 0;
+  let max = values.length ? Math.max(...values) : 1;
+
+  // Leave some room above and below, and handle flat lines
+  const margin = (max - min) * 0.1 || Math.abs(max) * 0.1 || 1;
+  min -= margin;
+  max += margin;
+
+  const plotWidth = width - PADDING * 2;
+  const plotHeight = height - PADDING * 2;
+  const span = +options.end - +options.start;
+
+  const x = (t) => PADDING + ((+t - +options.start) / span) * plotWidth;
+  const y = (v) => PADDING + (1 - (v - min) / (max - min)) * plotHeight;
+
+  (options.windows || []).forEach((w) => {
+    c.fill(
+      Math.max(x(w.start), PADDING),
+      PADDING,
+      Math.min(x(w.end || options.end), width - PADDING),
+      height - PADDING,
+      WINDOW,
+    );
+  });
+
+  // Frame
+  c.line(PADDING, PADDING, width - PADDING, PADDING, GRID);
+  c.line(PADDING, height - PADDING, width - PADDING, height - PADDING, GRID);
+
+  if (Number.isFinite(options.threshold)) {
+    const ty = y(options.threshold);
+    c.line(PADDING, ty, width - PADDING, ty, THRESHOLD, 1, 6);
+  }
+
+  points.forEach((p, i) => {
+    if (i === 0) {
+      c.fill(
+        x(p.timestamp),
+        y(p.value),
+        x(p.timestamp) + 2,
+        y(p.value) + 2,
+        SERIES,
+      );
+    } else {
+      const prev = points[i - 1];
+      c.line(
+        x(prev.timestamp),
+        y(prev.value),
+        x(p.timestamp),
+        y(p.value),
+        SERIES,
+        2,
+      );
+    }
+  });
+
+  return encodePng(c.pixels, width, height);
+}
@@ -0,0 +1,170 @@
+/** @typedef {import('./index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
+/** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} DescribeAlarmsOutput */
+/** @typedef {import('@aws-sdk/client-cloudwatch').MetricAlarm} MetricAlarm */
+/** @typedef {import('@aws-sdk/client-cloudwatch').CompositeAlarm} CompositeAlarm */
+/** @typedef {import('@aws-sdk/client-cloudwatch').CloudWatchClient} CloudWatchClient */
+
+import { DescribeAlarmsCommand } from "@aws-sdk/client-cloudwatch";
+import { alarmName, alarmNames, parse } from "./alarm-rule.mjs";
+
+/**
+ * Returns the names of all alarms referenced by a composite alarm's rule. If
+ * the rule can't be parsed, names are taken from anything that looks like a
+ * reference to an alarm, so that children can still be listed.
+ * @param {CompositeAlarm} composite
+ * @returns {String[]}
+ */
+function childNames(composite) {
+  try {
+    return alarmNames(parse(composite.AlarmRule));
+  } catch (error) {
+    console.warn(error);
+
+    const references = composite.AlarmRule.matchAll(
+      /\b(?:ALARM|OK|INSUFFICIENT_DATA)\(\s*(?:"((?:[^"\\]|\\.)*)"|([^\s()",]+))\s*\)/g,
+    );
+
+    return [
+      ...new Set(
+        [...references].map((m) =>
+          alarmName(m[1]?.replace(/\\(.)/g, "$1") ?? m[2]),
+        ),
+      ),
+    ];
+  }
+}
+
+/**
+ * Returns the full descriptions of all alarms referenced by a composite
+ * alarm's rule. Composite alarms can only reference alarms in the same account
+ * and region, so the same client can be used.
+ * @param {CloudWatchClient} cloudWatchClient
+ * @param {CompositeAlarm} composite
+ * @returns {Promise<DescribeAlarmsOutput>}
+ */
+export async function describeChildren(cloudWatchClient, composite) {
+  const names = childNames(composite);
+
+  const children = { MetricAlarms: [], CompositeAlarms: [] };
+
+  // A rule can reference at most 100 alarms, which is also the limit for
+  // AlarmNames, so this will typically be a single request.
+  for (let i = 0; i < names.length; i += 100) {
+    // eslint-disable-next-line no-await-in-loop
+    const data = await cloudWatchClient.send(
+      new DescribeAlarmsCommand({
+        AlarmNames: names.slice(i, i + 100),
+        AlarmTypes: ["CompositeAlarm", "MetricAlarm"],
+      }),
+    );
+
+    children.MetricAlarms.push(...(data.MetricAlarms || []));
+    children.CompositeAlarms.push(...(data.CompositeAlarms || []));
+  }
+
+  return children;
+}
+
+/**
+ * Returns an event that resembles a state change event for a child alarm of a
+ * composite alarm, built from the child's DescribeAlarms description. This
+ * allows the child to be rendered by the same builders as any other alarm.
+ * @param {EventBridgeCloudWatchAlarmsEvent} event The composite alarm event
+ * @param {MetricAlarm|CompositeAlarm} alarm
+ * @returns {EventBridgeCloudWatchAlarmsEvent}
+ */
+export function childEvent(event, alarm) {
+  const configuration = {
+    description: alarm.AlarmDescription,
+  };
+
+  const metricAlarm = /** @type {MetricAlarm} */ (alarm);
+
+  if ("AlarmRule" in alarm) {
+    configuration.alarmRule = alarm.AlarmRule;
+  } else if (metricAlarm.MetricName) {
+    configuration.metrics = [
+      {
+        id: "m1",
+        metricStat: {
+          metric: {
+            name: metricAlarm.MetricName,
+            namespace: metricAlarm.Namespace,
+            dimensions: Object.fromEntries(
+              (metricAlarm.Dimensions || []).map((d) => [d.Name, d.Value]),
+            ),
+          },
+          period: metricAlarm.Period,
+          stat: metricAlarm.ExtendedStatistic || metricAlarm.Statistic,
+        },
+      },
+    ];
+  } else {
+    configuration.metrics = (metricAlarm.Metrics || []).map((m) => ({
+      id: m.Id,
+      ...(m.Expression && { expression: m.Expression }),
+      ...(m.Label && { label: m.Label }),
+      returnData: m.ReturnData !== false,
+      ...(m.MetricStat && {
+        metricStat: {
+          metric: {
+            name: m.MetricStat.Metric.MetricName,
+            namespace: m.MetricStat.Metric.Namespace,
+            dimensions: Object.fromEntries(
+              (m.MetricStat.Metric.Dimensions || []).map((d) => [
+                d.Name,
+                d.Value,
+              ]),
+            ),
+          },
+          period: m.MetricStat.Period,
+          stat: m.MetricStat.Stat,
+        },
+      }),
+    }));
+  }
+
+  return {
+    ...event,
+    resources: [alarm.AlarmArn],
+    detail: {
+      ...event.detail,
+      alarmName: alarm.AlarmName,
+      state: {
+        value: alarm.StateValue,
+        reason: alarm.StateReason,
+        reasonData: alarm.StateReasonData,
+        timestamp: alarm.StateUpdatedTimestamp?.toISOString(),
+      },
+      previousState: undefined,
+      configuration,
+    },
+  };
+}
+
+/**
+ * Returns the alarm names from a composite alarm state's reason data that
+ * caused the state change, e.g., the children that were in ALARM when the
+ * composite went into ALARM.
+ * @param {String} reasonData
+ * @returns {String[]}
+ */
+export function triggeringAlarmNames(reasonData) {
+  if (!reasonData) {
+    return [];
+  }
+
+  let data;
+
+  try {
+    data = JSON.parse(reasonData);
+  } catch {
+    // e.g., truncated reason data, in which case recovered children are only
+    // found by when they changed state
+    return [];
+  }
+
+  return (data?.triggeringAlarms || [])
+    .map((a) => a.arn?.split(":alarm:")[1])
+    .filter((n) => n);
+}
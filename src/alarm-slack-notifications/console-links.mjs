@@ -0,0 +1,81 @@
+/**
+ * Turns AWS Management Console URLs into the links that are included in
+ * messages. By default, links go through an IAM Identity Center access
+ * portal, which signs in to the alarm's account with a given role before
+ * opening the console page.
+ *
+ * Links can be configured with JSON in the CONSOLE_LINKS environment
+ * variable. Settings for specific accounts override the top-level settings.
+ *
+ *   {
+ *     "type": "portal",
+ *     "portalUrl": "https://d-1234567890.awsapps.com/start",
+ *     "roleName": "ReadOnlyAccess",
+ *     "accounts": {
+ *       "123456789012": { "roleName": "PowerUserAccess" },
+ *       "210987654321": { "type": "console" }
+ *     }
+ *   }
+ *
+ * With the "portal" type, portalUrl can be the standard access portal URL
+ * (i.e., https://d-xxxxxxxxxx.awsapps.com/start, or a custom alias) or any
+ * portal that accepts the same #/console deep links. With the "console" type,
+ * links point directly at the console, and whoever follows them must already
+ * be signed in to the right account.
+ *
+ * This file is identical in each function that links to the console.
+ */
+
+/**
+ * @typedef {Object} ConsoleLinkSettings
+ * @property {'portal'|'console'} [type]
+ * @property {String} [portalUrl]
+ * @property {String} [roleName] An Identity Center permission set name
+ */
+
+/**
+ * @typedef {ConsoleLinkSettings & { accounts?: Object.<string, ConsoleLinkSettings> }} ConsoleLinkConfig
+ */
+
+/** @type {ConsoleLinkSettings} */
+const DEFAULT_SETTINGS = {
+  type: "portal",
+  portalUrl: "https://aws.prx.tech",
+  roleName: "AdministratorAccess",
+};
+
+/**
+ * Returns the link settings for an account
+ * @param {String} accountId
+ * @returns {ConsoleLinkSettings}
+ */
+export function linkSettings(accountId) {
+  /** @type {ConsoleLinkConfig} */
+  const config = process.env.CONSOLE_LINKS
+    ? JSON.parse(process.env.CONSOLE_LINKS)
+    : {};
+
+  const { accounts, ...settings } = config;
+
+  return { ...DEFAULT_SETTINGS, ...settings, ...accounts?.[accountId] };
+}
+
+/**
+ * Returns a link to a console URL in a specific account
+ * @param {String} accountId
+ * @param {String} url
+ * @returns {String}
+ */
+export function consoleLink(accountId, url) {
+  const settings = linkSettings(accountId);
+
+  if (settings.type === "console") {
+    return url;
+  }
+
+  const portalUrl = settings.portalUrl.replace(/\/+$/, "");
+  const roleName = encodeURIComponent(settings.roleName);
+  const destination = encodeURIComponent(url);
+
+  return `${portalUrl}/#/console?account_id=${accountId}&role_name=${roleName}&destination=${destination}`;
+}
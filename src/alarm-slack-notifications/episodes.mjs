@@ -0,0 +1,249 @@
+/**
+ * An alarm episode starts when an alarm moves to ALARM and ends when it
+ * returns to OK. The Slack messages that were posted when an episode started
+ * are remembered, so that later notifications during the episode can be
+ * posted as thread replies, and so the original messages can be marked as
+ * resolved once the episode ends.
+ */
+
+/** @typedef {import('./index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
+/** @typedef {import('./slack.mjs').SlackMessageRef} SlackMessageRef */
+
+/**
+ * @typedef {Object} EpisodeMessage
+ * @property {String} destination The channel from the routing destination
+ * @property {String} channel The channel ID returned by Slack
+ * @property {String} ts
+ * @property {Object[]} attachments The original message attachments
+ * @property {Boolean} [reply] The message was posted as a thread reply
+ * @property {String} [threadTs] The ts of the message a reply was posted under
+ */
+
+/**
+ * @typedef {Object} AlarmEpisode
+ * @property {String} startedAt An ISO 8601 timestamp
+ * @property {EpisodeMessage[]} messages
+ */
+
+import { updateMessage } from "./slack.mjs";
+import { stateStore } from "./state-store.mjs";
+
+// Episodes that never end (e.g., the alarm was deleted while in ALARM) are
+// forgotten after this long
+const EPISODE_TTL_SECONDS = 14 * 86400;
+
+// The messages that said an alarm started flapping are kept current for at
+// most this long
+const FLAP_NOTICE_TTL_SECONDS = 86400;
+
+/**
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @returns {String}
+ */
+function episodeKey(event) {
+  return `episode:${event.account}:${event.region}:${event.detail.alarmName}`;
+}
+
+/**
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @returns {String}
+ */
+function flapKey(event) {
+  return `flap:${event.account}:${event.region}:${event.detail.alarmName}`;
+}
+
+/**
+ * Returns a human-readable duration between two times, e.g., 3 hours
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {String}
+ */
+function humanDuration(start, end) {
+  const difSec = (+end - +start) / 1000;
+
+  if (difSec >= 86400) {
+    return `${Math.round(difSec / 86400)} days`;
+  }
+
+  if (difSec >= 3600) {
+    return `${Math.round(difSec / 3600)} hours`;
+  }
+
+  if (difSec >= 60) {
+    return `${Math.round(difSec / 60)} minutes`;
+  }
+
+  return `${Math.round(difSec)} seconds`;
+}
+
+/**
+ * Returns the open episode for the alarm, if there is one
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @returns {Promise<AlarmEpisode>}
+ */
+export async function openEpisode(event) {
+  return stateStore().get(episodeKey(event));
+}
+
+/**
+ * Returns the message that replies to the episode should be threaded under
+ * for a destination channel
+ * @param {AlarmEpisode} episode
+ * @param {String} destination
+ * @returns {EpisodeMessage}
+ */
+export function threadParent(episode, destination) {
+  return episode?.messages.find((m) => m.destination === destination);
+}
+
+/**
+ * Updates a message that was posted earlier. A failure (e.g., the message was
+ * deleted, or its channel was archived) is logged rather than thrown, so that
+ * one stale message doesn't keep the episode's state from being updated.
+ * @param {EpisodeMessage} message
+ * @param {Object} payload
+ * @returns {Promise<void>}
+ */
+async function tryUpdateMessage(message, payload) {
+  try {
+    await updateMessage(message, payload);
+  } catch (error) {
+    console.log(
+      JSON.stringify({
+        msg: "Episode message update failed",
+        channel: message.channel,
+        ts: message.ts,
+        error: /** @type {Error} */ (error).message,
+      }),
+    );
+  }
+}
+
+/**
+ * Updates the state of the alarm's episode after notifications for an event
+ * have been posted. An ALARM starts an episode (or adds to the open one), and
+ * an OK ends it, marking each of the original messages as resolved.
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {AlarmEpisode} episode The episode that was open before the event
+ * @param {EpisodeMessage[]} posted Top-level messages posted for the event
+ * @returns {Promise<void>}
+ */
+export async function recordEpisode(event, episode, posted) {
+  const key = episodeKey(event);
+
+  if (event.detail.state.value === "ALARM" && posted.length) {
+    await stateStore().put(
+      key,
+      {
+        startedAt: episode?.startedAt || event.detail.state.timestamp,
+        messages: [...(episode?.messages || []), ...posted],
+      },
+      EPISODE_TTL_SECONDS,
+    );
+  } else if (event.detail.state.value === "OK" && episode) {
+    const lasted = humanDuration(
+      new Date(episode.startedAt),
+      new Date(event.detail.state.timestamp),
+    );
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const message of episode.messages) {
+      // eslint-disable-next-line no-await-in-loop
+      await tryUpdateMessage(message, {
+        attachments: message.attachments.map((a) => ({
+          ...a,
+          color: "#2eb886",
+          blocks: [
+            ...a.blocks,
+            {
+              type: "context",
+              elements: [
+                {
+                  type: "mrkdwn",
+                  text: `:white_check_mark: *Resolved* after ${lasted}`,
+                },
+              ],
+            },
+          ],
+        })),
+      });
+    }
+
+    await stateStore().delete(key);
+  }
+}
+
+/**
+ * Remembers the messages that said an alarm started flapping, so that they
+ * can be updated while later state changes are collapsed
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {EpisodeMessage[]} notices
+ * @returns {Promise<void>}
+ */
+export async function recordFlapNotices(event, notices) {
+  if (notices.length) {
+    await stateStore().put(
+      flapKey(event),
+      { messages: notices },
+      FLAP_NOTICE_TTL_SECONDS,
+    );
+  }
+}
+
+/**
+ * Replaces the flapping block in each message that said the alarm started
+ * flapping, so that the messages show a running count of transitions.
+ *
+ * Notices are updated from the alarm's state change to ALARM, so they also
+ * show the alarm in ALARM again, even if an OK while flapping had marked them
+ * as resolved. If that OK ended the episode, the top-level notices start a
+ * new one, so that they're resolved again when the alarm is OK.
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {AlarmEpisode} episode The open episode, if there is one
+ * @param {Object} block A flapping block with the current count
+ * @returns {Promise<void>}
+ */
+export async function updateFlapNotices(event, episode, block) {
+  /** @type {{ messages: EpisodeMessage[] }} */
+  const record = await stateStore().get(flapKey(event));
+
+  if (!record) {
+    return;
+  }
+
+  const messages = record.messages.map((m) => ({
+    ...m,
+    attachments: m.attachments.map((a) => ({
+      ...a,
+      blocks: a.blocks.map((b) => (b.block_id === block.block_id ? block : b)),
+    })),
+  }));
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const message of messages) {
+    // eslint-disable-next-line no-await-in-loop
+    await tryUpdateMessage(message, { attachments: message.attachments });
+  }
+
+  await stateStore().put(flapKey(event), { messages }, FLAP_NOTICE_TTL_SECONDS);
+
+  const topLevel = messages.filter((m) => !m.reply).map(({ reply, ...m }) => m);
+
+  if (episode) {
+    // Keep the episode's copies current, so that resolving the messages
+    // doesn't bring back an old count
+    await stateStore().put(
+      episodeKey(event),
+      {
+        ...episode,
+        messages: episode.messages.map(
+          (e) =>
+            topLevel.find((m) => m.channel === e.channel && m.ts === e.ts) || e,
+        ),
+      },
+      EPISODE_TTL_SECONDS,
+    );
+  } else {
+    await recordEpisode(event, episode, topLevel);
+  }
+}
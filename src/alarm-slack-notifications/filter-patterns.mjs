@@ -0,0 +1,154 @@
+/**
+ * Translates CloudWatch Logs filter patterns (as used by metric filters) into
+ * Logs Insights filter commands, so that a query can find the log events that
+ * a metric filter counted.
+ *
+ * Term patterns (e.g., ERROR -Retry "timed out" ?WARN), regular expression
+ * patterns (%...%), and most JSON patterns can be translated. Space-delimited
+ * patterns (e.g., [ip, user, ...]) can't, and neither can JSON patterns that
+ * use wildcards or IS/EXISTS checks.
+ */
+
+/**
+ * @param {String} str
+ * @returns {String}
+ */
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+/**
+ * Returns the terms of a term pattern, keeping quoted phrases together, e.g.,
+ * ?ERROR "timed out" => ["?ERROR", '"timed out"']
+ * @param {String} pattern
+ * @returns {String[]}
+ */
+function terms(pattern) {
+  return pattern.match(/[?-]?"(?:[^"\\]|\\.)*"|\S+/g) || [];
+}
+
+/**
+ * Returns a regular expression literal that matches a term
+ * @param {String} term A term without any ? or - prefix
+ * @returns {String}
+ */
+function termRegex(term) {
+  const text = /^".*"$/.test(term)
+    ? term.slice(1, -1).replace(/\\(.)/g, "$1")
+    : term;
+
+  return `/${escapeRegex(text)}/`;
+}
+
+/**
+ * @param {String} pattern
+ * @returns {String}
+ */
+function termFilter(pattern) {
+  const all = terms(pattern);
+
+  const required = all
+    .filter((t) => !/^[?-]/.test(t))
+    .map((t) => `@message like ${termRegex(t)}`);
+  const excluded = all
+    .filter((t) => t.startsWith("-"))
+    .map((t) => `@message not like ${termRegex(t.slice(1))}`);
+  const optional = all
+    .filter((t) => t.startsWith("?"))
+    .map((t) => `@message like ${termRegex(t.slice(1))}`);
+
+  const conditions = [...required, ...excluded];
+
+  if (optional.length) {
+    conditions.push(
+      optional.length === 1 ? optional[0] : `(${optional.join(" or ")})`,
+    );
+  }
+
+  return conditions.join(" and ");
+}
+
+/**
+ * @param {String} pattern A JSON pattern, e.g., { $.level = "error" }
+ * @returns {String|undefined}
+ */
+function jsonFilter(pattern) {
+  const body = pattern.trim().slice(1, -1).trim();
+
+  // Insights has no equivalent for these, so they can't be translated
+  if (/\bIS\b|\bEXISTS\b|\*"|"\*/.test(body)) {
+    return undefined;
+  }
+
+  return (
+    body
+      // Fields are referenced without the $. selector, and array elements are
+      // referenced with dots, e.g., $.items[0].id => items.0.id
+      .replace(/\$\.([\w.[\]]+)/g, (_, field) =>
+        field.replace(/\[(\d+)\]/g, ".$1"),
+      )
+      .replace(/&&/g, "and")
+      .replace(/\|\|/g, "or")
+  );
+}
+
+/**
+ * Returns the condition for a Logs Insights filter command that matches the
+ * same log events as a filter pattern, or undefined if the pattern can't be
+ * translated. An empty pattern matches every event, so it doesn't need a
+ * filter.
+ * @param {String} pattern
+ * @returns {String|undefined}
+ */
+export function insightsFilter(pattern) {
+  const trimmed = (pattern || "").trim();
+
+  if (!trimmed) {
+    return undefined;
+  }
+
+  if (trimmed.startsWith("{") && trimmed.endsWith("}")) {
+    return jsonFilter(trimmed);
+  }
+
+  if (trimmed.startsWith("[")) {
+    return undefined;
+  }
+
+  if (/^%.*%$/.test(trimmed)) {
+    return `@message like /${trimmed.slice(1, -1)}/`;
+  }
+
+  return termFilter(trimmed);
+}
+
+/**
+ * Returns a Logs Insights query that finds the log events matched by any of
+ * the filter patterns. Patterns that can't be translated are included as
+ * comments, so they're still visible in the query editor.
+ * @param {String[]} patterns
+ * @returns {String}
+ */
+export function insightsQuery(patterns) {
+  const conditions = patterns.map((p) => insightsFilter(p));
+  const untranslated = patterns.filter((p, i) => p.trim() && !conditions[i]);
+
+  const commands = ["fields @timestamp, @message"];
+
+  // An empty pattern, or one that can't be translated, could match anything,
+  // so events are only filtered when every pattern was translated
+  if (conditions.length && conditions.every((c) => c)) {
+    commands.push(
+      conditions.length === 1
+        ? `filter ${conditions[0]}`
+        : `filter ${conditions.map((c) => `(${c})`).join(" or ")}`,
+    );
+  }
+
+  commands.push("sort @timestamp desc");
+
+  return [
+    ...untranslated.map((p) => `# Metric filter pattern: ${p}`),
+    commands.join("\n| "),
+  ].join("\n");
+}
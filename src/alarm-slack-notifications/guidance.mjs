@@ -0,0 +1,96 @@
+/**
+ * Alarms can point responders to more guidance than their description, using
+ * tags on the alarm:
+ *
+ * - prx:ops:runbook-url: A link to a runbook. Only http and https URLs are
+ *   included.
+ * - prx:ops:cloudwatch-dashboard-name: The name of a CloudWatch dashboard in
+ *   the alarm's account and region
+ * - prx:ops:escalation-contact: Who to contact if the alarm can't be resolved,
+ *   e.g., an email address or a Slack handle. Defaults to the alarm's team,
+ *   from its prx:ops:team tag.
+ */
+
+/** @typedef {import('./index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
+/** @typedef {import('@aws-sdk/client-cloudwatch').ListTagsForResourceOutput} ListTagsForResourceOutput */
+
+import { dashboardConsoleUrl } from "./urls.mjs";
+
+const RUNBOOK_TAG = "prx:ops:runbook-url";
+const DASHBOARD_TAG = "prx:ops:cloudwatch-dashboard-name";
+const CONTACT_TAG = "prx:ops:escalation-contact";
+const TEAM_TAG = "prx:ops:team";
+
+/**
+ * @param {ListTagsForResourceOutput} tagList
+ * @param {String} key
+ * @returns {String|undefined}
+ */
+function tagValue(tagList, key) {
+  return tagList?.Tags?.find((t) => t.Key === key)?.Value?.trim() || undefined;
+}
+
+/**
+ * Returns the runbook URL if it's a valid http or https URL, with any
+ * characters that would break a Slack link escaped
+ * @param {String} value
+ * @returns {String|undefined}
+ */
+export function runbookUrl(value) {
+  try {
+    const url = new URL(value);
+
+    if (!["http:", "https:"].includes(url.protocol)) {
+      return undefined;
+    }
+
+    return url.href.replace(/\|/g, "%7C");
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * @param {String} text
+ * @returns {String}
+ */
+function escapeMrkdwn(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Returns a line with links to the alarm's runbook and dashboard, and its
+ * escalation contact, e.g., Runbook • Dashboard • Owner: ops@example.com, or
+ * undefined if none are tagged
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {ListTagsForResourceOutput} tagList
+ * @returns {String|undefined}
+ */
+export function guidanceLine(event, tagList) {
+  const parts = [];
+
+  const runbook = runbookUrl(tagValue(tagList, RUNBOOK_TAG));
+  if (runbook) {
+    parts.push(`<${runbook}|Runbook>`);
+  }
+
+  // Dashboard names can only include letters, numbers, dashes and underscores
+  const dashboard = tagValue(tagList, DASHBOARD_TAG);
+  if (dashboard && /^[A-Za-z0-9_-]+$/.test(dashboard)) {
+    parts.push(`<${dashboardConsoleUrl(event, dashboard)}|Dashboard>`);
+  }
+
+  const contact = tagValue(tagList, CONTACT_TAG) || tagValue(tagList, TEAM_TAG);
+  if (contact) {
+    parts.push(
+      /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(contact)
+        ? `Owner: <mailto:${contact}|${escapeMrkdwn(contact)}>`
+        : `Owner: ${escapeMrkdwn(contact)}`,
+    );
+  }
+
+  return parts.length ? parts.join(" • ") : undefined;
+}
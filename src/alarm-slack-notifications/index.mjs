@@ -34,13 +34,17 @@
 /**
  * @typedef {Object} EventBridgeCloudWatchAlarmsEventDetailConfigurationMetric
  * @property {String} id
- * @property {EventBridgeCloudWatchAlarmsEventDetailConfigurationMetricStat} metricStat
+ * @property {EventBridgeCloudWatchAlarmsEventDetailConfigurationMetricStat} [metricStat]
+ * @property {String} [expression]
+ * @property {String} [label]
+ * @property {Boolean} [returnData]
  */
 
 /**
  * @typedef {Object} EventBridgeCloudWatchAlarmsEventDetailConfiguration
  * @property {String} description
- * @property {EventBridgeCloudWatchAlarmsEventDetailConfigurationMetric[]} metrics
+ * @property {EventBridgeCloudWatchAlarmsEventDetailConfigurationMetric[]} [metrics] Only present for metric alarms
+ * @property {String} [alarmRule] Only present for composite alarms
  */
 
 /**
@@ -53,88 +57,434 @@
 
 /** @typedef { import('aws-lambda').EventBridgeEvent<'CloudWatch Alarm State Change', EventBridgeCloudWatchAlarmsEventDetail> } EventBridgeCloudWatchAlarmsEvent */
 
-import {
-  EventBridgeClient,
-  PutEventsCommand,
-} from "@aws-sdk/client-eventbridge";
+/**
+ * @typedef {Object} HandlingProgress
+ * @property {Boolean} claimed The event was claimed by this invocation
+ * @property {Boolean} delivering Sending to destinations has started
+ */
+
+/**
+ * @typedef {Object} FlapStatus
+ * @property {Boolean} flapping The alarm is flapping as of this state change
+ * @property {Boolean} wasFlapping The alarm was already flapping as of the previous state change
+ * @property {Number} count Transitions to ALARM within the flap window
+ * @property {Number} windowMinutes
+ */
+
+import { setTimeout } from "node:timers/promises";
 import {
   blocks as buildBlocks,
+  detailEnrichment as buildDetailEnrichment,
   fallback as buildFallback,
+  routingEnrichment as buildRoutingEnrichment,
+  flapBlock,
 } from "./builder.mjs";
-import { channel } from "./channels.mjs";
 import { value as colorValue } from "./color.mjs";
+import { claimEvent, releaseEvent } from "./dedup.mjs";
+import {
+  openEpisode,
+  recordEpisode,
+  recordFlapNotices,
+  threadParent,
+  updateFlapNotices,
+} from "./episodes.mjs";
+import {
+  alarmTransitions,
+  flapSettings,
+  isFlapping,
+  transitionCount,
+} from "./flapping.mjs";
+import { muted } from "./maintenance.mjs";
+import { sendEvent } from "./pagerduty.mjs";
+import { route, severity } from "./routing.mjs";
+import { loadSecrets } from "./secrets.mjs";
+import { postMessage, relay } from "./slack.mjs";
+import { suppressed } from "./suppression.mjs";
+import { adaptiveCard, postCard } from "./teams.mjs";
+import { sendWebhook } from "./webhook.mjs";
 
-const eventbridge = new EventBridgeClient({ apiVersion: "2015-10-07" });
+// Leaves time to report a failure and release the event's claim before the
+// function times out
+const TIMEOUT_MARGIN_MS = 3000;
 
 /**
+ * Returns the routing subject for an alarm event. The subject only includes
+ * tags once the alarm has been enriched.
  * @param {EventBridgeCloudWatchAlarmsEvent} event
- * @returns {Promise<void>}
+ * @param {Partial<import('./builder.mjs').AlarmEnrichment>} enriched
+ * @returns {import('./routing.mjs').RoutingSubject}
  */
-export const handler = async (event) => {
-  try {
-    console.log(JSON.stringify(event));
+function routingSubject(event, enriched) {
+  return {
+    source: "notifications",
+    alarmName: event.detail.alarmName,
+    account: event.account,
+    region: event.region,
+    namespace:
+      enriched.desc?.MetricAlarms?.[0]?.Namespace ||
+      event.detail.configuration?.metrics?.find((m) => m.metricStat)?.metricStat
+        .metric.namespace,
+    tags:
+      enriched.tagList &&
+      Object.fromEntries(
+        (enriched.tagList.Tags || []).map((t) => [t.Key, t.Value]),
+      ),
+  };
+}
+
+/**
+ * Returns whether the alarm is flapping, based on its recent history. History
+ * may or may not include the state change that triggered this event yet, so
+ * only items before it are considered and the event itself is added.
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {import('@aws-sdk/client-cloudwatch').DescribeAlarmHistoryOutput} history
+ * @returns {FlapStatus}
+ */
+function flapStatus(event, history) {
+  const settings = flapSettings();
+
+  const at = new Date(event.detail.state.timestamp);
+  const previousAt = new Date(event.detail.previousState.timestamp);
+
+  const previous = alarmTransitions(history?.AlarmHistoryItems).filter(
+    (t) => +t < +at,
+  );
+  const transitions =
+    event.detail.state.value === "ALARM" ? [...previous, at] : previous;
+
+  return {
+    flapping: isFlapping(transitions, at, settings),
+    wasFlapping: isFlapping(previous, previousAt, settings),
+    count: transitionCount(transitions, at, settings),
+    windowMinutes: settings.windowMinutes,
+  };
+}
+
+/**
+ * Returns a mention of the owning team's Slack user group, for alarms severe
+ * enough to warrant one. Only transitions into ALARM include a mention, so
+ * teams aren't paged again when things recover.
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {import('./routing.mjs').RoutingResult} routing
+ * @returns {String}
+ */
+function mention(event, routing) {
+  if (
+    routing.owner?.userGroup &&
+    event.detail.state.value === "ALARM" &&
+    ["FATAL", "ERROR", "CRITICAL", "MAJOR"].includes(
+      severity(event.detail.alarmName),
+    )
+  ) {
+    return `<!subteam^${routing.owner.userGroup}>`;
+  }
+
+  return undefined;
+}
 
-    // Ignore some alarms based on their name
-    if (
-      event.detail.alarmName.includes("AS:In") ||
-      event.detail.alarmName.includes("AS:Out") ||
-      event.detail.alarmName.includes("TargetTracking") ||
-      event.detail.alarmName.includes("ScaleInAlarm") ||
-      event.detail.alarmName.includes("ScaleOutAlarm") ||
-      event.detail.alarmName.includes("Production Pollers Low CPU Usage")
-    ) {
-      return;
+/**
+ * Sends to each destination in turn. A failure is logged rather than thrown,
+ * so that a problem with one destination (e.g., a broken Teams webhook)
+ * doesn't keep the others from being sent. Returns the destinations that
+ * failed.
+ * @param {import('./routing.mjs').RoutingDestination[]} destinations
+ * @param {(destination: import('./routing.mjs').RoutingDestination) => Promise<void>} send
+ * @returns {Promise<import('./routing.mjs').RoutingDestination[]>}
+ */
+async function sendEach(destinations, send) {
+  const failed = [];
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const destination of destinations) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await send(destination);
+    } catch (error) {
+      console.log(
+        JSON.stringify({
+          msg: "Notification delivery failed",
+          type: destination.type || "slack",
+          error: /** @type {Error} */ (error).message,
+        }),
+      );
+      failed.push(destination);
     }
+  }
+
+  return failed;
+}
+
+/**
+ * Throws if any destination failed, once every destination has been tried,
+ * so that the event is reported as not handled successfully
+ * @param {import('./routing.mjs').RoutingDestination[]} failed
+ */
+function assertDelivered(failed) {
+  if (failed.length) {
+    throw new Error(
+      `Delivery failed for ${failed.length} destination(s): ${failed.map((d) => d.type || "slack").join(", ")}`,
+    );
+  }
+}
+
+/**
+ * Rejects once the time has passed, unless it's aborted first
+ * @param {Number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<never>}
+ */
+async function deadline(ms, signal) {
+  try {
+    await setTimeout(ms, undefined, { signal });
+  } catch {
+    // Aborted, because handling finished in time
+    return new Promise(() => {});
+  }
+
+  throw new Error(`Handling did not finish within ${ms}ms`);
+}
+
+/**
+ * Handles an alarm event, recording how far handling got, so that a failure
+ * can be handled appropriately
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {HandlingProgress} progress
+ * @returns {Promise<void>}
+ */
+async function handle(event, progress) {
+  await loadSecrets();
+
+  if (!(await claimEvent("notifications", event))) {
+    return;
+  }
+
+  progress.claimed = true;
+
+  const eventTime = new Date(event.time);
 
-    const blocks = await buildBlocks(event);
-    const fallback = await buildFallback(event);
-
-    await eventbridge.send(
-      new PutEventsCommand({
-        Entries: [
-          {
-            Source: "org.prx.cloudwatch-alarms",
-            DetailType: "Slack Message Relay Message Payload",
-            Detail: JSON.stringify({
-              username: "Amazon CloudWatch Alarms",
-              icon_emoji: ":ops-cloudwatch-alarm:",
-              channel: channel(event),
-              attachments: [
-                {
-                  color: colorValue(event),
-                  fallback,
-                  blocks,
-                },
-              ],
-            }),
-          },
-        ],
+  // Suppression and maintenance windows are checked before the alarm is
+  // enriched, so that the lookups can be skipped for alarms that are
+  // filtered out by name, and again after, once the alarm's tags are known.
+  // An OK during a maintenance window is still sent to PagerDuty, so that
+  // incidents opened before the window started are resolved.
+  const resolving = event.detail.state.value === "OK";
+
+  const basicSubject = routingSubject(event, {});
+  if (
+    suppressed(basicSubject) ||
+    (muted(basicSubject, eventTime) && !resolving)
+  ) {
+    return;
+  }
+
+  const routingEnriched = await buildRoutingEnrichment(event);
+  const subject = routingSubject(event, routingEnriched);
+  const isMuted = muted(subject, eventTime);
+
+  if (suppressed(subject) || (isMuted && !resolving)) {
+    return;
+  }
+
+  const routing = route(subject);
+  console.log(
+    JSON.stringify({
+      msg: "Routed alarm notification",
+      rule: routing.rule?.name,
+      team: routing.owner?.team,
+      destinations: routing.destinations,
+      ...(isMuted && { muted: true }),
+    }),
+  );
+
+  const pagerDutyDestinations = routing.destinations.filter(
+    (d) => d.type === "pagerduty",
+  );
+
+  progress.delivering = true;
+
+  // PagerDuty is sent as soon as the alarm is routed, before the rest of the
+  // alarm's details are fetched, so that paging (and resolving incidents)
+  // never waits on, or fails because of, the other destinations. It gets
+  // every state change, even while the alarm is flapping, since it
+  // deduplicates them itself and incidents must be resolved when the alarm
+  // is OK.
+  const failed = await sendEach(pagerDutyDestinations, (d) =>
+    sendEvent(d, event, routingEnriched),
+  );
+
+  if (isMuted) {
+    assertDelivered(failed);
+    return;
+  }
+
+  const enriched = await buildDetailEnrichment(event, routingEnriched);
+
+  // Once an alarm is flapping, only the state change that started it is
+  // sent, and that message's count is updated with each transition to ALARM
+  // after it. The reminders function sends a notice when it stabilizes.
+  const flap = flapStatus(event, enriched.history);
+  if (flap.flapping && flap.wasFlapping) {
+    console.log(
+      JSON.stringify({
+        msg: "Collapsed flapping alarm notification",
+        alarmName: event.detail.alarmName,
+        count: flap.count,
       }),
     );
+
+    // The episode is still kept up to date, so that an OK while flapping
+    // marks the original messages as resolved, and later notifications
+    // aren't threaded under an episode that has already ended
+    const episode = await openEpisode(event);
+
+    if (event.detail.state.value === "ALARM") {
+      await updateFlapNotices(event, episode, flapBlock(flap));
+    } else {
+      await recordEpisode(event, episode, []);
+    }
+
+    assertDelivered(failed);
+    return;
+  }
+
+  const blocks = await buildBlocks(event, enriched, flap);
+  const fallback = await buildFallback(event);
+
+  const slackDestinations = routing.destinations.filter(
+    (d) => (d.type || "slack") === "slack",
+  );
+  const teamsDestinations = routing.destinations.filter(
+    (d) => d.type === "teams",
+  );
+  const webhookDestinations = routing.destinations.filter(
+    (d) => d.type === "webhook",
+  );
+
+  if (!routing.destinations.length) {
+    return;
+  }
+
+  const text = mention(event, routing);
+  const attachments = [
+    {
+      color: colorValue(event),
+      fallback,
+      blocks,
+    },
+  ];
+
+  // Notifications during an open episode are posted as replies to the
+  // message that started it, when that message is known
+  const episode = await openEpisode(event);
+  const posted = [];
+  const notices = [];
+
+  failed.push(
+    ...(await sendEach(slackDestinations, async (destination) => {
+      const parent = threadParent(episode, destination.channel);
+
+      const ref = await postMessage({
+        username: "Amazon CloudWatch Alarms",
+        icon_emoji: ":ops-cloudwatch-alarm:",
+        channel: destination.channel,
+        ...(parent && { thread_ts: parent.ts }),
+        ...(text && { text }),
+        attachments,
+      });
+
+      if (ref && !parent) {
+        posted.push({
+          destination: destination.channel,
+          ...ref,
+          attachments,
+        });
+      }
+
+      if (ref && flap.flapping) {
+        notices.push({
+          destination: destination.channel,
+          ...ref,
+          attachments,
+          reply: !!parent,
+          ...(parent && { threadTs: parent.ts }),
+        });
+      }
+    })),
+  );
+
+  await recordEpisode(event, episode, posted);
+  await recordFlapNotices(event, notices);
+
+  failed.push(
+    ...(await sendEach(teamsDestinations, (d) =>
+      postCard(d.webhookUrl, adaptiveCard(event, blocks)),
+    )),
+    ...(await sendEach(webhookDestinations, (d) =>
+      sendWebhook(d, event, enriched, flap),
+    )),
+  );
+
+  assertDelivered(failed);
+}
+
+/**
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {import('aws-lambda').Context} [context]
+ * @returns {Promise<void>}
+ */
+export const handler = async (event, context) => {
+  /** @type {HandlingProgress} */
+  const progress = { claimed: false, delivering: false };
+
+  try {
+    console.log(JSON.stringify(event));
+
+    // Handling is abandoned shortly before the function would time out, so
+    // that the failure is still reported, and the claim can be released
+    const timer = new AbortController();
+
+    try {
+      await Promise.race([
+        handle(event, progress),
+        ...(context
+          ? [
+              deadline(
+                context.getRemainingTimeInMillis() - TIMEOUT_MARGIN_MS,
+                timer.signal,
+              ),
+            ]
+          : []),
+      ]);
+    } finally {
+      timer.abort();
+    }
   } catch (error) {
     console.log(error);
 
-    await eventbridge.send(
-      new PutEventsCommand({
-        Entries: [
-          {
-            Source: "org.prx.cloudwatch-alarms",
-            DetailType: "Slack Message Relay Message Payload",
-            Detail: JSON.stringify({
-              username: "Amazon CloudWatch Alarms",
-              icon_emoji: ":ops-cloudwatch-alarm:",
-              channel: "G2QHC2N7K", // #ops-warn
-              text: [
-                "The following CloudWatch alarm event was not handled successfully:",
-                `\n\n*Event ID:* \`${event.id}\`\n\n`,
-                "```",
-                JSON.stringify(event),
-                "```",
-              ].join(""),
-            }),
-          },
-        ],
-      }),
-    );
+    // Until something has been sent, the event can safely be handled again,
+    // so the claim is released and the invocation is retried. After that, a
+    // retry could send duplicates, so the failure is only reported.
+    const retry = progress.claimed && !progress.delivering;
+
+    if (retry) {
+      await releaseEvent("notifications", event);
+    }
+
+    await relay({
+      username: "Amazon CloudWatch Alarms",
+      icon_emoji: ":ops-cloudwatch-alarm:",
+      channel: "G2QHC2N7K", // #ops-warn
+      text: [
+        "The following CloudWatch alarm event was not handled successfully:",
+        `\n\n*Event ID:* \`${event.id}\`\n\n`,
+        "```",
+        JSON.stringify(event),
+        "```",
+      ].join(""),
+    });
+
+    if (retry) {
+      throw error;
+    }
   }
 };
@@ -0,0 +1,210 @@
+/**
+ * Runs a Logs Insights query against an alarm's log groups, so that the most
+ * recent matching log lines can be included in an ALARM notification, without
+ * having to open the Logs Insights console.
+ *
+ * The query comes from the alarm's prx:ops:cloudwatch-logs-insights-query tag,
+ * or from the metric filters that produce the alarm's metric, or else it looks
+ * for common error terms. Queries run with a strict time budget. If results
+ * aren't ready in time, the query is stopped and the notification is sent
+ * without them.
+ *
+ * The log groups are found when the alarm is enriched, since the same log
+ * groups are also linked to from notifications.
+ */
+
+/** @typedef {import('./index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
+/** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} DescribeAlarmsOutput */
+/** @typedef {import('./log-groups.mjs').AlarmLogGroups} AlarmLogGroups */
+/** @typedef {import('@aws-sdk/client-cloudwatch-logs').ResultField} ResultField */
+
+import { setTimeout } from "node:timers/promises";
+import {
+  CloudWatchLogsClient,
+  GetQueryResultsCommand,
+  StartQueryCommand,
+  StopQueryCommand,
+} from "@aws-sdk/client-cloudwatch-logs";
+import { accounts } from "./accounts.mjs";
+import { insightsQuery } from "./filter-patterns.mjs";
+import { problemStart } from "./urls.mjs";
+
+// Everything, from starting the query to getting its results, must finish
+// within this time
+const TIME_BUDGET_MS = 4000;
+const POLL_INTERVAL_MS = 500;
+
+// The query looks back at least this far, even if the problem started more
+// recently, and no further than the maximum
+const MIN_WINDOW_MS = 10 * 60 * 1000;
+const MAX_WINDOW_MS = 3 * 60 * 60 * 1000;
+
+const MAX_LINES = 5;
+const MAX_LINE_LENGTH = 300;
+
+const DEFAULT_QUERY = [
+  "fields @timestamp, @message",
+  "filter @message like /(?i)(error|exception|fatal|panic|traceback)/",
+  "sort @timestamp desc",
+].join("\n| ");
+
+/**
+ * Returns the query to run for an alarm
+ * @param {AlarmLogGroups} groups
+ * @returns {String}
+ */
+function excerptQuery(groups) {
+  if (groups.query) {
+    return groups.query;
+  }
+
+  if (groups.filterPatterns.length) {
+    return insightsQuery(groups.filterPatterns);
+  }
+
+  return DEFAULT_QUERY;
+}
+
+/**
+ * Returns a log line that's safe to include in a Slack code block
+ * @param {ResultField[]} row
+ * @returns {String}
+ */
+function excerptLine(row) {
+  const timestamp = row.find((f) => f.field === "@timestamp")?.value;
+  const message = row.find((f) => f.field === "@message")?.value;
+
+  // Queries from tags may not include @message, so fall back to every field
+  const text = (
+    message ??
+    row
+      .filter((f) => f.field !== "@ptr")
+      .map((f) => f.value)
+      .join(" ")
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+
+  const line = [timestamp, text].filter((v) => v).join(" ");
+
+  return (
+    line.length > MAX_LINE_LENGTH
+      ? `${line.substring(0, MAX_LINE_LENGTH - 1)}…`
+      : line
+  )
+    .replace(/```/g, "'''")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Runs the query until it completes or the deadline passes, and returns the
+ * matching rows, or undefined if the query didn't finish in time
+ * @param {CloudWatchLogsClient} logs
+ * @param {String} queryId
+ * @param {Number} deadline
+ * @returns {Promise<ResultField[][]>}
+ */
+async function queryResults(logs, queryId, deadline) {
+  while (Date.now() + POLL_INTERVAL_MS < deadline) {
+    // eslint-disable-next-line no-await-in-loop
+    await setTimeout(POLL_INTERVAL_MS);
+
+    // eslint-disable-next-line no-await-in-loop
+    const data = await logs.send(new GetQueryResultsCommand({ queryId }));
+
+    if (data.status === "Complete") {
+      return data.results || [];
+    }
+
+    if (!["Scheduled", "Running"].includes(data.status)) {
+      throw new Error(`Query ended with status ${data.status}`);
+    }
+  }
+
+  // Stopping the query saves the cost of scanning logs that won't be used
+  logs.send(new StopQueryCommand({ queryId })).catch(() => {});
+  return undefined;
+}
+
+/**
+ * Returns the lines to include in a message, or undefined if the query
+ * didn't finish in time
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {AlarmLogGroups} groups
+ * @param {Number} deadline
+ * @returns {Promise<String[]>}
+ */
+async function excerptLines(event, groups, deadline) {
+  const end = Date.now();
+  const start = Date.parse(problemStart(event) || "") || end;
+  const windowMs = Math.min(
+    Math.max(end - start, MIN_WINDOW_MS),
+    MAX_WINDOW_MS,
+  );
+
+  const logs = accounts.client(
+    CloudWatchLogsClient,
+    event.account,
+    event.region,
+    { apiVersion: "2014-03-28" },
+  );
+
+  const query = await logs.send(
+    new StartQueryCommand({
+      logGroupNames: groups.names.slice(0, 50),
+      startTime: Math.floor((end - windowMs) / 1000),
+      endTime: Math.ceil(end / 1000),
+      queryString: excerptQuery(groups),
+      limit: MAX_LINES,
+    }),
+  );
+
+  const rows = await queryResults(logs, query.queryId, deadline);
+
+  return rows?.slice(0, MAX_LINES).map((row) => excerptLine(row));
+}
+
+/**
+ * Returns a block with recent log lines for an alarm in the ALARM state, if
+ * any can be found within the time budget
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} desc
+ * @param {AlarmLogGroups} groups
+ * @returns {Promise<Object|undefined>}
+ */
+export async function logExcerptBlock(event, desc, groups) {
+  if (
+    event.detail.state.value !== "ALARM" ||
+    !desc?.MetricAlarms?.length ||
+    !groups?.names.length
+  ) {
+    return undefined;
+  }
+
+  const deadline = Date.now() + TIME_BUDGET_MS;
+
+  // Starting the query can be slow too, so the whole excerpt is abandoned
+  // once the deadline passes
+  const lines = await Promise.race([
+    excerptLines(event, groups, deadline),
+    setTimeout(TIME_BUDGET_MS, undefined, { ref: false }),
+  ]);
+
+  if (!lines) {
+    throw new Error(`No results within ${TIME_BUDGET_MS}ms`);
+  }
+
+  if (!lines.length) {
+    return undefined;
+  }
+
+  return {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: `*Recent logs:*\n\`\`\`\n${lines.join("\n")}\n\`\`\``,
+    },
+  };
+}
@@ -2,73 +2,418 @@
 /** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} DescribeAlarmsOutput */
 /** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmHistoryOutput} DescribeAlarmHistoryOutput */
 /** @typedef {import('@aws-sdk/client-cloudwatch').ListTagsForResourceOutput} ListTagsForResourceOutput */
+/** @typedef {import('@aws-sdk/client-cloudwatch').Metric} Metric */
+/** @typedef {import('@aws-sdk/client-cloudwatch-logs').MetricFilter} MetricFilter */
 
-// Alarms with certain namespaces can look up a log group from their resource
-// tags, when there's no way to infer the log group from the alarm's
-// configuration. This could include any namespaces, but it's limited to only
-// those actively employing this strategy, to limit unnecessary API requests.
-const TAGGED = [
-  // AWS/Lambda included by default
-  // AWS/States included by default
-  "AWS/ApplicationELB",
-  "PRX/Dovetail/Router",
-  "PRX/Dovetail/Legacy",
-  "PRX/Dovetail/Counts",
-  "PRX/Dovetail/Analytics",
-  "PRX/Augury",
-  "PRX/Feeder",
-  "PRX/Clickhouse",
-];
+/**
+ * @typedef {Object} AlarmLogGroups
+ * @property {String[]} names
+ * @property {String[]} filterPatterns Patterns of the metric filters that produce the alarm's metrics, if any
+ * @property {String} [query] A Logs Insights query for the log groups, from the alarm's prx:ops:cloudwatch-logs-insights-query tag
+ */
 
 /**
- * Returns the name of a log group associated with the alarm that triggerd
- * and event.
- * @param {EventBridgeCloudWatchAlarmsEvent} _event
- * @param {DescribeAlarmsOutput} desc
- * @param {ListTagsForResourceOutput} tagList
- * @returns {Promise<String>}
+ * Returns the names of log groups for a metric, given the value of each of
+ * its dimensions. Resolvers may look up resources in the alarm's account.
+ * @callback LogGroupResolver
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {Object.<string, string>} dimensions
+ * @returns {Promise<String[]>}
  */
-export async function logGroupName(_event, desc, tagList) {
-  // For Lambda alarms, look for a FunctionName dimension, and use that name
-  // to construct the log group name
-  if (
-    desc?.MetricAlarms?.[0]?.Namespace === "AWS/Lambda" &&
-    desc?.MetricAlarms?.[0]?.Dimensions?.length
-  ) {
-    const functionDimension = desc.MetricAlarms[0].Dimensions.find(
-      (d) => d.Name === "FunctionName",
+
+import {
+  APIGatewayClient,
+  GetStageCommand,
+  paginateGetRestApis,
+} from "@aws-sdk/client-api-gateway";
+import {
+  ApiGatewayV2Client,
+  GetStageCommand as GetV2StageCommand,
+} from "@aws-sdk/client-apigatewayv2";
+import {
+  CloudWatchLogsClient,
+  DescribeMetricFiltersCommand,
+} from "@aws-sdk/client-cloudwatch-logs";
+import {
+  BatchGetProjectsCommand,
+  CodeBuildClient,
+} from "@aws-sdk/client-codebuild";
+import {
+  DescribeServicesCommand,
+  DescribeTaskDefinitionCommand,
+  ECSClient,
+} from "@aws-sdk/client-ecs";
+import {
+  DescribeDBClustersCommand,
+  DescribeDBInstancesCommand,
+  RDSClient,
+} from "@aws-sdk/client-rds";
+import { DescribeStateMachineCommand, SFNClient } from "@aws-sdk/client-sfn";
+import { accounts } from "./accounts.mjs";
+import { alarmMetrics, metricDimensions } from "./queries.mjs";
+
+/**
+ * Returns the name of a log group from its ARN, which may end in :*
+ * @param {String} arn
+ * @returns {String}
+ */
+function logGroupFromArn(arn) {
+  return arn?.split(":log-group:")[1]?.replace(/:\*$/, "");
+}
+
+/**
+ * Log groups for ECS services come from the awslogs configuration of each
+ * container in the service's current task definition
+ * @type {LogGroupResolver}
+ */
+async function ecsLogGroups(event, dimensions) {
+  if (!dimensions.ClusterName || !dimensions.ServiceName) {
+    return [];
+  }
+
+  const ecs = accounts.client(ECSClient, event.account, event.region, {
+    apiVersion: "2014-11-13",
+  });
+
+  const services = await ecs.send(
+    new DescribeServicesCommand({
+      cluster: dimensions.ClusterName,
+      services: [dimensions.ServiceName],
+    }),
+  );
+
+  const taskDefinition = services.services?.[0]?.taskDefinition;
+
+  if (!taskDefinition) {
+    return [];
+  }
+
+  const task = await ecs.send(
+    new DescribeTaskDefinitionCommand({ taskDefinition }),
+  );
+
+  return (task.taskDefinition?.containerDefinitions || [])
+    .filter((c) => c.logConfiguration?.logDriver === "awslogs")
+    .map((c) => c.logConfiguration.options?.["awslogs-group"]);
+}
+
+/**
+ * Log groups for API Gateway stages are the access log destination, and, for
+ * REST APIs with execution logging enabled, the execution log group. REST API
+ * metrics identify the API by name, and HTTP and WebSocket API metrics
+ * identify it by ID.
+ * @type {LogGroupResolver}
+ */
+async function apiGatewayLogGroups(event, dimensions) {
+  if (!dimensions.Stage) {
+    return [];
+  }
+
+  if (dimensions.ApiId) {
+    const apigatewayv2 = accounts.client(
+      ApiGatewayV2Client,
+      event.account,
+      event.region,
+      { apiVersion: "2018-11-29" },
     );
 
-    if (functionDimension) {
-      return `/aws/lambda/${functionDimension.Value}`;
-    }
+    const stage = await apigatewayv2.send(
+      new GetV2StageCommand({
+        ApiId: dimensions.ApiId,
+        StageName: dimensions.Stage,
+      }),
+    );
+
+    return [logGroupFromArn(stage.AccessLogSettings?.DestinationArn)];
   }
-  // For Step Function alarms for Lambda states, look for a LambdaFunctionArn
-  // dimension, and use that to construct the log group name
-  else if (
-    desc?.MetricAlarms?.[0]?.Namespace === "AWS/States" &&
-    desc?.MetricAlarms?.[0]?.Dimensions?.length
-  ) {
-    const functionDimension = desc.MetricAlarms[0].Dimensions.find(
-      (d) => d.Name === "LambdaFunctionArn",
+
+  if (dimensions.ApiName) {
+    const apigateway = accounts.client(
+      APIGatewayClient,
+      event.account,
+      event.region,
+      { apiVersion: "2015-07-09" },
     );
 
-    if (functionDimension) {
-      return `/aws/lambda/${functionDimension.Value.split(":function:")[1]}`;
+    let restApiId;
+
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const page of paginateGetRestApis({ client: apigateway }, {})) {
+      restApiId = page.items?.find((a) => a.name === dimensions.ApiName)?.id;
+
+      if (restApiId) {
+        break;
+      }
+    }
+
+    if (!restApiId) {
+      return [];
     }
+
+    const stage = await apigateway.send(
+      new GetStageCommand({ restApiId, stageName: dimensions.Stage }),
+    );
+
+    const executionLogging = Object.values(stage.methodSettings || {}).some(
+      (s) => s.loggingLevel && s.loggingLevel !== "OFF",
+    );
+
+    return [
+      logGroupFromArn(stage.accessLogSettings?.destinationArn),
+      executionLogging
+        ? `API-Gateway-Execution-Logs_${restApiId}/${dimensions.Stage}`
+        : undefined,
+    ];
+  }
+
+  return [];
+}
+
+/**
+ * CodeBuild projects log to /aws/codebuild/<project> unless they've been
+ * configured with a different group, or with CloudWatch Logs disabled
+ * @type {LogGroupResolver}
+ */
+async function codeBuildLogGroups(event, dimensions) {
+  if (!dimensions.ProjectName) {
+    return [];
+  }
+
+  const codebuild = accounts.client(
+    CodeBuildClient,
+    event.account,
+    event.region,
+    { apiVersion: "2016-10-06" },
+  );
+
+  const data = await codebuild.send(
+    new BatchGetProjectsCommand({ names: [dimensions.ProjectName] }),
+  );
+
+  const project = data.projects?.[0];
+
+  if (!project || project.logsConfig?.cloudWatchLogs?.status === "DISABLED") {
+    return [];
+  }
+
+  return [
+    project.logsConfig?.cloudWatchLogs?.groupName ||
+      `/aws/codebuild/${project.name}`,
+  ];
+}
+
+/**
+ * RDS instances and clusters have a log group for each type of log that's
+ * exported to CloudWatch Logs
+ * @type {LogGroupResolver}
+ */
+async function rdsLogGroups(event, dimensions) {
+  const rds = accounts.client(RDSClient, event.account, event.region, {
+    apiVersion: "2014-10-31",
+  });
+
+  if (dimensions.DBInstanceIdentifier) {
+    const id = dimensions.DBInstanceIdentifier;
+    const data = await rds.send(
+      new DescribeDBInstancesCommand({ DBInstanceIdentifier: id }),
+    );
+
+    return (data.DBInstances?.[0]?.EnabledCloudwatchLogsExports || []).map(
+      (type) => `/aws/rds/instance/${id}/${type}`,
+    );
   }
-  // If the alarm belongs to one of the namespaces that is listed above,
-  // the tags on the alarm should be inspected to see if an explicit log
-  // group name is specified. If so, use that.
-  else if (TAGGED.includes(desc?.MetricAlarms?.[0]?.Namespace)) {
-    const logGroupNameTag = tagList?.Tags?.find(
-      (t) => t.Key === "prx:ops:cloudwatch-log-group-name",
+
+  if (dimensions.DBClusterIdentifier) {
+    const id = dimensions.DBClusterIdentifier;
+    const data = await rds.send(
+      new DescribeDBClustersCommand({ DBClusterIdentifier: id }),
     );
 
-    if (logGroupNameTag) {
-      return logGroupNameTag.Value;
-    }
+    return (data.DBClusters?.[0]?.EnabledCloudwatchLogsExports || []).map(
+      (type) => `/aws/rds/cluster/${id}/${type}`,
+    );
+  }
+
+  return [];
+}
+
+/**
+ * Step Functions alarms for Lambda states have a LambdaFunctionArn dimension,
+ * which is used to construct the function's log group name. Alarms for state
+ * machines use the state machine's logging configuration.
+ * @type {LogGroupResolver}
+ */
+async function stepFunctionsLogGroups(event, dimensions) {
+  if (dimensions.LambdaFunctionArn) {
+    return [
+      `/aws/lambda/${dimensions.LambdaFunctionArn.split(":function:")[1]}`,
+    ];
+  }
+
+  if (!dimensions.StateMachineArn) {
+    return [];
+  }
+
+  const sfn = accounts.client(SFNClient, event.account, event.region, {
+    apiVersion: "2016-11-23",
+  });
+
+  const data = await sfn.send(
+    new DescribeStateMachineCommand({
+      stateMachineArn: dimensions.StateMachineArn,
+    }),
+  );
+
+  return (data.loggingConfiguration?.destinations || []).map((d) =>
+    logGroupFromArn(d.cloudWatchLogsLogGroup?.logGroupArn),
+  );
+}
+
+/** @type {Object.<string, LogGroupResolver>} */
+const RESOLVERS = {
+  // For Lambda alarms, look for a FunctionName dimension, and use that name
+  // to construct the log group name
+  "AWS/Lambda": async (_event, dimensions) =>
+    dimensions.FunctionName ? [`/aws/lambda/${dimensions.FunctionName}`] : [],
+  "AWS/States": stepFunctionsLogGroups,
+  "AWS/ECS": ecsLogGroups,
+  "ECS/ContainerInsights": ecsLogGroups,
+  "AWS/ApiGateway": apiGatewayLogGroups,
+  "AWS/CodeBuild": codeBuildLogGroups,
+  "AWS/RDS": rdsLogGroups,
+};
+
+/**
+ * Custom metrics are often created by metric filters, in which case the
+ * filter identifies the log group, as well as the pattern that matches the
+ * log events that were counted
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {Metric} metric
+ * @returns {Promise<MetricFilter[]>}
+ */
+async function metricFilters(event, metric) {
+  const logs = accounts.client(
+    CloudWatchLogsClient,
+    event.account,
+    event.region,
+    { apiVersion: "2014-03-28" },
+  );
+
+  const data = await logs.send(
+    new DescribeMetricFiltersCommand({
+      metricName: metric.MetricName,
+      metricNamespace: metric.Namespace,
+    }),
+  );
+
+  return data.metricFilters || [];
+}
+
+/**
+ * Runs a lookup for a metric. Lookups that fail, e.g., because the role in
+ * the alarm's account can't read a resource, are skipped. The permissions
+ * that lookups need are listed in the README.
+ * @template T
+ * @param {Metric} metric
+ * @param {() => Promise<T[]>} fn
+ * @returns {Promise<T[]>}
+ */
+async function lookup(metric, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    console.log(
+      JSON.stringify({
+        msg: "Log group lookup failed",
+        namespace: metric.Namespace,
+        metricName: metric.MetricName,
+        error: /** @type {Error} */ (error).message,
+      }),
+    );
+    return [];
+  }
+}
+
+/**
+ * Returns the log groups from the alarm's prx:ops:cloudwatch-log-group-name
+ * tag, if it has one. These are known without any other lookups.
+ * @param {ListTagsForResourceOutput} tagList
+ * @returns {AlarmLogGroups|undefined}
+ */
+export function taggedLogGroups(tagList) {
+  const logGroupNameTag = tagList?.Tags?.find(
+    (t) => t.Key === "prx:ops:cloudwatch-log-group-name",
+  );
+
+  if (!logGroupNameTag) {
+    return undefined;
   }
 
-  return undefined;
+  const query = tagList.Tags.find(
+    (t) => t.Key === "prx:ops:cloudwatch-logs-insights-query",
+  )?.Value;
+
+  return {
+    names: logGroupNameTag.Value.split(/\s+/).filter((n) => n),
+    filterPatterns: [],
+    ...(query && { query }),
+  };
+}
+
+/**
+ * Returns the log groups associated with the alarm that triggered an event,
+ * and the query to run against them, if the alarm has one.
+ *
+ * Log groups can be set explicitly with the alarm's
+ * prx:ops:cloudwatch-log-group-name tag, with several log groups separated by
+ * spaces. Otherwise, log groups for AWS namespaces are found from the
+ * resources in the metric's dimensions, and log groups for custom namespaces
+ * are found from metric filters.
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} desc
+ * @param {ListTagsForResourceOutput} tagList
+ * @returns {Promise<AlarmLogGroups>}
+ */
+export async function logGroups(event, desc, tagList) {
+  const tagged = taggedLogGroups(tagList);
+
+  if (tagged) {
+    return tagged;
+  }
+
+  const query = tagList?.Tags?.find(
+    (t) => t.Key === "prx:ops:cloudwatch-logs-insights-query",
+  )?.Value;
+
+  const metrics = alarmMetrics(desc);
+
+  const resolved = await Promise.all(
+    metrics
+      .filter((m) => RESOLVERS[m.Namespace])
+      .map((m) =>
+        lookup(m, () => RESOLVERS[m.Namespace](event, metricDimensions(m))),
+      ),
+  );
+
+  const filters = (
+    await Promise.all(
+      metrics
+        .filter(
+          (m) => !RESOLVERS[m.Namespace] && !m.Namespace.startsWith("AWS/"),
+        )
+        .map((m) => lookup(m, () => metricFilters(event, m))),
+    )
+  ).flat();
+
+  return {
+    names: [
+      ...new Set(
+        [...resolved.flat(), ...filters.map((f) => f.logGroupName)].filter(
+          (n) => n,
+        ),
+      ),
+    ],
+    filterPatterns: [...new Set(filters.map((f) => f.filterPattern || ""))],
+    ...(query && { query }),
+  };
 }
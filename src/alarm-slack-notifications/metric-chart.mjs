@@ -0,0 +1,115 @@
+/** @typedef {import('./index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
+/** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} DescribeAlarmsOutput */
+/** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmHistoryOutput} DescribeAlarmHistoryOutput */
+/** @typedef {import('@aws-sdk/client-cloudwatch').CloudWatchClient} CloudWatchClient */
+/** @typedef {import('@aws-sdk/client-cloudwatch').MetricAlarm} MetricAlarm */
+/** @typedef {import('@aws-sdk/client-cloudwatch').MetricDataQuery} MetricDataQuery */
+
+import { GetMetricDataCommand, ScanBy } from "@aws-sdk/client-cloudwatch";
+import { renderChart } from "./chart.mjs";
+import {
+  isAnomalyDetection,
+  isMetricMath,
+  metricDataQueries,
+  returnDataQuery,
+} from "./queries.mjs";
+import { canReference, uploadFile } from "./slack.mjs";
+import { alarmWindows } from "./urls.mjs";
+
+// Matches the time range of the Metrics console link
+const CHART_HOURS = 3;
+
+/**
+ * Returns the queries for the metric or expression that an alarm evaluates,
+ * and the ID of the query with the values to chart
+ * @param {MetricAlarm} alarm
+ * @returns {{ queries: MetricDataQuery[], id: String }}
+ */
+function chartQueries(alarm) {
+  if (isMetricMath(alarm)) {
+    const id = returnDataQuery(alarm).Id;
+
+    return {
+      id,
+      queries: metricDataQueries(alarm, [id]),
+    };
+  }
+
+  return {
+    id: "chart",
+    queries: [
+      {
+        Id: "chart",
+        MetricStat: {
+          Metric: {
+            Namespace: alarm.Namespace,
+            MetricName: alarm.MetricName,
+            Dimensions: alarm.Dimensions || [],
+          },
+          Period: alarm.Period,
+          Stat: alarm.Statistic || alarm.ExtendedStatistic,
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Returns a Slack image block with a chart of the alarm's metric over the
+ * last few hours, including its threshold and when it was in ALARM. Images
+ * must be uploaded to Slack, so charts are only included when messages are
+ * posted with the Slack Web API.
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} desc
+ * @param {DescribeAlarmHistoryOutput} history
+ * @param {CloudWatchClient} cloudWatchClient
+ * @returns {Promise<Object>}
+ */
+export async function chartBlock(event, desc, history, cloudWatchClient) {
+  const alarm = desc?.MetricAlarms?.[0];
+
+  if (!canReference() || !cloudWatchClient || !alarm) {
+    return undefined;
+  }
+
+  const end = new Date();
+  const start = new Date(+end - CHART_HOURS * 3600 * 1000);
+
+  const { queries, id } = chartQueries(alarm);
+
+  const data = await cloudWatchClient.send(
+    new GetMetricDataCommand({
+      StartTime: start,
+      EndTime: end,
+      ScanBy: ScanBy.TIMESTAMP_ASCENDING,
+      MetricDataQueries: queries,
+    }),
+  );
+
+  const result = data.MetricDataResults?.find((r) => r.Id === id);
+
+  if (!result?.Values?.length) {
+    return undefined;
+  }
+
+  const png = renderChart({
+    start,
+    end,
+    points: result.Timestamps.map((timestamp, i) => ({
+      timestamp,
+      value: result.Values[i],
+    })),
+    // Anomaly detection alarms don't have a fixed threshold
+    ...(!isAnomalyDetection(alarm) && { threshold: alarm.Threshold }),
+    windows: alarmWindows(history),
+  });
+
+  const title = `${event.detail.alarmName} (last ${CHART_HOURS} hours)`;
+  const fileId = await uploadFile(png, "alarm-chart.png", title);
+
+  return {
+    type: "image",
+    slack_file: { id: fileId },
+    alt_text: title,
+  };
+}
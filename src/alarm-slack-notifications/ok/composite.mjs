@@ -0,0 +1,119 @@
+/** @typedef {import('../index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
+/** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} DescribeAlarmsOutput */
+/** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmHistoryOutput} DescribeAlarmHistoryOutput */
+/** @typedef {import('@aws-sdk/client-cloudwatch').CloudWatchClient} CloudWatchClient */
+/** @typedef {import('@aws-sdk/client-cloudwatch').MetricAlarm} MetricAlarm */
+/** @typedef {import('@aws-sdk/client-cloudwatch').CompositeAlarm} CompositeAlarm */
+
+import { rule } from "../alarm/composite.mjs";
+import { escapeName } from "../alarm-rule.mjs";
+import {
+  childEvent,
+  describeChildren,
+  triggeringAlarmNames,
+} from "../composite-children.mjs";
+import { alarmConsoleUrl, metricsConsoleUrl } from "../urls.mjs";
+
+/**
+ * Returns the duration of the composite alarm and a link to the metrics of
+ * its children. A composite alarm's ALARM state begins exactly when the
+ * previous state was entered.
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} desc
+ * @param {DescribeAlarmsOutput} children
+ * @returns {String[]}
+ */
+function basics(event, desc, children) {
+  let line = "";
+
+  if (
+    event.detail.previousState?.value === "ALARM" &&
+    event.detail.previousState?.timestamp &&
+    event.detail.state?.timestamp
+  ) {
+    const difSec =
+      (Date.parse(event.detail.state.timestamp) -
+        Date.parse(event.detail.previousState.timestamp)) /
+      1000;
+
+    let durationValue = Math.round(difSec);
+    let durationUnit = "seconds";
+
+    if (difSec >= 3600) {
+      durationValue = Math.round(difSec / 3600);
+      durationUnit = "hours";
+    } else if (difSec >= 60) {
+      durationValue = Math.round(difSec / 60);
+      durationUnit = "minutes";
+    }
+
+    line = line.concat(`*Alarm duration:* ${durationValue} ${durationUnit} | `);
+  }
+
+  const metricsUrl = metricsConsoleUrl(event, desc, undefined, children);
+  line = line.concat(`*CloudWatch:* <${metricsUrl}|Metrics>`);
+
+  return [line];
+}
+
+/**
+ * Returns the child alarms that recovered during the composite alarm's ALARM
+ * episode, as well as any children that are still in ALARM (which is possible
+ * when the rule requires several children to be alarming together).
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} children
+ * @returns {String[]}
+ */
+function recoveredChildren(event, children) {
+  const all = [...children.CompositeAlarms, ...children.MetricAlarms];
+
+  const episodeStart = Date.parse(event.detail.previousState?.timestamp);
+  const triggering = triggeringAlarmNames(
+    event.detail.previousState?.reasonData,
+  );
+
+  const link = (a) =>
+    `<${alarmConsoleUrl(childEvent(event, a))}|${escapeName(a.AlarmName)}>`;
+
+  const recovered = all.filter(
+    (a) =>
+      a.StateValue !== "ALARM" &&
+      (triggering.includes(a.AlarmName) ||
+        +a.StateUpdatedTimestamp >= episodeStart),
+  );
+  const alarming = all.filter((a) => a.StateValue === "ALARM");
+
+  const lines = [];
+
+  if (recovered.length) {
+    lines.push(
+      `*Recovered:* ${recovered
+        .map((a) => `${link(a)} (\`${a.StateValue}\`)`)
+        .join(", ")}`,
+    );
+  }
+
+  if (alarming.length) {
+    lines.push(`*Still in ALARM:* ${alarming.map(link).join(", ")}`);
+  }
+
+  return lines;
+}
+
+/**
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} desc
+ * @param {DescribeAlarmHistoryOutput} _history
+ * @param {CloudWatchClient} cloudWatchClient
+ * @returns {Promise<String[]>}
+ */
+export async function detailLines(event, desc, _history, cloudWatchClient) {
+  const composite = desc.CompositeAlarms[0];
+  const children = await describeChildren(cloudWatchClient, composite);
+
+  return [
+    ...basics(event, desc, children),
+    ...rule(composite),
+    ...recoveredChildren(event, children),
+  ];
+}
@@ -11,6 +11,12 @@ export function comparison(operator) {
       return "<";
     case "LessThanOrEqualToThreshold":
       return "≤";
+    case "GreaterThanUpperThreshold":
+      return ">";
+    case "LessThanLowerThreshold":
+      return "<";
+    case "LessThanLowerOrGreaterThanUpperThreshold":
+      return "<>";
     default:
       return "???";
   }
@@ -29,6 +35,29 @@ export function ascii(operator) {
       return "<";
     case "LessThanOrEqualToThreshold":
       return "<=";
+    case "GreaterThanUpperThreshold":
+      return ">";
+    case "LessThanLowerThreshold":
+      return "<";
+    case "LessThanLowerOrGreaterThanUpperThreshold":
+      return "<>";
+    default:
+      return "???";
+  }
+}
+
+/**
+ * Describes how an anomaly detection alarm's metric relates to its band
+ * @param {'GreaterThanUpperThreshold'|'LessThanLowerThreshold'|'LessThanLowerOrGreaterThanUpperThreshold'|String} operator
+ */
+export function band(operator) {
+  switch (operator) {
+    case "GreaterThanUpperThreshold":
+      return "above the expected band";
+    case "LessThanLowerThreshold":
+      return "below the expected band";
+    case "LessThanLowerOrGreaterThanUpperThreshold":
+      return "outside the expected band";
     default:
       return "???";
   }
@@ -0,0 +1,177 @@
+/**
+ * Sends alarm state changes to PagerDuty with the Events API v2 [1]. An ALARM
+ * triggers an incident and an OK resolves it. Both use the same dedup key,
+ * so repeated ALARMs for an alarm that's already triggered don't create new
+ * incidents.
+ *
+ * Events are sent to PAGERDUTY_EVENTS_URL when it's set (e.g., to test with a
+ * local HTTP server), or to the PagerDuty endpoint otherwise. The integration
+ * key can be set per destination, or with PAGERDUTY_ROUTING_KEY.
+ *
+ * Events are sent as soon as an alarm is routed, before its history and log
+ * groups are fetched, so an incident only links to logs when the alarm's log
+ * groups are set by its tags.
+ *
+ * 1. https://developer.pagerduty.com/docs/events-api-v2/overview/
+ */
+
+/** @typedef {import('./index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
+/** @typedef {import('./builder.mjs').AlarmEnrichment} AlarmEnrichment */
+/** @typedef {import('./routing.mjs').RoutingDestination} RoutingDestination */
+
+import { comparison } from "./operators.mjs";
+import { severity } from "./routing.mjs";
+import { alarmConsoleUrl, logsConsoleUrl, metricsConsoleUrl } from "./urls.mjs";
+
+const EVENTS_URL = "https://events.pagerduty.com/v2/enqueue";
+
+// A request that takes longer than this is abandoned, and the destination is
+// treated as failed, so that a slow endpoint can't hold up the invocation
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Returns a key that identifies an alarm across the organization. PagerDuty
+ * limits dedup keys to 255 characters.
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @returns {String}
+ */
+export function dedupKey(event) {
+  return `${event.account}:${event.region}:${event.detail.alarmName}`.substring(
+    0,
+    255,
+  );
+}
+
+/**
+ * Returns the PagerDuty severity for an alarm, based on its name
+ * @param {String} alarmName
+ * @returns {'critical'|'error'|'warning'|'info'}
+ */
+export function pagerDutySeverity(alarmName) {
+  switch (severity(alarmName)) {
+    case "FATAL":
+    case "CRITICAL":
+      return "critical";
+    case "WARN":
+    case "MINOR":
+      return "warning";
+    case "INFO":
+      return "info";
+    default:
+      return "error";
+  }
+}
+
+/**
+ * Returns the PagerDuty event for an alarm state change, or undefined for
+ * states that don't map to an event action
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {AlarmEnrichment} enriched
+ * @param {String} routingKey
+ * @returns {Promise<Object>}
+ */
+export async function pagerDutyEvent(event, enriched, routingKey) {
+  const key = dedupKey(event);
+
+  if (event.detail.state.value === "OK") {
+    return { routing_key: routingKey, event_action: "resolve", dedup_key: key };
+  }
+
+  if (event.detail.state.value !== "ALARM") {
+    return undefined;
+  }
+
+  const alarm = enriched.desc?.MetricAlarms?.[0];
+  const metricsUrl = enriched.desc
+    ? metricsConsoleUrl(event, enriched.desc, enriched.history)
+    : "";
+  const logsUrl = logsConsoleUrl(event, enriched.logGroups);
+
+  return {
+    routing_key: routingKey,
+    event_action: "trigger",
+    dedup_key: key,
+    client: "CloudWatch Toolkit",
+    client_url: alarmConsoleUrl(event),
+    payload: {
+      summary: event.detail.alarmName.substring(0, 1024),
+      source: `${event.account}/${event.region}`,
+      severity: pagerDutySeverity(event.detail.alarmName),
+      timestamp: event.detail.state.timestamp,
+      class: "CloudWatch Alarm",
+      ...(alarm?.Namespace && { component: alarm.Namespace }),
+      custom_details: {
+        account: event.account,
+        region: event.region,
+        reason: event.detail.state.reason,
+        ...(event.detail.configuration?.description && {
+          description: event.detail.configuration.description,
+        }),
+        ...(alarm?.MetricName && {
+          metric: alarm.MetricName,
+          dimensions: Object.fromEntries(
+            (alarm.Dimensions || []).map((d) => [d.Name, d.Value]),
+          ),
+        }),
+        ...(alarm?.ComparisonOperator &&
+          Number.isFinite(alarm.Threshold) && {
+            threshold: `${comparison(alarm.ComparisonOperator)} ${alarm.Threshold}`,
+          }),
+      },
+    },
+    links: [
+      { href: alarmConsoleUrl(event), text: "Alarm" },
+      ...(metricsUrl ? [{ href: metricsUrl, text: "Metrics" }] : []),
+      ...(logsUrl ? [{ href: logsUrl, text: "Logs" }] : []),
+    ],
+  };
+}
+
+/**
+ * Sends an alarm state change to PagerDuty
+ * @param {RoutingDestination} destination
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {AlarmEnrichment} enriched
+ * @returns {Promise<void>}
+ */
+export async function sendEvent(destination, event, enriched) {
+  const routingKey =
+    destination.routingKey || process.env.PAGERDUTY_ROUTING_KEY;
+
+  if (!routingKey) {
+    console.warn(
+      JSON.stringify({
+        msg: "PagerDuty destination has no routing key",
+        alarmName: event.detail.alarmName,
+      }),
+    );
+    return;
+  }
+
+  const body = await pagerDutyEvent(event, enriched, routingKey);
+
+  if (!body) {
+    return;
+  }
+
+  const res = await fetch(process.env.PAGERDUTY_EVENTS_URL || EVENTS_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!res.ok) {
+    throw new Error(
+      `PagerDuty event failed: ${res.status} ${await res.text()}`,
+    );
+  }
+
+  console.log(
+    JSON.stringify({
+      msg: "Sent PagerDuty event",
+      action: body.event_action,
+      dedupKey: body.dedup_key,
+    }),
+  );
+}
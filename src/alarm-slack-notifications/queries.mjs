@@ -0,0 +1,144 @@
+/** @typedef {import('@aws-sdk/client-cloudwatch').MetricAlarm} MetricAlarm */
+/** @typedef {import('@aws-sdk/client-cloudwatch').MetricDataQuery} MetricDataQuery */
+/** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} DescribeAlarmsOutput */
+/** @typedef {import('@aws-sdk/client-cloudwatch').Metric} Metric */
+
+/**
+ * Returns true for alarms that are based on a list of metric data queries
+ * (e.g., metric math expressions), rather than a single metric
+ * @param {MetricAlarm} alarm
+ * @returns {Boolean}
+ */
+export function isMetricMath(alarm) {
+  return !!alarm?.Metrics?.length;
+}
+
+/**
+ * Returns true for anomaly detection alarms, which are evaluated against a
+ * band expression rather than a fixed threshold
+ * @param {MetricAlarm} alarm
+ * @returns {Boolean}
+ */
+export function isAnomalyDetection(alarm) {
+  return !!alarm?.ThresholdMetricId;
+}
+
+/**
+ * Returns the metric data query whose value the alarm evaluates. Only one
+ * query in an alarm's Metrics list can have ReturnData set, other than the
+ * band expression of an anomaly detection alarm.
+ * @param {MetricAlarm} alarm
+ * @returns {MetricDataQuery}
+ */
+export function returnDataQuery(alarm) {
+  return (
+    alarm.Metrics.find(
+      (m) => m.ReturnData && m.Id !== alarm.ThresholdMetricId,
+    ) || alarm.Metrics[0]
+  );
+}
+
+/**
+ * Returns the ANOMALY_DETECTION_BAND expression query of an anomaly
+ * detection alarm
+ * @param {MetricAlarm} alarm
+ * @returns {MetricDataQuery}
+ */
+export function bandQuery(alarm) {
+  return alarm.Metrics.find((m) => m.Id === alarm.ThresholdMetricId);
+}
+
+/**
+ * Returns the width of an anomaly detection band, which is the second
+ * argument to ANOMALY_DETECTION_BAND, in standard deviations. The default is 2.
+ * e.g., ANOMALY_DETECTION_BAND(m1, 3) => 3
+ * @param {MetricAlarm} alarm
+ * @returns {Number}
+ */
+export function bandWidth(alarm) {
+  const match = bandQuery(alarm)?.Expression?.match(
+    /ANOMALY_DETECTION_BAND\s*\(\s*[^,)]+\s*,\s*([0-9.]+)\s*\)/,
+  );
+
+  return match ? Number(match[1]) : 2;
+}
+
+/**
+ * Returns the period of the metric data query the alarm evaluates. Metric
+ * math alarms don't have a top-level Period, so it comes from the expression,
+ * or from the inputs to the expression.
+ * @param {MetricAlarm} alarm
+ * @returns {Number}
+ */
+export function queryPeriod(alarm) {
+  const query = returnDataQuery(alarm);
+
+  return (
+    query.Period ||
+    query.MetricStat?.Period ||
+    alarm.Metrics.find((m) => m.MetricStat)?.MetricStat.Period ||
+    alarm.Period
+  );
+}
+
+/**
+ * Returns the metric data queries of a metric math alarm as they were defined
+ * on the alarm, for use with GetMetricData. A top-level Period is only valid
+ * for expressions, so it's only included on queries that define one;
+ * expressions without one use the period of their inputs.
+ * @param {MetricAlarm} alarm
+ * @param {String[]} [returnIds] The queries to return data for. Defaults to the query the alarm evaluates.
+ * @returns {MetricDataQuery[]}
+ */
+export function metricDataQueries(
+  alarm,
+  returnIds = [returnDataQuery(alarm).Id],
+) {
+  return alarm.Metrics.map((m) => ({
+    Id: m.Id,
+    ...(m.Label && { Label: m.Label }),
+    ...(m.Expression && { Expression: m.Expression }),
+    ...(m.MetricStat && { MetricStat: m.MetricStat }),
+    ...(m.Period && { Period: m.Period }),
+    ReturnData: returnIds.includes(m.Id),
+  }));
+}
+
+/**
+ * Returns each metric that an alarm watches, including those that are part
+ * of metric math expressions
+ * @param {DescribeAlarmsOutput} desc
+ * @returns {Metric[]}
+ */
+export function alarmMetrics(desc) {
+  const alarm = desc?.MetricAlarms?.[0];
+
+  if (!alarm) {
+    return [];
+  }
+
+  if (alarm.Namespace) {
+    return [
+      {
+        Namespace: alarm.Namespace,
+        MetricName: alarm.MetricName,
+        Dimensions: alarm.Dimensions,
+      },
+    ];
+  }
+
+  return (alarm.Metrics || [])
+    .map((m) => m.MetricStat?.Metric)
+    .filter((m) => m?.Namespace);
+}
+
+/**
+ * Returns the value of each of a metric's dimensions, keyed by name
+ * @param {Metric} metric
+ * @returns {Object.<string, string>}
+ */
+export function metricDimensions(metric) {
+  return Object.fromEntries(
+    (metric.Dimensions || []).map((d) => [d.Name, d.Value]),
+  );
+}
@@ -0,0 +1,123 @@
+/**
+ * Adds context about the resource an alarm watches to ALARM notifications,
+ * e.g., the health of a load balancer's targets or the depth of a queue.
+ *
+ * Plugins are keyed by metric namespace. Each one receives an SDK client for
+ * its service, in the alarm's account and region, along with a CloudWatch
+ * client, rather than creating its own, so that the clients can be replaced
+ * with mocks. A plugin returns message lines in the same format as the other
+ * details, e.g., *Queue:* 12 visible, 0 in flight, 0 delayed.
+ *
+ * The role in the alarm's account must allow the calls that each plugin makes,
+ * which CloudWatch's read-only policy doesn't. The README lists them.
+ */
+
+/** @typedef {import('./index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
+/** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} DescribeAlarmsOutput */
+/** @typedef {import('@aws-sdk/client-cloudwatch').CloudWatchClient} CloudWatchClient */
+
+/**
+ * @callback ContextLines
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {Object.<string, string>} dimensions The dimensions of the alarm's metric
+ * @param {*} client A client for the plugin's service
+ * @param {CloudWatchClient} cloudwatch
+ * @returns {Promise<String[]>}
+ */
+
+/**
+ * @typedef {Object} ResourcePlugin
+ * @property {new (config: Object) => any} Client
+ * @property {String} apiVersion
+ * @property {ContextLines} contextLines
+ */
+
+import { ECSClient } from "@aws-sdk/client-ecs";
+import { ElasticLoadBalancingV2Client } from "@aws-sdk/client-elastic-load-balancing-v2";
+import { LambdaClient } from "@aws-sdk/client-lambda";
+import { SQSClient } from "@aws-sdk/client-sqs";
+import { accounts } from "./accounts.mjs";
+import { alarmMetrics, metricDimensions } from "./queries.mjs";
+import { contextLines as albContextLines } from "./resources/application-elb.mjs";
+import { contextLines as ecsContextLines } from "./resources/ecs.mjs";
+import { contextLines as lambdaContextLines } from "./resources/lambda.mjs";
+import { contextLines as sqsContextLines } from "./resources/sqs.mjs";
+
+/** @type {Object.<string, ResourcePlugin>} */
+const PLUGINS = {
+  "AWS/ApplicationELB": {
+    Client: ElasticLoadBalancingV2Client,
+    apiVersion: "2015-12-01",
+    contextLines: albContextLines,
+  },
+  "AWS/SQS": {
+    Client: SQSClient,
+    apiVersion: "2012-11-05",
+    contextLines: sqsContextLines,
+  },
+  "AWS/ECS": {
+    Client: ECSClient,
+    apiVersion: "2014-11-13",
+    contextLines: ecsContextLines,
+  },
+  "AWS/Lambda": {
+    Client: LambdaClient,
+    apiVersion: "2015-03-31",
+    contextLines: lambdaContextLines,
+  },
+};
+
+/**
+ * Returns lines with context about the resources that an alarm's metrics
+ * belong to. Plugins that fail are skipped, since the context is only
+ * supplemental.
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} desc
+ * @param {CloudWatchClient} cloudwatch
+ * @returns {Promise<String[]>}
+ */
+export async function resourceLines(event, desc, cloudwatch) {
+  // Metric math alarms may include several metrics for the same resource,
+  // so each distinct resource is only described once
+  const metrics = [
+    ...new Map(
+      alarmMetrics(desc)
+        .filter((m) => PLUGINS[m.Namespace])
+        .map((m) => [JSON.stringify([m.Namespace, metricDimensions(m)]), m]),
+    ).values(),
+  ];
+
+  const lines = await Promise.all(
+    metrics.map(async (m) => {
+      const plugin = PLUGINS[m.Namespace];
+
+      try {
+        const client = accounts.client(
+          plugin.Client,
+          event.account,
+          event.region,
+          { apiVersion: plugin.apiVersion },
+        );
+
+        return await plugin.contextLines(
+          event,
+          metricDimensions(m),
+          client,
+          cloudwatch,
+        );
+      } catch (error) {
+        console.log(
+          JSON.stringify({
+            msg: "Resource context failed",
+            namespace: m.Namespace,
+            alarmName: event.detail.alarmName,
+            error: /** @type {Error} */ (error).message,
+          }),
+        );
+        return [];
+      }
+    }),
+  );
+
+  return lines.flat();
+}
@@ -0,0 +1,88 @@
+/** @typedef {import('../index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
+/** @typedef {import('@aws-sdk/client-elastic-load-balancing-v2').ElasticLoadBalancingV2Client} ElasticLoadBalancingV2Client */
+
+import {
+  DescribeTargetGroupsCommand,
+  DescribeTargetHealthCommand,
+} from "@aws-sdk/client-elastic-load-balancing-v2";
+import { partition } from "../regions.mjs";
+
+// Load balancers can have many target groups; only the first few are
+// included
+const MAX_TARGET_GROUPS = 3;
+
+/**
+ * Returns the ARNs of the target groups that an alarm's metric belongs to.
+ * Metrics identify target groups and load balancers with the end of their
+ * ARNs, e.g., targetgroup/my-tg/1234567890abcdef
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {Object.<string, string>} dimensions
+ * @param {ElasticLoadBalancingV2Client} elb
+ * @returns {Promise<String[]>}
+ */
+async function targetGroupArns(event, dimensions, elb) {
+  const arnPrefix = `arn:${partition(event.region)}:elasticloadbalancing:${event.region}:${event.account}`;
+
+  if (dimensions.TargetGroup) {
+    return [`${arnPrefix}:${dimensions.TargetGroup}`];
+  }
+
+  if (dimensions.LoadBalancer) {
+    const data = await elb.send(
+      new DescribeTargetGroupsCommand({
+        LoadBalancerArn: `${arnPrefix}:loadbalancer/${dimensions.LoadBalancer}`,
+      }),
+    );
+
+    return (data.TargetGroups || []).map((g) => g.TargetGroupArn);
+  }
+
+  return [];
+}
+
+/**
+ * Returns the number of targets in each health state, e.g., 3 healthy,
+ * 1 unhealthy
+ * @param {String} targetGroupArn
+ * @param {ElasticLoadBalancingV2Client} elb
+ * @returns {Promise<String>}
+ */
+async function healthCounts(targetGroupArn, elb) {
+  const data = await elb.send(
+    new DescribeTargetHealthCommand({ TargetGroupArn: targetGroupArn }),
+  );
+
+  const counts = {};
+  (data.TargetHealthDescriptions || []).forEach((d) => {
+    const state = d.TargetHealth?.State || "unknown";
+    counts[state] = (counts[state] || 0) + 1;
+  });
+
+  const entries = Object.entries(counts);
+
+  return entries.length
+    ? entries.map(([state, count]) => `${count} ${state}`).join(", ")
+    : "none registered";
+}
+
+/**
+ * Returns the health of the targets behind the load balancer or target group
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {Object.<string, string>} dimensions
+ * @param {ElasticLoadBalancingV2Client} elb
+ * @returns {Promise<String[]>}
+ */
+export async function contextLines(event, dimensions, elb) {
+  const arns = (await targetGroupArns(event, dimensions, elb)).slice(
+    0,
+    MAX_TARGET_GROUPS,
+  );
+
+  const counts = await Promise.all(arns.map((a) => healthCounts(a, elb)));
+
+  if (arns.length === 1) {
+    return [`*Targets:* ${counts[0]}`];
+  }
+
+  return arns.map((a, i) => `*Targets (${a.split("/")[1]}):* ${counts[i]}`);
+}
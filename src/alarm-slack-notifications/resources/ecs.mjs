@@ -0,0 +1,47 @@
+/** @typedef {import('../index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
+/** @typedef {import('@aws-sdk/client-ecs').ECSClient} ECSClient */
+
+import { DescribeServicesCommand } from "@aws-sdk/client-ecs";
+
+/**
+ * Returns the service's task counts, and the state of its current deployment
+ * when it isn't settled
+ * @param {EventBridgeCloudWatchAlarmsEvent} _event
+ * @param {Object.<string, string>} dimensions
+ * @param {ECSClient} ecs
+ * @returns {Promise<String[]>}
+ */
+export async function contextLines(_event, dimensions, ecs) {
+  if (!dimensions.ClusterName || !dimensions.ServiceName) {
+    return [];
+  }
+
+  const data = await ecs.send(
+    new DescribeServicesCommand({
+      cluster: dimensions.ClusterName,
+      services: [dimensions.ServiceName],
+    }),
+  );
+
+  const service = data.services?.[0];
+
+  if (!service) {
+    return [];
+  }
+
+  let line = `*Tasks:* ${service.runningCount} running, ${service.desiredCount} desired`;
+
+  if (service.pendingCount) {
+    line = line.concat(`, ${service.pendingCount} pending`);
+  }
+
+  const primary = service.deployments?.find((d) => d.status === "PRIMARY");
+
+  if (primary?.rolloutState && primary.rolloutState !== "COMPLETED") {
+    line = line.concat(
+      ` • deployment ${primary.rolloutState.toLowerCase().replace(/_/g, " ")}`,
+    );
+  }
+
+  return [line];
+}
@@ -0,0 +1,68 @@
+/** @typedef {import('../index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
+/** @typedef {import('@aws-sdk/client-lambda').LambdaClient} LambdaClient */
+/** @typedef {import('@aws-sdk/client-cloudwatch').CloudWatchClient} CloudWatchClient */
+
+import {
+  GetAccountSettingsCommand,
+  GetFunctionConcurrencyCommand,
+} from "@aws-sdk/client-lambda";
+import { recentValues } from "./metric-values.mjs";
+
+const WINDOW_MINUTES = 15;
+
+/**
+ * Returns the function's recent peak concurrency, compared to its reserved
+ * concurrency or, without a reservation, the account's limit, and its recent
+ * throttles
+ * @param {EventBridgeCloudWatchAlarmsEvent} _event
+ * @param {Object.<string, string>} dimensions
+ * @param {LambdaClient} lambda
+ * @param {CloudWatchClient} cloudwatch
+ * @returns {Promise<String[]>}
+ */
+export async function contextLines(_event, dimensions, lambda, cloudwatch) {
+  if (!dimensions.FunctionName) {
+    return [];
+  }
+
+  /**
+   * @param {String} metricName
+   * @param {String} stat
+   */
+  const values = (metricName, stat) =>
+    recentValues(
+      cloudwatch,
+      {
+        Namespace: "AWS/Lambda",
+        MetricName: metricName,
+        Dimensions: [{ Name: "FunctionName", Value: dimensions.FunctionName }],
+      },
+      stat,
+      WINDOW_MINUTES,
+    );
+
+  const [reserved, account, concurrent, throttles] = await Promise.all([
+    lambda.send(
+      new GetFunctionConcurrencyCommand({
+        FunctionName: dimensions.FunctionName,
+      }),
+    ),
+    lambda.send(new GetAccountSettingsCommand({})),
+    values("ConcurrentExecutions", "Maximum"),
+    values("Throttles", "Sum"),
+  ]);
+
+  const peak = concurrent.length ? Math.max(...concurrent) : 0;
+  const limit = reserved.ReservedConcurrentExecutions ?? undefined;
+
+  const concurrency =
+    limit !== undefined
+      ? `peak ${peak} of ${limit} reserved`
+      : `peak ${peak} of ${account.AccountLimit?.ConcurrentExecutions} (account limit)`;
+
+  const throttled = throttles.reduce((sum, v) => sum + v, 0);
+
+  return [
+    `*Concurrency:* ${concurrency} • ${throttled} throttle${throttled === 1 ? "" : "s"} in the last ${WINDOW_MINUTES} minutes`,
+  ];
+}
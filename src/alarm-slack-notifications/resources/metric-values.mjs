@@ -0,0 +1,34 @@
+/** @typedef {import('@aws-sdk/client-cloudwatch').CloudWatchClient} CloudWatchClient */
+/** @typedef {import('@aws-sdk/client-cloudwatch').Metric} Metric */
+
+import { GetMetricDataCommand } from "@aws-sdk/client-cloudwatch";
+
+/**
+ * Returns the values of a metric's datapoints over the last few minutes,
+ * newest first
+ * @param {CloudWatchClient} cloudwatch
+ * @param {Metric} metric
+ * @param {String} stat
+ * @param {Number} minutes
+ * @returns {Promise<Number[]>}
+ */
+export async function recentValues(cloudwatch, metric, stat, minutes) {
+  const end = new Date();
+  const start = new Date(end.getTime() - minutes * 60 * 1000);
+
+  const data = await cloudwatch.send(
+    new GetMetricDataCommand({
+      StartTime: start,
+      EndTime: end,
+      ScanBy: "TimestampDescending",
+      MetricDataQueries: [
+        {
+          Id: "m1",
+          MetricStat: { Metric: metric, Period: 60, Stat: stat },
+        },
+      ],
+    }),
+  );
+
+  return data.MetricDataResults?.[0]?.Values || [];
+}
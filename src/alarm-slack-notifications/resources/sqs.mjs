@@ -0,0 +1,80 @@
+/** @typedef {import('../index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
+/** @typedef {import('@aws-sdk/client-sqs').SQSClient} SQSClient */
+/** @typedef {import('@aws-sdk/client-cloudwatch').CloudWatchClient} CloudWatchClient */
+
+import {
+  GetQueueAttributesCommand,
+  GetQueueUrlCommand,
+} from "@aws-sdk/client-sqs";
+import { recentValues } from "./metric-values.mjs";
+
+/**
+ * Returns an approximate, human-readable age, e.g., 90 => 2 minutes
+ * @param {Number} seconds
+ * @returns {String}
+ */
+function age(seconds) {
+  if (seconds >= 86400) {
+    return `${Math.round(seconds / 86400)} days`;
+  }
+  if (seconds >= 3600) {
+    return `${Math.round(seconds / 3600)} hours`;
+  }
+  if (seconds >= 60) {
+    return `${Math.round(seconds / 60)} minutes`;
+  }
+  return `${Math.round(seconds)} seconds`;
+}
+
+/**
+ * Returns the depth of the queue, and the age of its oldest message. SQS
+ * doesn't report the age directly, so it comes from the queue's most recent
+ * ApproximateAgeOfOldestMessage datapoint.
+ * @param {EventBridgeCloudWatchAlarmsEvent} _event
+ * @param {Object.<string, string>} dimensions
+ * @param {SQSClient} sqs
+ * @param {CloudWatchClient} cloudwatch
+ * @returns {Promise<String[]>}
+ */
+export async function contextLines(_event, dimensions, sqs, cloudwatch) {
+  if (!dimensions.QueueName) {
+    return [];
+  }
+
+  const { QueueUrl } = await sqs.send(
+    new GetQueueUrlCommand({ QueueName: dimensions.QueueName }),
+  );
+
+  const [{ Attributes: attributes = {} }, ages] = await Promise.all([
+    sqs.send(
+      new GetQueueAttributesCommand({
+        QueueUrl,
+        AttributeNames: [
+          "ApproximateNumberOfMessages",
+          "ApproximateNumberOfMessagesNotVisible",
+          "ApproximateNumberOfMessagesDelayed",
+        ],
+      }),
+    ),
+    recentValues(
+      cloudwatch,
+      {
+        Namespace: "AWS/SQS",
+        MetricName: "ApproximateAgeOfOldestMessage",
+        Dimensions: [{ Name: "QueueName", Value: dimensions.QueueName }],
+      },
+      "Maximum",
+      15,
+    ),
+  ]);
+
+  const depth = [
+    `${attributes.ApproximateNumberOfMessages || 0} visible`,
+    `${attributes.ApproximateNumberOfMessagesNotVisible || 0} in flight`,
+    `${attributes.ApproximateNumberOfMessagesDelayed || 0} delayed`,
+  ].join(", ");
+
+  const oldest = ages.length ? ` • oldest message ${age(ages[0])} old` : "";
+
+  return [`*Queue:* ${depth}${oldest}`];
+}
@@ -0,0 +1,304 @@
+/**
+ * Decides where messages about alarms are sent, based on an ordered list of
+ * routing rules. The first rule whose conditions all match a message's
+ * subject determines the destinations. If no rule matches, the document's
+ * default destinations are used.
+ *
+ * Alarms can also be owned by a team, using the ownership tags below. When an
+ * alarm is tagged with a Slack channel, messages about it go to that channel
+ * instead of the Slack destinations from the rules. Other destinations (e.g.,
+ * PagerDuty, Teams, and webhooks) from the matching rule still apply, so that
+ * owned alarms are still paged and sent to other systems.
+ *
+ * The rules document can be provided as JSON in the ALARM_ROUTING_RULES
+ * environment variable. When it's not, the default rules below are used. The
+ * default rules only send messages to Slack, so paging (e.g., PagerDuty for
+ * fatal alarms) must be opted into with a rules document.
+ *
+ * This file is identical in each function that sends messages to Slack.
+ */
+
+/**
+ * @typedef {Object} RoutingDestination
+ * @property {'slack'|'teams'|'pagerduty'|'webhook'} [type] Defaults to slack
+ * @property {String} [channel] A Slack channel ID or name
+ * @property {String} [webhookUrl] A Microsoft Teams incoming webhook URL
+ * @property {String} [routingKey] A PagerDuty integration key. Defaults to PAGERDUTY_ROUTING_KEY.
+ * @property {String} [url] A generic webhook URL
+ * @property {String} [secret] The key that webhook requests are signed with. Defaults to WEBHOOK_SIGNING_SECRET, and webhooks without either are not sent.
+ * @property {{ state?: String[], severity?: String[] }} [filter] Limits which notifications are sent to a webhook
+ */
+
+/**
+ * @typedef {Object} RoutingMatch
+ * @property {('notifications'|'reminders'|'report')[]} [source] The function sending the message
+ * @property {('alarm'|'maintenance-summary')[]} [kind] What the message is about
+ * @property {String[]} [severity] e.g., FATAL, ERROR, WARN, INFO
+ * @property {String[]} [account] AWS account IDs
+ * @property {String[]} [region] AWS regions, e.g., us-east-1
+ * @property {String[]} [namespace] Metric namespaces, e.g., AWS/Lambda
+ * @property {String} [alarmName] A regular expression tested against the alarm name
+ * @property {Object.<string, string|string[]|boolean>} [tags] Alarm tags that must be present. A value of `true` matches any value.
+ */
+
+/**
+ * @typedef {Object} RoutingRule
+ * @property {String} name
+ * @property {RoutingMatch} match
+ * @property {RoutingDestination[]} destinations
+ */
+
+/**
+ * @typedef {Object} RoutingDocument
+ * @property {RoutingRule[]} rules
+ * @property {RoutingDestination[]} defaultDestinations
+ */
+
+/**
+ * @typedef {Object} RoutingSubject
+ * @property {'notifications'|'reminders'|'report'} source
+ * @property {'alarm'|'maintenance-summary'} [kind] Defaults to alarm
+ * @property {String} alarmName Undefined for messages that aren't about an alarm
+ * @property {String} account
+ * @property {String} region
+ * @property {String} [window] The name of a maintenance window, for messages about one
+ * @property {String} [namespace]
+ * @property {Object.<string, string>} [tags]
+ */
+
+/**
+ * @typedef {Object} AlarmOwner
+ * @property {String} [team] e.g., Dovetail
+ * @property {String} [channel] A Slack channel ID or name for the team
+ * @property {String} [userGroup] A Slack user group ID, e.g., S0123ABCD
+ */
+
+/**
+ * @typedef {Object} RoutingResult
+ * @property {RoutingRule} [rule] The rule that matched, if any
+ * @property {AlarmOwner} [owner] The team that owns the alarm, if tagged
+ * @property {RoutingDestination[]} destinations
+ */
+
+// Tags on an alarm that identify the team that owns it
+const TEAM_TAG = "prx:ops:team";
+const SLACK_CHANNEL_TAG = "prx:ops:slack-channel";
+const SLACK_USER_GROUP_TAG = "prx:ops:slack-user-group";
+
+/** @type {RoutingDocument} */
+const DEFAULT_RULES = {
+  rules: [
+    {
+      name: "Long-running alarm reminders",
+      match: { source: ["reminders"] },
+      destinations: [{ type: "slack", channel: "G2QH6NMEH" }], // #ops-error
+    },
+    {
+      name: "Alarm reports",
+      match: { source: ["report"] },
+      destinations: [{ type: "slack", channel: "G2QHBL6UX" }], // #ops-info
+    },
+    {
+      name: "Fatal alarms",
+      match: { severity: ["FATAL", "CRITICAL"] },
+      destinations: [{ type: "slack", channel: "G2QH13X62" }], // #ops-fatal
+    },
+    {
+      name: "Error alarms",
+      match: { severity: ["ERROR", "MAJOR"] },
+      destinations: [{ type: "slack", channel: "G2QH6NMEH" }], // #ops-error
+    },
+    {
+      name: "Warning alarms",
+      match: { severity: ["WARN", "MINOR"] },
+      destinations: [{ type: "slack", channel: "G2QHC2N7K" }], // #ops-warn
+    },
+    {
+      name: "Info alarms",
+      match: { severity: ["INFO"] },
+      destinations: [{ type: "slack", channel: "G2QHBL6UX" }], // #ops-info
+    },
+  ],
+  defaultDestinations: [{ type: "slack", channel: "#sandbox2" }],
+};
+
+/**
+ * Returns the severity of an alarm, based on the prefix of its name
+ * e.g., "ERROR [Feeder] Too many 5XX" => ERROR
+ * @param {String} alarmName
+ * @returns {String}
+ */
+export function severity(alarmName) {
+  const match = alarmName.match(
+    /^(FATAL|ERROR|WARN|INFO|CRITICAL|MAJOR|MINOR)/,
+  );
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Returns the active rules document
+ * @returns {RoutingDocument}
+ */
+export function rulesDocument() {
+  if (process.env.ALARM_ROUTING_RULES) {
+    return JSON.parse(process.env.ALARM_ROUTING_RULES);
+  }
+
+  return DEFAULT_RULES;
+}
+
+/**
+ * Returns the team that owns an alarm, based on its ownership tags
+ * @param {Object.<string, string>} [tags]
+ * @returns {AlarmOwner}
+ */
+export function owner(tags) {
+  const team = tags?.[TEAM_TAG];
+  const channel = tags?.[SLACK_CHANNEL_TAG];
+  const userGroup = tags?.[SLACK_USER_GROUP_TAG];
+
+  if (!team && !channel && !userGroup) {
+    return undefined;
+  }
+
+  return { team, channel, userGroup };
+}
+
+/**
+ * Returns true for destinations that post to Slack
+ * @param {RoutingDestination} destination
+ * @returns {Boolean}
+ */
+function isSlack(destination) {
+  return (destination.type || "slack") === "slack";
+}
+
+/**
+ * Returns a description of each condition of a rule that the subject does
+ * not satisfy. An empty list means the rule matches.
+ * @param {RoutingMatch} match
+ * @param {RoutingSubject} subject
+ * @returns {String[]}
+ */
+function mismatches(match, subject) {
+  const failed = [];
+
+  const listCondition = (key, value) => {
+    if (match[key] && !match[key].includes(value)) {
+      failed.push(`${key} ${JSON.stringify(value)} not in ${match[key]}`);
+    }
+  };
+
+  listCondition("source", subject.source);
+  listCondition("kind", subject.kind || "alarm");
+  listCondition("severity", subject.alarmName && severity(subject.alarmName));
+  listCondition("account", subject.account);
+  listCondition("region", subject.region);
+  listCondition("namespace", subject.namespace);
+
+  if (
+    match.alarmName &&
+    !(subject.alarmName && new RegExp(match.alarmName).test(subject.alarmName))
+  ) {
+    failed.push(`alarmName does not match /${match.alarmName}/`);
+  }
+
+  Object.entries(match.tags || {}).forEach(([key, expected]) => {
+    const actual = subject.tags?.[key];
+
+    if (actual === undefined) {
+      failed.push(`tag ${key} is not set`);
+    } else if (expected === true) {
+      // Any value is acceptable
+    } else if (![].concat(expected).includes(actual)) {
+      failed.push(`tag ${key}=${JSON.stringify(actual)} not in ${expected}`);
+    }
+  });
+
+  return failed;
+}
+
+/**
+ * Returns the destinations for a message about an alarm
+ * @param {RoutingSubject} subject
+ * @param {RoutingDocument} [document]
+ * @returns {RoutingResult}
+ */
+export function route(subject, document = rulesDocument()) {
+  const team = owner(subject.tags);
+
+  const rule = document.rules.find(
+    (r) => mismatches(r.match || {}, subject).length === 0,
+  );
+
+  if (team?.channel) {
+    const destinations = rule
+      ? rule.destinations
+      : document.defaultDestinations || [];
+
+    return {
+      ...(rule && { rule }),
+      owner: team,
+      destinations: [
+        { type: "slack", channel: team.channel },
+        ...destinations.filter((d) => !isSlack(d)),
+      ],
+    };
+  }
+
+  if (rule) {
+    return { rule, owner: team, destinations: rule.destinations };
+  }
+
+  return { owner: team, destinations: document.defaultDestinations || [] };
+}
+
+/**
+ * Explains how a subject is routed, by listing every rule in order along
+ * with why it did or did not match. This is intended for testing changes to
+ * a rules document, e.g., from a REPL:
+ *
+ *   explain({ source: "notifications", alarmName: "ERROR foo", ... })
+ *
+ * @param {RoutingSubject} subject
+ * @param {RoutingDocument} [document]
+ * @returns {String[]}
+ */
+export function explain(subject, document = rulesDocument()) {
+  const lines = [];
+  const team = owner(subject.tags);
+
+  if (team?.channel) {
+    lines.push(
+      `Owned by ${team.team || "a team"} with channel ${team.channel}; it replaces Slack destinations from rules`,
+    );
+  }
+
+  let matched = false;
+
+  document.rules.forEach((r, i) => {
+    if (matched) {
+      lines.push(`#${i + 1} ${r.name}: not evaluated`);
+      return;
+    }
+
+    const failed = mismatches(r.match || {}, subject);
+
+    if (failed.length) {
+      lines.push(`#${i + 1} ${r.name}: no match (${failed.join("; ")})`);
+    } else {
+      matched = true;
+      lines.push(`#${i + 1} ${r.name}: MATCHED`);
+    }
+  });
+
+  const result = route(subject, document);
+
+  if (!result.rule && !team?.channel) {
+    lines.push("No rule matched; using default destinations");
+  }
+
+  lines.push(`Destinations: ${JSON.stringify(result.destinations)}`);
+
+  return lines;
+}
@@ -0,0 +1,72 @@
+/**
+ * Loads the function's secrets (the Slack access token, the default PagerDuty
+ * routing key, and the default webhook signing secret) from Secrets Manager,
+ * so that they aren't stored as plaintext in the function's configuration.
+ *
+ * The secret named by NOTIFICATION_SECRETS_ARN is created outside of the
+ * stack, so the credentials never pass through stack parameters. Its value is a
+ * JSON object whose keys are the environment variables that the rest of the
+ * function reads, e.g.,
+ *
+ *   { "SLACK_ACCESS_TOKEN": "xoxb-…", "PAGERDUTY_ROUTING_KEY": "…" }
+ *
+ * The secret is read once per container, on its first invocation. Variables
+ * that are already set in the environment take precedence, which allows the
+ * function to be run locally without the secret.
+ */
+
+import {
+  GetSecretValueCommand,
+  SecretsManagerClient,
+} from "@aws-sdk/client-secrets-manager";
+
+const KEYS = [
+  "SLACK_ACCESS_TOKEN",
+  "PAGERDUTY_ROUTING_KEY",
+  "WEBHOOK_SIGNING_SECRET",
+];
+
+const secretsManager = new SecretsManagerClient({ apiVersion: "2017-10-17" });
+
+/** @type {Promise<void>} */
+let loaded;
+
+/**
+ * @returns {Promise<void>}
+ */
+async function load() {
+  const data = await secretsManager.send(
+    new GetSecretValueCommand({
+      SecretId: process.env.NOTIFICATION_SECRETS_ARN,
+    }),
+  );
+
+  const values = JSON.parse(data.SecretString || "{}");
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of KEYS) {
+    if (!process.env[key] && values[key]) {
+      process.env[key] = values[key];
+    }
+  }
+}
+
+/**
+ * Copies the function's secrets into the environment, if they haven't been
+ * already. A failed load is retried on the next invocation.
+ * @returns {Promise<void>}
+ */
+export async function loadSecrets() {
+  if (!process.env.NOTIFICATION_SECRETS_ARN) {
+    return;
+  }
+
+  if (!loaded) {
+    loaded = load().catch((error) => {
+      loaded = undefined;
+      throw error;
+    });
+  }
+
+  await loaded;
+}
@@ -0,0 +1,162 @@
+/**
+ * Sends messages to Slack. By default, messages are sent through the Slack
+ * message relay, which posts them asynchronously, so nothing is known about
+ * the resulting message.
+ *
+ * When SLACK_ACCESS_TOKEN is set, messages are posted directly with the Slack
+ * Web API instead, which returns the channel and timestamp of each message.
+ * That's required to reply in a thread or update a message later.
+ */
+
+/**
+ * @typedef {Object} SlackMessageRef
+ * @property {String} channel A channel ID
+ * @property {String} ts The timestamp that identifies the message
+ */
+
+import {
+  EventBridgeClient,
+  PutEventsCommand,
+} from "@aws-sdk/client-eventbridge";
+
+const eventbridge = new EventBridgeClient({ apiVersion: "2015-10-07" });
+
+// A request to Slack that takes longer than this is abandoned, so that a slow
+// response can't hold up the invocation
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Returns true if messages can be referenced after they're sent, so they can
+ * be threaded and updated
+ * @returns {Boolean}
+ */
+export function canReference() {
+  return !!process.env.SLACK_ACCESS_TOKEN;
+}
+
+/**
+ * Sends a message via the Slack message relay
+ * @param {Object} payload A chat.postMessage payload
+ * @returns {Promise<void>}
+ */
+export async function relay(payload) {
+  await eventbridge.send(
+    new PutEventsCommand({
+      Entries: [
+        {
+          Source: "org.prx.cloudwatch-alarms",
+          DetailType: "Slack Message Relay Message Payload",
+          Detail: JSON.stringify(payload),
+        },
+      ],
+    }),
+  );
+}
+
+/**
+ * Calls a Slack Web API method
+ * @param {String} method e.g., chat.postMessage
+ * @param {Object} payload
+ * @returns {Promise<Object>}
+ */
+async function webApi(method, payload) {
+  const res = await fetch(`https://slack.com/api/${method}`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${process.env.SLACK_ACCESS_TOKEN}`,
+      "Content-Type": "application/json; charset=utf-8",
+    },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  const body = await res.json();
+
+  if (!body.ok) {
+    throw new Error(`Slack ${method} failed: ${body.error}`);
+  }
+
+  return body;
+}
+
+/**
+ * Calls a Slack Web API method that only accepts form-encoded arguments
+ * @param {String} method e.g., files.getUploadURLExternal
+ * @param {Object.<string, string>} params
+ * @returns {Promise<Object>}
+ */
+async function webApiForm(method, params) {
+  const res = await fetch(`https://slack.com/api/${method}`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${process.env.SLACK_ACCESS_TOKEN}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: new URLSearchParams(params).toString(),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  const body = await res.json();
+
+  if (!body.ok) {
+    throw new Error(`Slack ${method} failed: ${body.error}`);
+  }
+
+  return body;
+}
+
+/**
+ * Uploads a file to Slack without sharing it to a channel, so that it can be
+ * referenced from message blocks, and returns its ID
+ * @param {Buffer} content
+ * @param {String} filename
+ * @param {String} title
+ * @returns {Promise<String>}
+ */
+export async function uploadFile(content, filename, title) {
+  const upload = await webApiForm("files.getUploadURLExternal", {
+    filename,
+    length: `${content.length}`,
+  });
+
+  const res = await fetch(upload.upload_url, {
+    method: "POST",
+    body: new Uint8Array(content),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!res.ok) {
+    throw new Error(`Slack file upload failed: ${res.status}`);
+  }
+
+  await webApiForm("files.completeUploadExternal", {
+    files: JSON.stringify([{ id: upload.file_id, title }]),
+  });
+
+  return upload.file_id;
+}
+
+/**
+ * Posts a message, and returns a reference to it if possible
+ * @param {Object} payload A chat.postMessage payload
+ * @returns {Promise<SlackMessageRef>}
+ */
+export async function postMessage(payload) {
+  if (!canReference()) {
+    await relay(payload);
+    return undefined;
+  }
+
+  const body = await webApi("chat.postMessage", payload);
+  return { channel: body.channel, ts: body.ts };
+}
+
+/**
+ * Replaces the content of a message that was posted previously
+ * @param {SlackMessageRef} ref
+ * @param {Object} payload A chat.update payload, without channel and ts
+ * @returns {Promise<void>}
+ */
+export async function updateMessage(ref, payload) {
+  await webApi("chat.update", { ...payload, channel: ref.channel, ts: ref.ts });
+}
@@ -0,0 +1,183 @@
+/**
+ * Decides whether an alarm should be silenced, based on a list of
+ * suppression rules. An alarm is suppressed if all of the conditions of any
+ * rule match it. Every suppression is logged along with the reason, so that
+ * what was silenced can be audited later.
+ *
+ * The rules can be provided as JSON in the ALARM_SUPPRESSION_RULES
+ * environment variable. When they're not, the default rules below are used.
+ *
+ * This file is identical in each function that handles alarms.
+ */
+
+/**
+ * @typedef {Object} SuppressionRule
+ * @property {String} name
+ * @property {('notifications'|'reminders'|'report'|'sms')[]} [source] Only suppress in these functions
+ * @property {String} [alarmName] A regular expression tested against the alarm name
+ * @property {String[]} [account] AWS account IDs
+ * @property {String[]} [region] AWS regions, e.g., us-east-1
+ * @property {String[]} [namespace] Metric namespaces, e.g., AWS/Lambda
+ * @property {Object.<string, string|string[]|boolean>} [tags] Alarm tags that must be present. A value of `true` matches any value.
+ */
+
+/**
+ * @typedef {Object} SuppressionSubject
+ * @property {'notifications'|'reminders'|'report'|'sms'} source
+ * @property {String} alarmName
+ * @property {String} account
+ * @property {String} region
+ * @property {String} [namespace]
+ * @property {Object.<string, string>} [tags] When undefined, rules that match on tags are not considered
+ */
+
+/**
+ * @typedef {Object} Suppression
+ * @property {SuppressionRule} rule
+ * @property {String} reason
+ */
+
+/** @type {SuppressionRule[]} */
+const DEFAULT_RULES = [
+  {
+    name: "Auto scaling alarms",
+    alarmName: "AS:In|AS:Out|TargetTracking|ScaleInAlarm|ScaleOutAlarm",
+  },
+  {
+    name: "Production pollers low CPU",
+    alarmName: "Production Pollers Low CPU Usage",
+  },
+  {
+    name: "Notifications turned off",
+    tags: { "prx:ops:notifications": "off" },
+  },
+];
+
+/**
+ * Returns the active suppression rules
+ * @returns {SuppressionRule[]}
+ */
+export function suppressionRules() {
+  if (process.env.ALARM_SUPPRESSION_RULES) {
+    return JSON.parse(process.env.ALARM_SUPPRESSION_RULES);
+  }
+
+  return DEFAULT_RULES;
+}
+
+/**
+ * Returns true if any rule matches on alarm tags. Tags can be expensive to
+ * look up, so this can be used to skip fetching them.
+ * @param {SuppressionRule[]} [rules]
+ * @returns {Boolean}
+ */
+export function usesTags(rules = suppressionRules()) {
+  return rules.some((r) => r.tags);
+}
+
+/**
+ * Returns a description of each condition of a rule that the subject
+ * satisfies, or undefined if any condition is not satisfied
+ * @param {SuppressionRule} rule
+ * @param {SuppressionSubject} subject
+ * @returns {String[]}
+ */
+function matches(rule, subject) {
+  const reasons = [];
+
+  const listConditions = ["source", "account", "region", "namespace"];
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const key of listConditions) {
+    if (rule[key]) {
+      if (!rule[key].includes(subject[key])) {
+        return undefined;
+      }
+
+      reasons.push(`${key} is ${subject[key]}`);
+    }
+  }
+
+  if (rule.alarmName) {
+    if (!new RegExp(rule.alarmName).test(subject.alarmName)) {
+      return undefined;
+    }
+
+    reasons.push(`alarm name matches /${rule.alarmName}/`);
+  }
+
+  if (rule.tags) {
+    if (!subject.tags) {
+      return undefined;
+    }
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [key, expected] of Object.entries(rule.tags)) {
+      const actual = subject.tags[key];
+
+      if (
+        actual === undefined ||
+        (expected !== true && ![].concat(expected).includes(actual))
+      ) {
+        return undefined;
+      }
+
+      reasons.push(`tag ${key}=${actual}`);
+    }
+  }
+
+  // A rule with no conditions would suppress everything, which is more
+  // likely to be a mistake than intended
+  if (!reasons.length) {
+    return undefined;
+  }
+
+  return reasons;
+}
+
+/**
+ * Returns the first suppression that applies to the subject, if any
+ * @param {SuppressionSubject} subject
+ * @param {SuppressionRule[]} [rules]
+ * @returns {Suppression}
+ */
+export function suppression(subject, rules = suppressionRules()) {
+  // eslint-disable-next-line no-restricted-syntax
+  for (const rule of rules) {
+    const reasons = matches(rule, subject);
+
+    if (reasons) {
+      return { rule, reason: reasons.join("; ") };
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Returns true and logs the reason if the subject is suppressed
+ * @param {SuppressionSubject} subject
+ * @param {SuppressionRule[]} [rules]
+ * @returns {Boolean}
+ */
+export function suppressed(subject, rules = suppressionRules()) {
+  const result = suppression(subject, rules);
+
+  if (!result) {
+    return false;
+  }
+
+  console.log(
+    JSON.stringify({
+      msg: "Suppressed alarm",
+      source: subject.source,
+      alarmName: subject.alarmName,
+      account: subject.account,
+      region: subject.region,
+      rule: result.rule.name,
+      reason: result.reason,
+    }),
+  );
+
+  return true;
+}
@@ -0,0 +1,188 @@
+/**
+ * Sends alarm notifications to Microsoft Teams, as Adaptive Cards posted to
+ * an incoming webhook (e.g., a Teams Workflows "Post to a channel when a
+ * webhook request is received" flow).
+ *
+ * Cards are built from the same Slack blocks that are sent to Slack, so that
+ * both include the same details. Each "*Label:* value" line becomes a fact,
+ * links on the CloudWatch line become buttons, and Slack mrkdwn is converted
+ * to the subset of Markdown that Adaptive Cards support.
+ */
+
+/** @typedef {import('./index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
+
+// A request that takes longer than this is abandoned, and the destination is
+// treated as failed
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Returns the Adaptive Card container style for the alarm state
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @returns {String}
+ */
+function containerStyle(event) {
+  switch (event.detail.state.value) {
+    case "OK":
+      return "good";
+    case "ALARM":
+      return "attention";
+    default:
+      return "warning";
+  }
+}
+
+/**
+ * Converts Slack mrkdwn to Adaptive Card Markdown
+ * e.g., *Cause:* <https://example.com|Link> => **Cause:** [Link](https://example.com)
+ * @param {String} text
+ * @returns {String}
+ */
+export function markdown(text) {
+  return (
+    text
+      .replace(/<([^|>]+)\|([^>]+)>/g, "[$2]($1)")
+      .replace(/<(https?:[^>]+)>/g, "$1")
+      .replace(/(^|[^*])\*([^*\n]+)\*(?!\*)/g, "$1**$2**")
+      // Inline code isn't supported
+      .replace(/`/g, "")
+      .replace(/&gt;/g, ">")
+      .replace(/&lt;/g, "<")
+      .replace(/&amp;/g, "&")
+  );
+}
+
+/**
+ * Returns the links in a line of Slack mrkdwn
+ * @param {String} text
+ * @returns {{ title: String, url: String }[]}
+ */
+function links(text) {
+  return [...text.matchAll(/<([^|>]+)\|([^>]+)>/g)].map((m) => ({
+    url: m[1],
+    title: m[2],
+  }));
+}
+
+/**
+ * Returns an Adaptive Card with the content of a set of Slack blocks
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {Object[]} blocks Slack blocks, as produced by the builder
+ * @returns {Object}
+ */
+export function adaptiveCard(event, blocks) {
+  const body = [];
+  const facts = [];
+  const actions = [];
+
+  blocks.forEach((block, i) => {
+    if (block.type === "section" && i === 0) {
+      // The linked title
+      const [link] = links(block.text.text);
+
+      body.push({
+        type: "TextBlock",
+        size: "Large",
+        weight: "Bolder",
+        wrap: true,
+        text: link
+          ? `[${markdown(link.title)}](${link.url})`
+          : markdown(block.text.text),
+      });
+    } else if (
+      block.type === "section" &&
+      /^\*[^*]+:\*\n```\n[\s\S]*\n```$/.test(block.text.text)
+    ) {
+      // A titled code block, like log excerpts
+      const [heading, ...code] = block.text.text.split("\n");
+
+      body.push(
+        { type: "TextBlock", wrap: true, text: markdown(heading) },
+        {
+          type: "TextBlock",
+          wrap: true,
+          fontType: "Monospace",
+          text: markdown(code.slice(1, -1).join("\n\n")),
+        },
+      );
+    } else if (block.type === "section") {
+      block.text.text.split("\n").forEach((line) => {
+        const fact = line.match(/^\*([^*]+):\* ?(.*)$/);
+
+        if (fact?.[1] === "CloudWatch") {
+          actions.push(
+            ...links(fact[2]).map((l) => ({
+              type: "Action.OpenUrl",
+              title: l.title,
+              url: l.url,
+            })),
+          );
+        } else if (fact) {
+          facts.push({ title: fact[1], value: markdown(fact[2]) });
+        } else if (line.trim()) {
+          body.push({ type: "TextBlock", wrap: true, text: markdown(line) });
+        }
+      });
+    } else if (block.type === "context") {
+      block.elements
+        .filter((e) => e.type === "mrkdwn")
+        .forEach((e) => {
+          body.push({
+            type: "TextBlock",
+            wrap: true,
+            isSubtle: true,
+            text: markdown(e.text),
+          });
+        });
+    }
+
+    // Other blocks, like images hosted by Slack, can't be shown in Teams
+  });
+
+  // Keep the facts right below the title, ahead of the description
+  if (facts.length) {
+    body.splice(1, 0, { type: "FactSet", facts });
+  }
+
+  return {
+    $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+    type: "AdaptiveCard",
+    version: "1.4",
+    body: [
+      {
+        type: "Container",
+        style: containerStyle(event),
+        bleed: true,
+        items: body,
+      },
+    ],
+    ...(actions.length && { actions }),
+  };
+}
+
+/**
+ * Posts an Adaptive Card to a Teams incoming webhook
+ * @param {String} webhookUrl
+ * @param {Object} card
+ * @returns {Promise<void>}
+ */
+export async function postCard(webhookUrl, card) {
+  const res = await fetch(webhookUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      type: "message",
+      attachments: [
+        {
+          contentType: "application/vnd.microsoft.card.adaptive",
+          contentUrl: null,
+          content: card,
+        },
+      ],
+    }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!res.ok) {
+    throw new Error(`Teams webhook failed: ${res.status}`);
+  }
+}
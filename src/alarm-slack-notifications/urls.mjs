@@ -1,23 +1,19 @@
 /** @typedef {import('./index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
 /** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} DescribeAlarmsOutput */
 /** @typedef {import('@aws-sdk/client-cloudwatch').DescribeAlarmHistoryOutput} DescribeAlarmHistoryOutput */
-/** @typedef {import('@aws-sdk/client-cloudwatch').ListTagsForResourceOutput} ListTagsForResourceOutput */
+/** @typedef {import('./log-groups.mjs').AlarmLogGroups} AlarmLogGroups */
 
-import { logGroupName } from "./log-groups.mjs";
+import { consoleLink } from "./console-links.mjs";
+import { insightsQuery } from "./filter-patterns.mjs";
 import { ascii } from "./operators.mjs";
-
-/**
- * Creates a deep link to an AWS Console URL in a specific account, using an
- * IAM Identity Center access role
- * @param {String} accountId
- * @param {String} url
- * @returns
- */
-export function ssoDeepLink(accountId, url) {
-  const deepLinkRoleName = "AdministratorAccess";
-  const urlEncodedUrl = encodeURIComponent(url);
-  return `https://aws.prx.tech/#/console?account_id=${accountId}&role_name=${deepLinkRoleName}&destination=${urlEncodedUrl}`;
-}
+import {
+  bandWidth,
+  isAnomalyDetection,
+  isMetricMath,
+  queryPeriod,
+  returnDataQuery,
+} from "./queries.mjs";
+import { consoleHost } from "./regions.mjs";
 
 /**
  * Serializes the input to a URL string component compatible with the
@@ -64,15 +60,13 @@ function cwUrlEncode(inp) {
 }
 
 /**
- * @param {EventBridgeCloudWatchAlarmsEvent} event
- * @param {DescribeAlarmsOutput} desc
+ * Returns the time ranges when the alarm was in ALARM, based on its recent
+ * history. A range without an end is ongoing.
  * @param {DescribeAlarmHistoryOutput} history
- * @returns {String}
+ * @returns {{ start: Date, end?: Date }[]}
  */
-function singleMetricAlarmMetricsConsole(event, desc, history) {
-  const alarm = desc.MetricAlarms[0];
-
-  const verticals = [];
+export function alarmWindows(history) {
+  const windows = [];
 
   if (history?.AlarmHistoryItems?.length) {
     history.AlarmHistoryItems.forEach((i) => {
@@ -100,21 +94,14 @@ function singleMetricAlarmMetricsConsole(event, desc, history) {
             )[0];
           const endTs = Date.parse(firstOkDatapoint.timestamp);
 
-          // # is encoded to *23 in the colors
-          verticals.push([
-            {
-              value: new Date(startTs).toISOString(),
-              color: "#ff9896".replace("#", "*23"),
-            },
-            { value: new Date(endTs).toISOString() },
-          ]);
+          windows.push({ start: new Date(startTs), end: new Date(endTs) });
         }
       }
     });
 
     // If the first (most recent) state change is to ALARM, that means it's
-    // ongoing, and should have an unbounded annotation at the righthand end
-    // of the timeline
+    // ongoing, and should have an unbounded range at the righthand end of the
+    // timeline
     if (history.AlarmHistoryItems[0].HistorySummary.includes("to ALARM")) {
       const i = history.AlarmHistoryItems[0];
 
@@ -130,23 +117,56 @@ function singleMetricAlarmMetricsConsole(event, desc, history) {
             .map((d) => d.timestamp)
             .sort()[0];
 
-        const startTs = Date.parse(startedAt);
-
-        verticals.push({
-          value: new Date(startTs).toISOString(),
-          color: "#d62728".replace("#", "*23"),
-          fill: "after",
-        });
+        windows.push({ start: new Date(Date.parse(startedAt)) });
       }
     }
   }
 
+  return windows;
+}
+
+/**
+ * Returns vertical annotations for the CloudWatch Metrics console graph that
+ * highlight when the alarm was in ALARM, based on its recent history
+ * @param {DescribeAlarmHistoryOutput} history
+ * @returns {Object[]}
+ */
+function alarmVerticals(history) {
+  // # is encoded to *23 in the colors
+  return alarmWindows(history).map((w) =>
+    w.end
+      ? [
+          {
+            value: w.start.toISOString(),
+            color: "#ff9896".replace("#", "*23"),
+          },
+          { value: w.end.toISOString() },
+        ]
+      : {
+          value: w.start.toISOString(),
+          color: "#d62728".replace("#", "*23"),
+          fill: "after",
+        },
+  );
+}
+
+/**
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} desc
+ * @param {DescribeAlarmHistoryOutput} history
+ * @returns {String}
+ */
+function singleMetricAlarmMetricsConsole(event, desc, history) {
+  const alarm = desc.MetricAlarms[0];
+
+  const verticals = alarmVerticals(history);
+
   const m = alarm.DatapointsToAlarm || alarm.EvaluationPeriods;
   const n = alarm.EvaluationPeriods;
   const stat = alarm.Statistic ? alarm.Statistic : alarm.ExtendedStatistic;
 
   const consoleUrl = [
-    "https://console.aws.amazon.com/cloudwatch/home?",
+    `https://${consoleHost(event.region)}/cloudwatch/home?`,
     `region=${event.region}`,
     "#metricsV2:graph=",
     cwUrlEncode({
@@ -185,28 +205,155 @@ function singleMetricAlarmMetricsConsole(event, desc, history) {
     }),
   ].join("");
 
-  const deepConsoleUrl = ssoDeepLink(event.account, consoleUrl);
+  const deepConsoleUrl = consoleLink(event.account, consoleUrl);
 
   return deepConsoleUrl;
 }
 
 /**
- *
+ * Returns a CloudWatch Metrics console URL for an alarm based on metric data
+ * queries. Every query is included in the graph; the inputs to the expression
+ * are hidden, so that the graph matches what the alarm evaluates.
  * @param {EventBridgeCloudWatchAlarmsEvent} event
  * @param {DescribeAlarmsOutput} desc
- * @param {ListTagsForResourceOutput} tagList
- * @returns {Promise<String>}
+ * @param {DescribeAlarmHistoryOutput} history
+ * @returns {String}
  */
-async function logsInsightsConsole(event, desc, tagList) {
-  const logGroup = await logGroupName(event, desc, tagList);
+function metricMathAlarmMetricsConsole(event, desc, history) {
+  const alarm = desc.MetricAlarms[0];
+  const query = returnDataQuery(alarm);
 
-  if (!logGroup) {
-    return "";
+  const verticals = alarmVerticals(history);
+
+  const m = alarm.DatapointsToAlarm || alarm.EvaluationPeriods;
+  const n = alarm.EvaluationPeriods;
+
+  const anomalyDetection = isAnomalyDetection(alarm);
+
+  const metrics = alarm.Metrics.map((q) => {
+    // The console draws ANOMALY_DETECTION_BAND expressions as a shaded band,
+    // so the band stays visible alongside the metric
+    const visible = q.Id === query.Id || q.Id === alarm.ThresholdMetricId;
+
+    const options = {
+      id: q.Id,
+      ...(q.Label && { label: q.Label }),
+      ...(q.Id === alarm.ThresholdMetricId &&
+        !q.Label && { label: `Expected band (width ${bandWidth(alarm)})` }),
+      ...(!visible && { visible: false }),
+    };
+
+    if (q.Expression) {
+      return [{ expression: q.Expression, ...options }];
+    }
+
+    return [
+      q.MetricStat.Metric.Namespace,
+      q.MetricStat.Metric.MetricName,
+      ...(q.MetricStat.Metric.Dimensions || []).reduce((acc, cur) => {
+        acc.push(cur.Name);
+        acc.push(cur.Value);
+        return acc;
+      }, []),
+      { stat: q.MetricStat.Stat, period: q.MetricStat.Period, ...options },
+    ];
+  });
+
+  const consoleUrl = [
+    `https://${consoleHost(event.region)}/cloudwatch/home?`,
+    `region=${event.region}`,
+    "#metricsV2:graph=",
+    cwUrlEncode({
+      region: event.region,
+      title: event.detail.alarmName,
+      view: "timeSeries",
+      stacked: false,
+      period: queryPeriod(alarm),
+      start: "-PT3H",
+      end: "P0D",
+      annotations: {
+        // Anomaly detection alarms have no fixed threshold to draw
+        ...(!anomalyDetection && {
+          horizontal: [
+            {
+              label: `${query.Label || query.Id} ${ascii(
+                alarm.ComparisonOperator,
+              )} ${alarm.Threshold} for ${m} datapoints within ${n} periods`,
+              value: alarm.Threshold,
+            },
+          ],
+        }),
+        ...(verticals.length && {
+          vertical: verticals,
+        }),
+      },
+      metrics,
+    }),
+  ].join("");
+
+  return consoleLink(event.account, consoleUrl);
+}
+
+/**
+ * Returns a CloudWatch Metrics console URL that graphs the metrics of all
+ * single-metric child alarms of a composite alarm together, with each child's
+ * threshold as an annotation.
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {DescribeAlarmsOutput} children
+ * @returns {String}
+ */
+function compositeAlarmMetricsConsole(event, children) {
+  const alarms = children.MetricAlarms.filter((a) => a.MetricName);
+
+  if (!alarms.length) {
+    return alarmConsoleUrl(event);
   }
 
-  // Default the start time for the logs to when the message gets sent, but use
-  // the time when the problem began if it's available.
-  let start = new Date().toISOString();
+  const consoleUrl = [
+    `https://${consoleHost(event.region)}/cloudwatch/home?`,
+    `region=${event.region}`,
+    "#metricsV2:graph=",
+    cwUrlEncode({
+      region: event.region,
+      title: event.detail.alarmName,
+      view: "timeSeries",
+      stacked: false,
+      period: Math.min(...alarms.map((a) => a.Period)),
+      start: "-PT3H",
+      end: "P0D",
+      annotations: {
+        horizontal: alarms.map((a) => ({
+          label: `${a.AlarmName} ${ascii(a.ComparisonOperator)} ${a.Threshold}`,
+          value: a.Threshold,
+        })),
+      },
+      metrics: alarms.map((a) => [
+        a.Namespace,
+        a.MetricName,
+        ...(a.Dimensions || []).reduce((acc, cur) => {
+          acc.push(cur.Name);
+          acc.push(cur.Value);
+          return acc;
+        }, []),
+        {
+          stat: a.Statistic ? a.Statistic : a.ExtendedStatistic,
+          label: a.AlarmName,
+        },
+      ]),
+    }),
+  ].join("");
+
+  return consoleLink(event.account, consoleUrl);
+}
+
+/**
+ * Returns the time when the problem that an event is about began, if it's
+ * known: the start of the data that triggered an ALARM state, or that
+ * triggered the ALARM state that an OK state ended.
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @returns {String|undefined}
+ */
+export function problemStart(event) {
   if (
     event?.detail?.state?.value === "ALARM" &&
     event?.detail?.state?.reasonData
@@ -218,7 +365,7 @@ async function logsInsightsConsole(event, desc, tagList) {
         stateData.evaluatedDatapoints.map((d) => d.timestamp).sort()[0];
 
       const alarmTime = new Date(Date.parse(startedAt));
-      start = alarmTime.toISOString();
+      return alarmTime.toISOString();
     }
   } else if (
     event?.detail?.state?.value === "OK" &&
@@ -231,10 +378,28 @@ async function logsInsightsConsole(event, desc, tagList) {
         previousData.evaluatedDatapoints.map((d) => d.timestamp).sort()[0];
 
       const alarmTime = new Date(Date.parse(startedAt));
-      start = alarmTime.toISOString();
+      return alarmTime.toISOString();
     }
   }
 
+  return undefined;
+}
+
+/**
+ *
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {AlarmLogGroups} groups
+ * @returns {String}
+ */
+function logsInsightsConsole(event, groups) {
+  if (!groups?.names.length) {
+    return "";
+  }
+
+  // Default the start time for the logs to when the message gets sent, but use
+  // the time when the problem began if it's available.
+  const start = problemStart(event) || new Date().toISOString();
+
   // This is the raw, structured query payload
   const queryPayload = {
     timeType: "ABSOLUTE",
@@ -244,15 +409,17 @@ async function logsInsightsConsole(event, desc, tagList) {
     // Include logs up to when this message gets sent
     end: new Date().toISOString(),
     editorString: "fields @timestamp, @message | sort @timestamp desc",
-    source: [logGroup],
+    source: groups.names,
   };
 
-  const insightsQueryTag = tagList?.Tags?.find(
-    (t) => t.Key === "prx:ops:cloudwatch-logs-insights-query",
-  );
+  // When the log groups came from metric filters, the query finds the same
+  // log events that the filters counted
+  if (groups.filterPatterns.length) {
+    queryPayload.editorString = insightsQuery(groups.filterPatterns);
+  }
 
-  if (insightsQueryTag) {
-    queryPayload.editorString = insightsQueryTag.Value;
+  if (groups.query) {
+    queryPayload.editorString = groups.query;
   }
 
   // The payload is CloudWatch URL encoded
@@ -277,18 +444,31 @@ async function logsInsightsConsole(event, desc, tagList) {
   // Everything after #logsV2:logs-insights is escaped, and the value of
   // `queryDetail` is escaped again
   const consoleUrl = [
-    `https://${event.region}.console.aws.amazon.com/cloudwatch/home?`,
+    `https://${consoleHost(event.region)}/cloudwatch/home?`,
     `region=${event.region}`,
     "#logsV2:logs-insights",
     encodedQuery,
   ].join("");
 
   // Escape the entire URL and put it inside an SSO shortcut deep link
-  const deepConsoleUrl = ssoDeepLink(event.account, consoleUrl);
+  const deepConsoleUrl = consoleLink(event.account, consoleUrl);
 
   return deepConsoleUrl;
 }
 
+/**
+ * Returns a URL to a CloudWatch dashboard in the account and region where the
+ * alarm that triggered the event exists
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {String} dashboardName
+ * @returns {String}
+ */
+export function dashboardConsoleUrl(event, dashboardName) {
+  const name = encodeURIComponent(dashboardName);
+  const consoleUrl = `https://${consoleHost(event.region)}/cloudwatch/home?region=${event.region}#dashboards/dashboard/${name}`;
+  return consoleLink(event.account, consoleUrl);
+}
+
 /**
  * Returns a URL to CloudWatch Alarms console for the alarm that triggered
  * the event.
@@ -298,8 +478,8 @@ async function logsInsightsConsole(event, desc, tagList) {
 export function alarmConsoleUrl(event) {
   const name = event.detail.alarmName;
   const encoded = encodeURI(name.replace(/ /g, "+")).replace(/%/g, "$");
-  const consoleUrl = `https://${event.region}.console.aws.amazon.com/cloudwatch/home?region=${event.region}#alarmsV2:alarm/${encoded}`;
-  const deepConsoleUrl = ssoDeepLink(event.account, consoleUrl);
+  const consoleUrl = `https://${consoleHost(event.region)}/cloudwatch/home?region=${event.region}#alarmsV2:alarm/${encoded}`;
+  const deepConsoleUrl = consoleLink(event.account, consoleUrl);
   return deepConsoleUrl;
 }
 
@@ -307,10 +487,23 @@ export function alarmConsoleUrl(event) {
  * @param {EventBridgeCloudWatchAlarmsEvent} event
  * @param {DescribeAlarmsOutput} desc
  * @param {DescribeAlarmHistoryOutput} history
+ * @param {DescribeAlarmsOutput} [children] Child alarms, for composite alarms
  * @returns {String}
  */
-export function metricsConsoleUrl(event, desc, history) {
-  if (event.detail.configuration.metrics.length === 1) {
+export function metricsConsoleUrl(event, desc, history, children) {
+  if (desc?.CompositeAlarms?.length) {
+    // Without the child alarms there are no metrics to graph, so the best
+    // option is the alarm itself
+    return children
+      ? compositeAlarmMetricsConsole(event, children)
+      : alarmConsoleUrl(event);
+  }
+
+  if (isMetricMath(desc?.MetricAlarms?.[0])) {
+    return metricMathAlarmMetricsConsole(event, desc, history);
+  }
+
+  if (event.detail.configuration.metrics?.length === 1) {
     return singleMetricAlarmMetricsConsole(event, desc, history);
   }
 
@@ -319,10 +512,9 @@ export function metricsConsoleUrl(event, desc, history) {
 
 /**
  * @param {EventBridgeCloudWatchAlarmsEvent} event
- * @param {DescribeAlarmsOutput} desc
- * @param {ListTagsForResourceOutput} tagList
- * @returns {Promise<String>}
+ * @param {AlarmLogGroups} groups
+ * @returns {String}
  */
-export async function logsConsoleUrl(event, desc, tagList) {
-  return logsInsightsConsole(event, desc, tagList);
+export function logsConsoleUrl(event, groups) {
+  return logsInsightsConsole(event, groups);
 }
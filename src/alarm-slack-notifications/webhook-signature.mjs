@@ -0,0 +1,96 @@
+/**
+ * Signs and verifies webhook requests. Each request includes the time it was
+ * signed, and an HMAC-SHA256 of that time and the request body, keyed with a
+ * secret shared with the receiver:
+ *
+ *   X-Alarm-Timestamp: 1767225600
+ *   X-Alarm-Signature: v1=5257a869e7ecebeda32affa62cdca3fa51cad7e77a0e56ff536d0ce8e108d8bd
+ *
+ * Receivers should verify the signature against the raw request body, before
+ * parsing it, and reject requests signed too long ago so that they can't be
+ * replayed. A request can still be replayed within that tolerance, and retries
+ * deliver the same document more than once, so receivers should also dedupe
+ * on the document's id. This file has no dependencies beyond Node.js, so
+ * receivers can copy it as is:
+ *
+ *   import { verify } from "./webhook-signature.mjs";
+ *
+ *   if (!verify(rawBody, req.headers, process.env.SECRET)) {
+ *     res.writeHead(401);
+ *   }
+ */
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+export const TIMESTAMP_HEADER = "X-Alarm-Timestamp";
+export const SIGNATURE_HEADER = "X-Alarm-Signature";
+
+// Requests signed longer ago than this are rejected by default
+const TOLERANCE_SECONDS = 300;
+
+/**
+ * @param {String} body
+ * @param {String} timestamp Seconds since the epoch
+ * @param {String} secret
+ * @returns {String}
+ */
+function digest(body, timestamp, secret) {
+  return createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * Returns the headers that sign a request body
+ * @param {String} body
+ * @param {String} secret
+ * @param {Date} [at]
+ * @returns {Object.<string, string>}
+ */
+export function sign(body, secret, at = new Date()) {
+  const timestamp = `${Math.floor(+at / 1000)}`;
+
+  return {
+    [TIMESTAMP_HEADER]: timestamp,
+    [SIGNATURE_HEADER]: `v1=${digest(body, timestamp, secret)}`,
+  };
+}
+
+/**
+ * Returns true if a request body was signed with the secret, recently enough
+ * @param {String} body The raw request body
+ * @param {Object.<string, string|string[]>} headers Header names are matched case-insensitively
+ * @param {String} secret
+ * @param {Object} [options]
+ * @param {Number} [options.toleranceSeconds]
+ * @param {Date} [options.now]
+ * @returns {Boolean}
+ */
+export function verify(body, headers, secret, options = {}) {
+  const header = (name) => {
+    const key = Object.keys(headers).find(
+      (k) => k.toLowerCase() === name.toLowerCase(),
+    );
+    const value = key && headers[key];
+    return Array.isArray(value) ? value[0] : value;
+  };
+
+  const timestamp = header(TIMESTAMP_HEADER);
+  const signature = header(SIGNATURE_HEADER);
+
+  if (!timestamp || !signature || !/^\d+$/.test(timestamp)) {
+    return false;
+  }
+
+  const now = Math.floor(+(options.now || new Date()) / 1000);
+  const tolerance = options.toleranceSeconds ?? TOLERANCE_SECONDS;
+
+  if (Math.abs(now - +timestamp) > tolerance) {
+    return false;
+  }
+
+  const expected = Buffer.from(`v1=${digest(body, timestamp, secret)}`);
+  const actual = Buffer.from(signature);
+
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,246 @@
+/**
+ * Sends alarm notifications to arbitrary HTTP endpoints, as a versioned JSON
+ * document. Requests are signed (see webhook-signature.mjs) with the
+ * destination's secret, or WEBHOOK_SIGNING_SECRET, and retried with backoff
+ * when the endpoint can't be reached or responds with a server error. Webhooks
+ * without a secret are a configuration error, and nothing is sent to them.
+ *
+ * Because requests are retried, and the signature only protects against
+ * replays older than a few minutes, a receiver may get the same document more
+ * than once. Receivers should dedupe on the document's id, which is the ID of
+ * the alarm state change event.
+ *
+ * The document's version is only incremented for changes that would break
+ * existing receivers, i.e., removing or changing the meaning of a field.
+ * Fields may be added without a new version.
+ */
+
+/** @typedef {import('./index.mjs').EventBridgeCloudWatchAlarmsEvent} EventBridgeCloudWatchAlarmsEvent */
+/** @typedef {import('./index.mjs').FlapStatus} FlapStatus */
+/** @typedef {import('./builder.mjs').AlarmEnrichment} AlarmEnrichment */
+/** @typedef {import('./routing.mjs').RoutingDestination} RoutingDestination */
+
+import { alarmTransitions } from "./flapping.mjs";
+import { severity } from "./routing.mjs";
+import {
+  alarmConsoleUrl,
+  alarmWindows,
+  logsConsoleUrl,
+  metricsConsoleUrl,
+} from "./urls.mjs";
+import { sign } from "./webhook-signature.mjs";
+
+export const DOCUMENT_VERSION = 1;
+
+const MAX_ATTEMPTS = 3;
+const BACKOFF_MS = 500;
+
+// Each attempt is abandoned after ATTEMPT_TIMEOUT_MS, and no attempt runs past
+// DELIVERY_BUDGET_MS from the first, so that a slow receiver can't use up the
+// function's whole timeout
+const ATTEMPT_TIMEOUT_MS = 4000;
+const DELIVERY_BUDGET_MS = 10000;
+
+/**
+ * Returns true if the destination's filter allows the notification
+ * @param {RoutingDestination} destination
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @returns {Boolean}
+ */
+export function accepts(destination, event) {
+  const filter = destination.filter || {};
+
+  if (filter.state && !filter.state.includes(event.detail.state.value)) {
+    return false;
+  }
+
+  if (
+    filter.severity &&
+    !filter.severity.includes(severity(event.detail.alarmName))
+  ) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Returns the document describing an alarm state change
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {AlarmEnrichment} enriched
+ * @param {FlapStatus} [flap]
+ * @returns {Promise<Object>}
+ */
+export async function webhookDocument(event, enriched, flap) {
+  const { desc, tagList, history, logGroups } = enriched;
+  const alarm = desc?.MetricAlarms?.[0] || desc?.CompositeAlarms?.[0];
+  const metricAlarm = desc?.MetricAlarms?.[0];
+
+  const windows = alarmWindows(history);
+  const metricsUrl = desc ? metricsConsoleUrl(event, desc, history) : "";
+  const logsUrl = logsConsoleUrl(event, logGroups);
+
+  return {
+    version: DOCUMENT_VERSION,
+    id: event.id,
+    time: event.time,
+    alarm: {
+      name: event.detail.alarmName,
+      arn: alarm?.AlarmArn || event.resources?.[0],
+      account: event.account,
+      region: event.region,
+      type: desc?.CompositeAlarms?.length ? "composite" : "metric",
+      severity: severity(event.detail.alarmName) || null,
+      description: event.detail.configuration?.description || null,
+      state: {
+        value: event.detail.state.value,
+        reason: event.detail.state.reason,
+        timestamp: event.detail.state.timestamp,
+      },
+      previousState: {
+        value: event.detail.previousState.value,
+        reason: event.detail.previousState.reason,
+        timestamp: event.detail.previousState.timestamp,
+      },
+      metric: metricAlarm?.MetricName
+        ? {
+            namespace: metricAlarm.Namespace,
+            name: metricAlarm.MetricName,
+            dimensions: Object.fromEntries(
+              (metricAlarm.Dimensions || []).map((d) => [d.Name, d.Value]),
+            ),
+            statistic:
+              metricAlarm.Statistic || metricAlarm.ExtendedStatistic || null,
+            period: metricAlarm.Period,
+          }
+        : null,
+      threshold: metricAlarm
+        ? {
+            comparisonOperator: metricAlarm.ComparisonOperator,
+            value: metricAlarm.Threshold ?? null,
+            evaluationPeriods: metricAlarm.EvaluationPeriods,
+            datapointsToAlarm: metricAlarm.DatapointsToAlarm ?? null,
+          }
+        : null,
+      tags: Object.fromEntries(
+        (tagList?.Tags || []).map((t) => [t.Key, t.Value]),
+      ),
+    },
+    links: {
+      alarm: alarmConsoleUrl(event),
+      metrics: metricsUrl || null,
+      logs: logsUrl || null,
+    },
+    history: {
+      // Covers the same period as the history included in the enrichment
+      hours: 24,
+      alarmTransitions: alarmTransitions(history?.AlarmHistoryItems).length,
+      alarmWindows: windows.map((w) => ({
+        start: w.start.toISOString(),
+        end: w.end ? w.end.toISOString() : null,
+      })),
+      flapping: flap?.flapping || false,
+    },
+  };
+}
+
+/**
+ * Returns true if a failed request is worth trying again
+ * @param {Number} status
+ * @returns {Boolean}
+ */
+function retryable(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * POSTs a signed document to a webhook, retrying with exponential backoff
+ * until the attempts or the time budget run out
+ * @param {String} url
+ * @param {String} body
+ * @param {String} secret
+ * @returns {Promise<void>}
+ */
+async function deliver(url, body, secret) {
+  const deadline = Date.now() + DELIVERY_BUDGET_MS;
+
+  /** @type {Error} */
+  let lastError;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+    if (attempt > 1) {
+      const delay = BACKOFF_MS * 2 ** (attempt - 2);
+
+      if (Date.now() + delay >= deadline) {
+        break;
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+
+    try {
+      // Each attempt is signed separately, so that retries aren't rejected
+      // as replays
+      // eslint-disable-next-line no-await-in-loop
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...sign(body, secret),
+        },
+        body,
+        signal: AbortSignal.timeout(
+          Math.min(ATTEMPT_TIMEOUT_MS, deadline - Date.now()),
+        ),
+      });
+
+      if (res.ok) {
+        return;
+      }
+
+      lastError = new Error(`Webhook failed: ${res.status}`);
+
+      if (!retryable(res.status)) {
+        break;
+      }
+    } catch (error) {
+      // Network errors and timeouts are always retried
+      lastError = /** @type {Error} */ (error);
+    }
+
+    console.warn(
+      JSON.stringify({
+        msg: "Webhook attempt failed",
+        url,
+        attempt,
+        error: lastError.message,
+      }),
+    );
+  }
+
+  throw lastError;
+}
+
+/**
+ * Sends an alarm notification to a webhook, if its filter allows it
+ * @param {RoutingDestination} destination
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {AlarmEnrichment} enriched
+ * @param {FlapStatus} [flap]
+ * @returns {Promise<void>}
+ */
+export async function sendWebhook(destination, event, enriched, flap) {
+  if (!accepts(destination, event)) {
+    return;
+  }
+
+  const secret = destination.secret || process.env.WEBHOOK_SIGNING_SECRET;
+
+  if (!secret) {
+    throw new Error(`No signing secret for webhook ${destination.url}`);
+  }
+
+  const doc = await webhookDocument(event, enriched, flap);
+  await deliver(destination.url, JSON.stringify(doc), secret);
+}
@@ -0,0 +1,66 @@
+/**
+ * An alarm is considered to be flapping when it moves to ALARM at least
+ * FLAP_THRESHOLD times within FLAP_WINDOW_MINUTES. While an alarm is
+ * flapping, notifications about it are collapsed, and once its rate of
+ * transitions drops below the threshold it is considered stabilized.
+ *
+ * This is all based on alarm history, so no state is kept between
+ * invocations.
+ *
+ * This file is identical in each function that uses it.
+ */
+
+/** @typedef {import('@aws-sdk/client-cloudwatch').AlarmHistoryItem} AlarmHistoryItem */
+
+/**
+ * @typedef {Object} FlapSettings
+ * @property {Number} windowMinutes
+ * @property {Number} threshold The number of transitions to ALARM within the window
+ */
+
+/**
+ * Returns the active flap detection settings
+ * @returns {FlapSettings}
+ */
+export function flapSettings() {
+  return {
+    windowMinutes: +process.env.FLAP_WINDOW_MINUTES || 60,
+    threshold: +process.env.FLAP_THRESHOLD || 4,
+  };
+}
+
+/**
+ * Returns the times that an alarm moved to ALARM, oldest first
+ * @param {AlarmHistoryItem[]} historyItems
+ * @returns {Date[]}
+ */
+export function alarmTransitions(historyItems) {
+  return (historyItems || [])
+    .filter((i) => i.HistorySummary.includes("to ALARM"))
+    .map((i) => new Date(i.Timestamp))
+    .sort((a, b) => +a - +b);
+}
+
+/**
+ * Returns the number of transitions within the window that ends at the
+ * given time
+ * @param {Date[]} transitions
+ * @param {Date} at
+ * @param {FlapSettings} [settings]
+ * @returns {Number}
+ */
+export function transitionCount(transitions, at, settings = flapSettings()) {
+  const windowStart = +at - settings.windowMinutes * 60 * 1000;
+  return transitions.filter((t) => windowStart < +t && +t <= +at).length;
+}
+
+/**
+ * Returns true if the alarm was flapping at the given time
+ * @param {Date[]} transitions
+ * @param {Date} at
+ * @param {FlapSettings} [settings]
+ * @returns {Boolean}
+ */
+export function isFlapping(transitions, at, settings = flapSettings()) {
+  return transitionCount(transitions, at, settings) >= settings.threshold;
+}
@@ -4,37 +4,93 @@
 import {
   CloudWatchClient,
   DescribeAlarmsCommand,
+  ListTagsForResourceCommand,
+  paginateDescribeAlarmHistory,
 } from "@aws-sdk/client-cloudwatch";
 import {
   EventBridgeClient,
   PutEventsCommand,
 } from "@aws-sdk/client-eventbridge";
-import { AssumeRoleCommand, STSClient } from "@aws-sdk/client-sts";
+import { consoleLink } from "./console-links.mjs";
+import { crossAccountProvider } from "./credentials.mjs";
+import {
+  alarmTransitions,
+  flapSettings,
+  isFlapping,
+  transitionCount,
+} from "./flapping.mjs";
+import { activeWindow, endedWindows, matchesWindow } from "./maintenance.mjs";
 import regions from "./regions.mjs";
-import { alarmConsole, ssoDeepLink } from "./urls.mjs";
-
-const sts = new STSClient({ apiVersion: "2011-06-15" });
+import { route } from "./routing.mjs";
+import { stateStore } from "./state-store.mjs";
+import { suppressed } from "./suppression.mjs";
+import { alarmConsole } from "./urls.mjs";
+
+const accounts = crossAccountProvider(
+  process.env.CLOUDWATCH_CROSS_ACCOUNT_SHARING_ROLE_NAME,
+  "reminders_lambda_reader",
+);
 const eventbridge = new EventBridgeClient({ apiVersion: "2015-10-07" });
 
-async function cloudWatchClient(accountId, region) {
-  const roleName = process.env.CLOUDWATCH_CROSS_ACCOUNT_SHARING_ROLE_NAME;
+// How often maintenance window summaries and stabilized flapping alarms are
+// checked for. CHECK_INTERVAL_MINUTES is set from the same stack parameter as
+// the FrequentPoller schedule. Each check covers the time since it last ran,
+// and the interval is only used the first time a check runs.
+const DEFAULT_CHECK_INTERVAL_MINUTES = 15;
+
+// Checks never look back further than this, so that a function that hasn't
+// run for a while doesn't send a backlog of messages that are out of date
+const MAX_CHECK_LOOKBACK_MINUTES = 24 * 60;
+
+const LAST_CHECK_TTL_SECONDS = 7 * 86400;
+
+/**
+ * Returns when a frequent check last ran
+ * @param {String} check
+ * @param {Date} now
+ * @returns {Promise<Date>}
+ */
+async function lastChecked(check, now) {
+  const record = await stateStore().get(`reminders:last-check:${check}`);
 
-  const role = await sts.send(
-    new AssumeRoleCommand({
-      RoleArn: `arn:aws:iam::${accountId}:role/${roleName}`,
-      RoleSessionName: "reminders_lambda_reader",
-    }),
+  if (!record) {
+    const interval =
+      +process.env.CHECK_INTERVAL_MINUTES || DEFAULT_CHECK_INTERVAL_MINUTES;
+
+    return new Date(+now - interval * 60 * 1000);
+  }
+
+  return new Date(
+    Math.max(
+      Date.parse(record.time),
+      +now - MAX_CHECK_LOOKBACK_MINUTES * 60 * 1000,
+    ),
   );
+}
 
-  return new CloudWatchClient({
-    apiVersion: "2010-08-01",
-    region,
-    credentials: {
-      accessKeyId: role.Credentials.AccessKeyId,
-      secretAccessKey: role.Credentials.SecretAccessKey,
-      sessionToken: role.Credentials.SessionToken,
-    },
-  });
+/**
+ * Records that a frequent check ran successfully, so that the next run picks
+ * up where it left off
+ * @param {String} check
+ * @param {Date} now
+ * @returns {Promise<void>}
+ */
+async function recordCheck(check, now) {
+  await stateStore().put(
+    `reminders:last-check:${check}`,
+    { time: now.toISOString() },
+    LAST_CHECK_TTL_SECONDS,
+  );
+}
+
+/**
+ * Returns a CloudWatch client for an account and region
+ * @param {String} accountId
+ * @param {String} region
+ * @returns {Promise<CloudWatchClient>}
+ */
+async function cloudWatchClient(accountId, region) {
+  return accounts.cloudWatchClient(accountId, region);
 }
 
 /**
@@ -132,17 +188,6 @@ function started(reasonData) {
   return "";
 }
 
-function filterByName(alarm) {
-  return !(
-    alarm.AlarmName.includes("AS:In") ||
-    alarm.AlarmName.includes("AS:Out") ||
-    alarm.AlarmName.includes("TargetTracking") ||
-    alarm.AlarmName.includes("ScaleInAlarm") ||
-    alarm.AlarmName.includes("ScaleOutAlarm") ||
-    alarm.AlarmName.includes("Production Pollers Low CPU Usage")
-  );
-}
-
 function filterByDuration(alarm) {
   if (alarm.EstimatedDuration) {
     return alarm.EstimatedDuration > 3600; // 1 hour
@@ -184,98 +229,592 @@ function sortByDuration(a, b) {
   return -1;
 }
 
-export const handler = async (event) => {
-  console.log(JSON.stringify(event));
+/**
+ * Returns the routing subject for an alarm, including its tags, which
+ * identify the team that owns it
+ * @param {CloudWatchClient} cwClient
+ * @param {*} alarm
+ * @returns {Promise<import('./routing.mjs').RoutingSubject>}
+ */
+async function routingSubject(cwClient, alarm) {
+  const tagList = await cwClient.send(
+    new ListTagsForResourceCommand({ ResourceARN: alarm.AlarmArn }),
+  );
 
-  const alarms = {
-    CompositeAlarms: [],
-    MetricAlarms: [],
+  /** @type {Object.<string, string>} */
+  const tags = Object.fromEntries(
+    (tagList.Tags || []).map((t) => [t.Key, t.Value]),
+  );
+
+  return {
+    source: "reminders",
+    alarmName: alarm.AlarmName,
+    account: alarm.AlarmArn.split(":")[4],
+    region: alarm.AlarmArn.split(":")[3],
+    namespace: alarm.Namespace,
+    tags,
   };
+}
 
-  // eslint-disable-next-line no-restricted-syntax
-  for (const accountId of process.env.SEARCH_ACCOUNTS.split(",")) {
-    // eslint-disable-next-line no-restricted-syntax
-    for (const region of process.env.SEARCH_REGIONS.split(",")) {
-      // eslint-disable-next-line no-await-in-loop
-      const cloudwatch = await cloudWatchClient(accountId, region);
+/**
+ * Returns a Slack section block for an alarm
+ * @param {*} alarm
+ * @param {String[]} [extraLines]
+ * @returns {Object}
+ */
+function alarmSection(alarm, extraLines = []) {
+  const accountId = alarm.AlarmArn.split(":")[4];
+  const url = alarmConsole(alarm);
+  const ssoUrl = consoleLink(accountId, url);
 
-      // eslint-disable-next-line no-await-in-loop
-      const data = await describeAllAlarms(cloudwatch, undefined);
+  const lines = [`*<${ssoUrl}|${title(alarm)}>*`];
 
-      alarms.CompositeAlarms.push(...data.CompositeAlarms);
-      alarms.MetricAlarms.push(
-        ...data.MetricAlarms.filter(filterByName)
-          .map(injectDuration)
-          .filter(filterByDuration)
-          .sort(sortByDuration),
-      );
-    }
+  if (alarm.StateReasonData) {
+    const reasonData = JSON.parse(alarm.StateReasonData);
+    lines.push(started(reasonData));
   }
 
-  console.log(JSON.stringify(alarms));
+  lines.push(...extraLines);
 
-  const count = alarms.CompositeAlarms.length + alarms.MetricAlarms.length;
+  return {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: lines.filter((l) => l).join("\n"),
+    },
+  };
+}
 
+/**
+ * @param {*[]} metricAlarms
+ * @param {String} [team] The team that owns the alarms, if any
+ * @param {{ alarm: *, window: import('./maintenance.mjs').MaintenanceWindow }[]} [mutedAlarms]
+ *   Alarms that are muted by a maintenance window, which are listed separately
+ * @returns {Object[]}
+ */
+function reminderBlocks(metricAlarms, team, mutedAlarms = []) {
   const blocks = [];
 
-  if (count === 0) {
-    return;
+  blocks.push({
+    type: "header",
+    text: {
+      type: "plain_text",
+      text: `:stopwatch: Long-running Alarms${team ? ` for ${team}` : ""}`,
+      emoji: true,
+    },
+  });
+
+  blocks.push(...metricAlarms.map((a) => alarmSection(a)));
+
+  if (mutedAlarms.length) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `:wrench: *${mutedAlarms.length}* long-running alarms are muted by maintenance windows`,
+        },
+      ],
+    });
+
+    blocks.push(
+      ...mutedAlarms.map((m) =>
+        alarmSection(m.alarm, [
+          `*Muted by:* ${m.window.name} (until ${m.window.end})`,
+        ]),
+      ),
+    );
+  }
+
+  return blocks;
+}
+
+/**
+ * Sends Slack message relay events, in batches
+ * @param {import('@aws-sdk/client-eventbridge').PutEventsRequestEntry[]} entries
+ * @returns {Promise<void>}
+ */
+async function putEvents(entries) {
+  // PutEvents accepts at most 10 entries per request
+  for (let i = 0; i < entries.length; i += 10) {
+    // eslint-disable-next-line no-await-in-loop
+    await eventbridge.send(
+      new PutEventsCommand({ Entries: entries.slice(i, i + 10) }),
+    );
+  }
+}
+
+/**
+ * Returns the number of times each alarm moved to ALARM within a time range
+ * @param {CloudWatchClient} cwClient
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {Promise<Map<String, Number>>}
+ */
+async function alarmCountsBetween(cwClient, startDate, endDate) {
+  const counts = new Map();
+
+  const paginator = paginateDescribeAlarmHistory(
+    { client: cwClient },
+    { HistoryItemType: "StateUpdate", StartDate: startDate, EndDate: endDate },
+  );
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const page of paginator) {
+    page.AlarmHistoryItems.filter((i) =>
+      i.HistorySummary.includes("to ALARM"),
+    ).forEach((i) => {
+      counts.set(i.AlarmName, (counts.get(i.AlarmName) || 0) + 1);
+    });
   }
 
+  return counts;
+}
+
+/**
+ * Returns the current state of a list of alarms
+ * @param {CloudWatchClient} cwClient
+ * @param {String[]} alarmNames
+ * @returns {Promise<*[]>}
+ */
+async function describeAlarmsByName(cwClient, alarmNames) {
+  /** @type {AlarmType[]} */
+  const alarmTypes = ["CompositeAlarm", "MetricAlarm"];
+
+  const alarms = [];
+
+  // DescribeAlarms accepts at most 100 names per request
+  for (let i = 0; i < alarmNames.length; i += 100) {
+    // eslint-disable-next-line no-await-in-loop
+    const data = await cwClient.send(
+      new DescribeAlarmsCommand({
+        AlarmNames: alarmNames.slice(i, i + 100),
+        AlarmTypes: alarmTypes,
+      }),
+    );
+
+    alarms.push(...(data.CompositeAlarms || []), ...(data.MetricAlarms || []));
+  }
+
+  return alarms;
+}
+
+/**
+ * @param {import('./maintenance.mjs').MaintenanceWindow} window
+ * @param {{ alarm: *, count: Number }[]} fired
+ * @returns {Object[]}
+ */
+function maintenanceSummaryBlocks(window, fired) {
+  const blocks = [];
+
   blocks.push({
     type: "header",
     text: {
       type: "plain_text",
-      text: ":stopwatch: Long-running Alarms",
+      text: `:wrench: Maintenance Window Ended: ${window.name}`,
       emoji: true,
     },
   });
 
-  blocks.push(
-    ...alarms.MetricAlarms.map((a) => {
-      const accountId = a.AlarmArn.split(":")[4];
-      const url = alarmConsole(a);
-      const ssoUrl = ssoDeepLink(accountId, url);
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: `${window.start} – ${window.end}`,
+      },
+    ],
+  });
 
-      const lines = [`*<${ssoUrl}|${title(a)}>*`];
+  if (!fired.length) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "No alarms fired during the window.",
+      },
+    });
 
-      if (a.StateReasonData) {
-        const reasonData = JSON.parse(a.StateReasonData);
-        lines.push(started(reasonData));
-      }
+    return blocks;
+  }
 
-      return {
-        type: "section",
-        text: {
-          type: "mrkdwn",
-          text: lines.join("\n"),
-        },
-      };
-    }),
-  );
+  blocks.push({
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: [
+        "*Fired during the window:*",
+        ...fired.map((f) => `${title(f.alarm)}: \`${f.count}\``),
+      ].join("\n"),
+    },
+  });
 
-  console.log(blocks);
+  const stillInAlarm = fired.filter((f) => f.alarm.StateValue === "ALARM");
 
-  await eventbridge.send(
-    new PutEventsCommand({
-      Entries: [
-        {
+  if (stillInAlarm.length) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "*Still in ALARM:*",
+      },
+    });
+
+    blocks.push(...stillInAlarm.map((f) => alarmSection(f.alarm)));
+  }
+
+  return blocks;
+}
+
+/**
+ * Sends a summary for each maintenance window that ended since the previous
+ * check, listing the alarms that fired during the window
+ * @returns {Promise<void>}
+ */
+async function sendMaintenanceSummaries() {
+  const now = new Date();
+  const since = await lastChecked("maintenance-summaries", now);
+
+  const entries = [];
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const window of endedWindows(since, now)) {
+    const fired = [];
+
+    const accountIds = process.env.SEARCH_ACCOUNTS.split(",").filter(
+      (a) => !window.match.account || window.match.account.includes(a),
+    );
+    const searchRegions = process.env.SEARCH_REGIONS.split(",").filter(
+      (r) => !window.match.region || window.match.region.includes(r),
+    );
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const accountId of accountIds) {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const region of searchRegions) {
+        // eslint-disable-next-line no-await-in-loop
+        const cloudwatch = await cloudWatchClient(accountId, region);
+
+        // eslint-disable-next-line no-await-in-loop
+        const counts = await alarmCountsBetween(
+          cloudwatch,
+          new Date(window.start),
+          new Date(window.end),
+        );
+
+        // eslint-disable-next-line no-await-in-loop
+        const firedAlarms = await describeAlarmsByName(cloudwatch, [
+          ...counts.keys(),
+        ]);
+
+        // eslint-disable-next-line no-restricted-syntax
+        for (const alarm of firedAlarms) {
+          // eslint-disable-next-line no-await-in-loop
+          const subject = await routingSubject(cloudwatch, alarm);
+
+          if (matchesWindow(window, subject) && !suppressed(subject)) {
+            fired.push({ alarm, count: counts.get(alarm.AlarmName) });
+          }
+        }
+      }
+    }
+
+    // Without its own destinations, a summary is routed like reminders, but
+    // rules can also match summaries specifically
+    const destinations =
+      window.destinations ||
+      route({
+        source: "reminders",
+        kind: "maintenance-summary",
+        window: window.name,
+        alarmName: undefined,
+        account: undefined,
+        region: undefined,
+      }).destinations;
+
+    entries.push(
+      ...destinations
+        // Only Slack destinations are currently supported
+        .filter((d) => (d.type || "slack") === "slack")
+        .map((d) => ({
           Source: "org.prx.cloudwatch-alarm-reminders",
           DetailType: "Slack Message Relay Message Payload",
           Detail: JSON.stringify({
             username: "Amazon CloudWatch Alarms",
             icon_emoji: ":ops-cloudwatch-alarm:",
-            channel: "G2QH6NMEH", // #ops-error
+            channel: d.channel,
             attachments: [
               {
-                color: "#a30200",
-                fallback: `There are *${count}* long-running alarms`,
-                blocks,
+                color: "#4b6c8c",
+                fallback: `Maintenance window ${window.name} ended; ${fired.length} alarms fired during it`,
+                blocks: maintenanceSummaryBlocks(window, fired),
               },
             ],
           }),
-        },
-      ],
-    }),
+        })),
+    );
+  }
+
+  await putEvents(entries);
+  await recordCheck("maintenance-summaries", now);
+}
+
+/**
+ * Returns the times that each alarm moved to ALARM within a time range
+ * @param {CloudWatchClient} cwClient
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {Promise<Map<String, Date[]>>}
+ */
+async function alarmTransitionsBetween(cwClient, startDate, endDate) {
+  const items = new Map();
+
+  const paginator = paginateDescribeAlarmHistory(
+    { client: cwClient },
+    { HistoryItemType: "StateUpdate", StartDate: startDate, EndDate: endDate },
   );
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const page of paginator) {
+    page.AlarmHistoryItems.forEach((i) => {
+      if (!items.has(i.AlarmName)) {
+        items.set(i.AlarmName, []);
+      }
+
+      items.get(i.AlarmName).push(i);
+    });
+  }
+
+  return new Map(
+    [...items.entries()].map(([name, i]) => [name, alarmTransitions(i)]),
+  );
+}
+
+/**
+ * Returns the Slack messages that said an alarm started flapping, which the
+ * notifications function records so that it can keep them current
+ * @param {String} accountId
+ * @param {String} region
+ * @param {String} alarmName
+ * @returns {Promise<{ destination: String, channel: String, ts: String, threadTs?: String }[]>}
+ */
+async function flapNotices(accountId, region, alarmName) {
+  const record = await stateStore().get(
+    `flap:${accountId}:${region}:${alarmName}`,
+  );
+
+  return record?.messages || [];
+}
+
+/**
+ * Sends a notice for each alarm that stopped flapping since the previous
+ * check. An alarm stopped flapping if it was flapping at the start of the
+ * interval and no longer is.
+ *
+ * Notices are posted in the thread of the message that said the alarm started
+ * flapping, when that message is still known, so that the two are read
+ * together.
+ * @returns {Promise<void>}
+ */
+async function sendStabilizedNotices() {
+  const settings = flapSettings();
+
+  const now = new Date();
+  const since = await lastChecked("stabilized-notices", now);
+  const historyStart = new Date(+since - settings.windowMinutes * 60 * 1000);
+
+  const entries = [];
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const accountId of process.env.SEARCH_ACCOUNTS.split(",")) {
+    // eslint-disable-next-line no-restricted-syntax
+    for (const region of process.env.SEARCH_REGIONS.split(",")) {
+      // eslint-disable-next-line no-await-in-loop
+      const cloudwatch = await cloudWatchClient(accountId, region);
+
+      // eslint-disable-next-line no-await-in-loop
+      const transitions = await alarmTransitionsBetween(
+        cloudwatch,
+        historyStart,
+        now,
+      );
+
+      const stabilizedNames = [...transitions.entries()]
+        .filter(
+          ([, t]) =>
+            isFlapping(t, since, settings) && !isFlapping(t, now, settings),
+        )
+        .map(([name]) => name);
+
+      // eslint-disable-next-line no-await-in-loop
+      const stabilized = await describeAlarmsByName(
+        cloudwatch,
+        stabilizedNames,
+      );
+
+      // eslint-disable-next-line no-restricted-syntax
+      for (const alarm of stabilized) {
+        // eslint-disable-next-line no-await-in-loop
+        const subject = await routingSubject(cloudwatch, alarm);
+
+        if (suppressed(subject)) {
+          continue;
+        }
+
+        const ssoUrl = consoleLink(accountId, alarmConsole(alarm));
+        const count = transitionCount(
+          transitions.get(alarm.AlarmName),
+          since,
+          settings,
+        );
+
+        // The notice goes wherever notifications for the alarm go, since
+        // that's where it was reported as flapping
+        const { destinations } = route({ ...subject, source: "notifications" });
+
+        // eslint-disable-next-line no-await-in-loop
+        const notices = await flapNotices(accountId, region, alarm.AlarmName);
+
+        entries.push(
+          ...destinations
+            // Only Slack destinations are currently supported
+            .filter((d) => (d.type || "slack") === "slack")
+            .map((d) => ({
+              d,
+              notice: notices.find((n) => n.destination === d.channel),
+            }))
+            .map(({ d, notice }) => ({
+              Source: "org.prx.cloudwatch-alarm-reminders",
+              DetailType: "Slack Message Relay Message Payload",
+              Detail: JSON.stringify({
+                username: "Amazon CloudWatch Alarms",
+                icon_emoji: ":ops-cloudwatch-alarm:",
+                channel: notice ? notice.channel : d.channel,
+                ...(notice && { thread_ts: notice.threadTs || notice.ts }),
+                attachments: [
+                  {
+                    color: alarm.StateValue === "ALARM" ? "#a30200" : "#2eb886",
+                    fallback: `Stabilized | ${title(alarm)}`,
+                    blocks: [
+                      {
+                        type: "section",
+                        text: {
+                          type: "mrkdwn",
+                          text: [
+                            `*<${ssoUrl}|${title(alarm)}>*`,
+                            `*Stabilized:* No longer flapping, after ${count} transitions to ALARM in ${settings.windowMinutes} minutes. The alarm is currently \`${alarm.StateValue}\`.`,
+                          ].join("\n"),
+                        },
+                      },
+                    ],
+                  },
+                ],
+              }),
+            })),
+        );
+      }
+    }
+  }
+
+  await putEvents(entries);
+  await recordCheck("stabilized-notices", now);
+}
+
+export const handler = async (event) => {
+  console.log(JSON.stringify(event));
+
+  if (event.frequentChecks) {
+    await sendMaintenanceSummaries();
+    await sendStabilizedNotices();
+    return;
+  }
+
+  const now = new Date();
+
+  const alarms = {
+    CompositeAlarms: [],
+    MetricAlarms: [],
+  };
+
+  // Alarms are grouped by the team that owns them and where they get sent.
+  // Each group becomes its own message.
+  const groups = new Map();
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const accountId of process.env.SEARCH_ACCOUNTS.split(",")) {
+    // eslint-disable-next-line no-restricted-syntax
+    for (const region of process.env.SEARCH_REGIONS.split(",")) {
+      // eslint-disable-next-line no-await-in-loop
+      const cloudwatch = await cloudWatchClient(accountId, region);
+
+      // eslint-disable-next-line no-await-in-loop
+      const data = await describeAllAlarms(cloudwatch, undefined);
+
+      const metricAlarms = data.MetricAlarms.map(injectDuration)
+        .filter(filterByDuration)
+        .sort(sortByDuration);
+
+      alarms.CompositeAlarms.push(...data.CompositeAlarms);
+
+      // eslint-disable-next-line no-restricted-syntax
+      for (const alarm of metricAlarms) {
+        // eslint-disable-next-line no-await-in-loop
+        const subject = await routingSubject(cloudwatch, alarm);
+
+        if (suppressed(subject)) {
+          continue;
+        }
+
+        alarms.MetricAlarms.push(alarm);
+
+        const routing = route(subject);
+        const team = routing.owner?.team;
+        const window = activeWindow(subject, now);
+
+        routing.destinations.forEach((destination) => {
+          const key = JSON.stringify([team, destination]);
+
+          if (!groups.has(key)) {
+            groups.set(key, { team, destination, alarms: [], muted: [] });
+          }
+
+          if (window) {
+            groups.get(key).muted.push({ alarm, window });
+          } else {
+            groups.get(key).alarms.push(alarm);
+          }
+        });
+      }
+    }
+  }
+
+  console.log(JSON.stringify(alarms));
+
+  const count = alarms.CompositeAlarms.length + alarms.MetricAlarms.length;
+
+  if (count === 0) {
+    return;
+  }
+
+  const entries = [...groups.values()]
+    // Only Slack destinations are currently supported
+    .filter((g) => (g.destination.type || "slack") === "slack")
+    .map((g) => ({
+      Source: "org.prx.cloudwatch-alarm-reminders",
+      DetailType: "Slack Message Relay Message Payload",
+      Detail: JSON.stringify({
+        username: "Amazon CloudWatch Alarms",
+        icon_emoji: ":ops-cloudwatch-alarm:",
+        channel: g.destination.channel,
+        attachments: [
+          {
+            color: "#a30200",
+            fallback: `There are *${g.alarms.length + g.muted.length}* long-running alarms`,
+            blocks: reminderBlocks(g.alarms, g.team, g.muted),
+          },
+        ],
+      }),
+    }));
+
+  await putEvents(entries);
 };
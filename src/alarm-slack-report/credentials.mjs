@@ -0,0 +1,170 @@
+/**
+ * Provides AWS SDK clients for other accounts in the organization, using
+ * credentials from a role that's assumed in each account. Credentials and
+ * clients are cached for as long as the Lambda container stays warm, so that
+ * each account's role is only assumed once per session rather than once per
+ * invocation. Credentials are refreshed shortly before they expire.
+ *
+ * Some accounts may require an external ID or session tags when their role
+ * is assumed. Those can be provided as JSON in the CROSS_ACCOUNT_ROLE_OPTIONS
+ * environment variable, keyed by account ID. A "*" entry applies to any
+ * account without its own entry.
+ *
+ *   { "123456789012": { "externalId": "abc", "sessionTags": { "app": "x" } } }
+ *
+ * This file is identical in each function that reads from other accounts.
+ */
+
+/** @typedef {import('@smithy/types').AwsCredentialIdentity} AwsCredentialIdentity */
+
+/**
+ * @typedef {Object} AccountRoleOptions
+ * @property {String} [externalId]
+ * @property {Object.<string, string>} [sessionTags]
+ */
+
+/**
+ * @typedef {Object} CrossAccountProvider
+ * @property {(accountId: String, region?: String) => Promise<AwsCredentialIdentity>} credentials
+ * @property {<T>(Client: new (config: Object) => T, accountId: String, region: String, config?: Object) => T} client
+ * @property {(accountId: String, region: String) => CloudWatchClient} cloudWatchClient
+ */
+
+import { CloudWatchClient } from "@aws-sdk/client-cloudwatch";
+import { AssumeRoleCommand, STSClient } from "@aws-sdk/client-sts";
+import { partition } from "./regions.mjs";
+
+// Cached credentials are replaced once they're this close to expiring
+const REFRESH_BEFORE_EXPIRY_MS = 5 * 60 * 1000;
+
+const sts = new STSClient({ apiVersion: "2011-06-15" });
+
+/**
+ * Returns the options for assuming the role in an account
+ * @param {String} accountId
+ * @returns {AccountRoleOptions}
+ */
+export function accountRoleOptions(accountId) {
+  const options = process.env.CROSS_ACCOUNT_ROLE_OPTIONS
+    ? JSON.parse(process.env.CROSS_ACCOUNT_ROLE_OPTIONS)
+    : {};
+
+  return options[accountId] || options["*"] || {};
+}
+
+/**
+ * Returns a provider of clients that use a role with the given name in each
+ * account
+ * @param {String} roleName
+ * @param {String} sessionName
+ * @param {Object} [cloudWatchConfig] Additional configuration for CloudWatch clients, like a retry strategy
+ * @returns {CrossAccountProvider}
+ */
+export function crossAccountProvider(
+  roleName,
+  sessionName,
+  cloudWatchConfig = {},
+) {
+  /** @type {Map<String, { promise: Promise<AwsCredentialIdentity>, value?: AwsCredentialIdentity }>} */
+  const credentialCache = new Map();
+  const clientCache = new Map();
+
+  /**
+   * @param {String} accountId
+   * @param {String} [region] Any region in the account's partition
+   * @returns {Promise<AwsCredentialIdentity>}
+   */
+  const assumeRole = async (accountId, region) => {
+    const options = accountRoleOptions(accountId);
+
+    const role = await sts.send(
+      new AssumeRoleCommand({
+        RoleArn: `arn:${partition(region)}:iam::${accountId}:role/${roleName}`,
+        RoleSessionName: sessionName,
+        ...(options.externalId && { ExternalId: options.externalId }),
+        ...(options.sessionTags && {
+          Tags: Object.entries(options.sessionTags).map(([Key, Value]) => ({
+            Key,
+            Value,
+          })),
+        }),
+      }),
+    );
+
+    return {
+      accessKeyId: role.Credentials.AccessKeyId,
+      secretAccessKey: role.Credentials.SecretAccessKey,
+      sessionToken: role.Credentials.SessionToken,
+      expiration: role.Credentials.Expiration,
+    };
+  };
+
+  /**
+   * Account IDs are unique across partitions, so credentials are cached by
+   * account alone
+   * @param {String} accountId
+   * @param {String} [region] Any region in the account's partition
+   * @returns {Promise<AwsCredentialIdentity>}
+   */
+  const credentials = (accountId, region) => {
+    let entry = credentialCache.get(accountId);
+
+    if (
+      entry?.value?.expiration &&
+      +entry.value.expiration - Date.now() < REFRESH_BEFORE_EXPIRY_MS
+    ) {
+      entry = undefined;
+    }
+
+    // Concurrent requests for the same account share a single AssumeRole
+    // call. Failures aren't cached, so the next request tries again.
+    if (!entry) {
+      const pending = { promise: assumeRole(accountId, region) };
+      credentialCache.set(accountId, pending);
+
+      pending.promise.then(
+        (value) => {
+          pending.value = value;
+        },
+        () => {
+          if (credentialCache.get(accountId) === pending) {
+            credentialCache.delete(accountId);
+          }
+        },
+      );
+
+      entry = pending;
+    }
+
+    return entry.promise;
+  };
+
+  const client = (Client, accountId, region, config = {}) => {
+    const key = `${Client.name}:${accountId}:${region}`;
+
+    if (!clientCache.has(key)) {
+      clientCache.set(
+        key,
+        new Client({
+          ...config,
+          region,
+          // Called by the client whenever its credentials are missing or
+          // about to expire
+          credentials: () => credentials(accountId, region),
+        }),
+      );
+    }
+
+    return clientCache.get(key);
+  };
+
+  return {
+    credentials,
+    client,
+    cloudWatchClient: (accountId, region) =>
+      client(CloudWatchClient, accountId, region, {
+        apiVersion: "2010-08-01",
+        ...cloudWatchConfig,
+      }),
+  };
+}
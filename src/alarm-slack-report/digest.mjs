@@ -0,0 +1,233 @@
+/**
+ * Sends the alarm report as an email digest, for people who aren't in the
+ * ops Slack channels. The digest includes every reported alarm, grouped by
+ * account and region, regardless of how the alarms are routed in Slack.
+ *
+ * The digest is sent with SES to DIGEST_EMAIL_RECIPIENTS (a comma-separated
+ * list), from DIGEST_EMAIL_SENDER, which must be a plain address. The function
+ * is only allowed to send as that address, or as its domain, whichever is the
+ * verified SES identity. When DIGEST_EMAIL_FILE is set, the MIME message is
+ * written to that path instead of being sent, so that it can be checked
+ * without SES, e.g., by opening it with an email client.
+ */
+
+/**
+ * @typedef {Object} AlarmReport
+ * @property {import('@aws-sdk/client-cloudwatch').MetricAlarm} Alarm
+ * @property {Number} Count Transitions to ALARM during the report period
+ */
+
+/**
+ * @typedef {Object} DigestContent
+ * @property {String} subject
+ * @property {String} html
+ * @property {String} text
+ */
+
+import { randomUUID } from "node:crypto";
+import { writeFile } from "node:fs/promises";
+import { SESv2Client, SendEmailCommand } from "@aws-sdk/client-sesv2";
+import { consoleLink } from "./console-links.mjs";
+import regions from "./regions.mjs";
+import { alarmConsole } from "./urls.mjs";
+
+const ses = new SESv2Client({ apiVersion: "2019-09-27" });
+
+/**
+ * @param {String} str
+ * @returns {String}
+ */
+function escapeHtml(str) {
+  return `${str}`
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Returns the reports grouped by account and region, in a stable order, with
+ * the most active alarms first within each group
+ * @param {AlarmReport[]} reports
+ * @returns {{ account: String, region: String, reports: AlarmReport[] }[]}
+ */
+function groupByAccountAndRegion(reports) {
+  const groups = new Map();
+
+  reports.forEach((r) => {
+    const [, , , region, account] = r.Alarm.AlarmArn.split(":");
+    const key = `${account}:${region}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, { account, region, reports: [] });
+    }
+
+    groups.get(key).reports.push(r);
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([, g]) => ({
+      ...g,
+      reports: g.reports.sort(
+        (a, b) =>
+          b.Count - a.Count ||
+          a.Alarm.AlarmName.localeCompare(b.Alarm.AlarmName),
+      ),
+    }));
+}
+
+/**
+ * @param {String} account
+ * @param {String} region
+ * @returns {String}
+ */
+function groupTitle(account, region) {
+  return `${account} · ${regions(region)} (${region})`;
+}
+
+/**
+ * Renders the digest's subject and bodies
+ * @param {AlarmReport[]} reports
+ * @param {Number} hours The length of the report period
+ * @returns {DigestContent}
+ */
+export function digestContent(reports, hours) {
+  const groups = groupByAccountAndRegion(reports);
+  const total = reports.reduce((sum, r) => sum + r.Count, 0);
+
+  const subject = `${hours}-Hour Alarm Report: ${reports.length} alarm${reports.length === 1 ? "" : "s"}, ${total} state change${total === 1 ? "" : "s"} to ALARM`;
+
+  const html = [
+    "<!DOCTYPE html>",
+    '<html><head><meta charset="utf-8"></head>',
+    '<body style="font-family: sans-serif; font-size: 14px; color: #1d1c1d;">',
+    `<h2>${hours}-Hour Alarm Report</h2>`,
+    `<p>${escapeHtml(subject.replace(/^[^:]+: /, ""))} across ${groups.length} account and region combination${groups.length === 1 ? "" : "s"}.</p>`,
+    ...groups.map((g) =>
+      [
+        `<h3>${escapeHtml(groupTitle(g.account, g.region))}</h3>`,
+        '<table cellpadding="6" cellspacing="0" style="border-collapse: collapse; width: 100%;">',
+        '<tr style="background: #f4f4f4; text-align: left;"><th>Alarm</th><th>State</th><th style="text-align: right;">Count</th></tr>',
+        ...g.reports.map((r) => {
+          const url = consoleLink(g.account, alarmConsole(r.Alarm));
+
+          return [
+            '<tr style="border-top: 1px solid #dddddd;">',
+            `<td><a href="${escapeHtml(url)}">${escapeHtml(r.Alarm.AlarmName)}</a></td>`,
+            `<td>${escapeHtml(r.Alarm.StateValue || "")}</td>`,
+            `<td style="text-align: right;">${r.Count}</td>`,
+            "</tr>",
+          ].join("");
+        }),
+        "</table>",
+      ].join("\n"),
+    ),
+    "</body></html>",
+  ].join("\n");
+
+  const text = [
+    `${hours}-Hour Alarm Report`,
+    "",
+    ...groups.flatMap((g) => [
+      groupTitle(g.account, g.region),
+      "",
+      ...g.reports.flatMap((r) => [
+        `  ${r.Count}  ${r.Alarm.AlarmName} (${r.Alarm.StateValue})`,
+        `     ${consoleLink(g.account, alarmConsole(r.Alarm))}`,
+      ]),
+      "",
+    ]),
+  ].join("\n");
+
+  return { subject, html, text };
+}
+
+/**
+ * Returns base64-encoded content, wrapped to the line length that MIME allows
+ * @param {String} content
+ * @returns {String}
+ */
+function base64Lines(content) {
+  return Buffer.from(content, "utf-8")
+    .toString("base64")
+    .replace(/.{1,76}/g, "$&\r\n");
+}
+
+/**
+ * Returns a multipart/alternative MIME message with both bodies
+ * @param {DigestContent} content
+ * @param {String} from
+ * @param {String[]} to
+ * @param {Date} [date]
+ * @returns {String}
+ */
+export function mimeMessage(content, from, to, date = new Date()) {
+  const boundary = `digest-${randomUUID()}`;
+  const subject = `=?UTF-8?B?${Buffer.from(content.subject, "utf-8").toString("base64")}?=`;
+
+  return [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${subject}`,
+    `Date: ${date.toUTCString()}`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    'Content-Type: text/plain; charset="UTF-8"',
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(content.text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset="UTF-8"',
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(content.html),
+    `--${boundary}--`,
+    "",
+  ].join("\r\n");
+}
+
+/**
+ * Sends the digest, or writes it to disk, if a destination is configured
+ * @param {AlarmReport[]} reports
+ * @param {Number} hours The length of the report period
+ * @returns {Promise<void>}
+ */
+export async function sendDigest(reports, hours) {
+  const recipients = (process.env.DIGEST_EMAIL_RECIPIENTS || "")
+    .split(",")
+    .map((r) => r.trim())
+    .filter((r) => r);
+  const sender = process.env.DIGEST_EMAIL_SENDER;
+  const file = process.env.DIGEST_EMAIL_FILE;
+
+  if (!file && (!recipients.length || !sender)) {
+    return;
+  }
+
+  const raw = mimeMessage(
+    digestContent(reports, hours),
+    sender || "alarms@example.com",
+    recipients.length ? recipients : ["digest@example.com"],
+  );
+
+  if (file) {
+    await writeFile(file, raw);
+    console.log(JSON.stringify({ msg: "Wrote email digest", file }));
+    return;
+  }
+
+  await ses.send(
+    new SendEmailCommand({
+      FromEmailAddress: sender,
+      Destination: { ToAddresses: recipients },
+      Content: { Raw: { Data: Buffer.from(raw, "utf-8") } },
+    }),
+  );
+
+  console.log(
+    JSON.stringify({ msg: "Sent email digest", recipients: recipients.length }),
+  );
+}
@@ -4,44 +4,43 @@
 import {
   CloudWatchClient,
   DescribeAlarmsCommand,
+  ListTagsForResourceCommand,
   paginateDescribeAlarmHistory,
 } from "@aws-sdk/client-cloudwatch";
 import {
   EventBridgeClient,
   PutEventsCommand,
 } from "@aws-sdk/client-eventbridge";
-import { AssumeRoleCommand, STSClient } from "@aws-sdk/client-sts";
 import { ConfiguredRetryStrategy } from "@smithy/util-retry";
+import { crossAccountProvider } from "./credentials.mjs";
+import { sendDigest } from "./digest.mjs";
 import regions from "./regions.mjs";
+import { route } from "./routing.mjs";
+import { suppressed } from "./suppression.mjs";
 
-// import { alarmConsole, ssoDeepLink } from "./urls.mjs";
+// import { alarmConsole } from "./urls.mjs";
+// import { consoleLink } from "./console-links.mjs";
 
-const sts = new STSClient({ apiVersion: "2011-06-15" });
-const eventbridge = new EventBridgeClient({ apiVersion: "2015-10-07" });
-
-async function cloudWatchClient(accountId, region) {
-  const roleName = process.env.CLOUDWATCH_CROSS_ACCOUNT_SHARING_ROLE_NAME;
-
-  const role = await sts.send(
-    new AssumeRoleCommand({
-      RoleArn: `arn:aws:iam::${accountId}:role/${roleName}`,
-      RoleSessionName: "reminders_lambda_reader",
-    }),
-  );
-
-  return new CloudWatchClient({
+const accounts = crossAccountProvider(
+  process.env.CLOUDWATCH_CROSS_ACCOUNT_SHARING_ROLE_NAME,
+  "reminders_lambda_reader",
+  {
     retryStrategy: new ConfiguredRetryStrategy(
       10,
       (attempt) => 100 + attempt * 1000,
     ),
-    apiVersion: "2010-08-01",
-    region,
-    credentials: {
-      accessKeyId: role.Credentials.AccessKeyId,
-      secretAccessKey: role.Credentials.SecretAccessKey,
-      sessionToken: role.Credentials.SessionToken,
-    },
-  });
+  },
+);
+const eventbridge = new EventBridgeClient({ apiVersion: "2015-10-07" });
+
+/**
+ * Returns a CloudWatch client for an account and region
+ * @param {String} accountId
+ * @param {String} region
+ * @returns {Promise<CloudWatchClient>}
+ */
+async function cloudWatchClient(accountId, region) {
+  return accounts.cloudWatchClient(accountId, region);
 }
 
 /**
@@ -101,15 +100,68 @@ function title(alarmDetail) {
   return `${region} » ${cleanName(name)}`;
 }
 
-function filterByName(alarm) {
-  return !(
-    alarm.AlarmName.includes("AS:In") ||
-    alarm.AlarmName.includes("AS:Out") ||
-    alarm.AlarmName.includes("TargetTracking") ||
-    alarm.AlarmName.includes("ScaleInAlarm") ||
-    alarm.AlarmName.includes("ScaleOutAlarm") ||
-    alarm.AlarmName.includes("Production Pollers Low CPU Usage")
+/**
+ * Returns the routing subject for an alarm, including its tags, which
+ * identify the team that owns it
+ * @param {CloudWatchClient} cwClient
+ * @param {*} alarm
+ * @returns {Promise<import('./routing.mjs').RoutingSubject>}
+ */
+async function routingSubject(cwClient, alarm) {
+  const tagList = await cwClient.send(
+    new ListTagsForResourceCommand({ ResourceARN: alarm.AlarmArn }),
+  );
+
+  /** @type {Object.<string, string>} */
+  const tags = Object.fromEntries(
+    (tagList.Tags || []).map((t) => [t.Key, t.Value]),
   );
+
+  return {
+    source: "report",
+    alarmName: alarm.AlarmName,
+    account: alarm.AlarmArn.split(":")[4],
+    region: alarm.AlarmArn.split(":")[3],
+    namespace: alarm.Namespace,
+    tags,
+  };
+}
+
+/**
+ * @param {*[]} reports
+ * @param {String} [team] The team that owns the alarms, if any
+ * @returns {Object[]}
+ */
+function reportBlocks(reports, team) {
+  const blocks = [];
+
+  blocks.push({
+    type: "header",
+    text: {
+      type: "plain_text",
+      text: `:memo: 26-Hour Alarm Report${team ? ` for ${team}` : ""}`,
+      emoji: true,
+    },
+  });
+
+  const lines = reports.map((r) => {
+    // const accountId = r.Alarm.AlarmArn.split(":")[4];
+    // const url = alarmConsole(r.Alarm);
+    // const ssoUrl = consoleLink(accountId, url);
+
+    return `*${title(r.Alarm)}*: \`${r.Count}\``;
+    // return `*<${ssoUrl}|${title(r.Alarm)}>*`;
+  });
+
+  blocks.push({
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: lines.join("\n"),
+    },
+  });
+
+  return blocks;
 }
 
 export const handler = async (event) => {
@@ -132,10 +184,17 @@ export const handler = async (event) => {
 
       // TODO Handle composite alarms
       // eslint-disable-next-line no-restricted-syntax
-      for (const alarm of data.MetricAlarms.filter(filterByName)) {
+      for (const alarm of data.MetricAlarms) {
         const ts = Date.parse(alarm.StateTransitionedTimestamp);
 
         if (ts >= +hoursAgo26) {
+          // eslint-disable-next-line no-await-in-loop
+          const subject = await routingSubject(cloudwatch, alarm);
+
+          if (suppressed(subject)) {
+            continue;
+          }
+
           const paginator = paginateDescribeAlarmHistory(
             {
               client: cloudwatch,
@@ -161,64 +220,63 @@ export const handler = async (event) => {
           reports.push({
             Alarm: alarm,
             Count: toAlarmCount,
+            Subject: subject,
           });
         }
       }
     }
   }
 
-  const blocks = [];
-
   if (reports.length === 0) {
     return;
   }
 
-  blocks.push({
-    type: "header",
-    text: {
-      type: "plain_text",
-      text: ":memo: 26-Hour Alarm Report",
-      emoji: true,
-    },
-  });
+  // Reports are grouped by the team that owns the alarm and where they get
+  // sent. Each group becomes its own message.
+  const groups = new Map();
 
-  const lines = reports.map((r) => {
-    // const accountId = r.Alarm.AlarmArn.split(":")[4];
-    // const url = alarmConsole(r.Alarm);
-    // const ssoUrl = ssoDeepLink(accountId, url);
+  reports.forEach((r) => {
+    const routing = route(r.Subject);
+    const team = routing.owner?.team;
 
-    return `*${title(r.Alarm)}*: \`${r.Count}\``;
-    // return `*<${ssoUrl}|${title(r.Alarm)}>*`;
-  });
+    routing.destinations.forEach((destination) => {
+      const key = JSON.stringify([team, destination]);
 
-  blocks.push({
-    type: "section",
-    text: {
-      type: "mrkdwn",
-      text: lines.join("\n"),
-    },
+      if (!groups.has(key)) {
+        groups.set(key, { team, destination, reports: [] });
+      }
+
+      groups.get(key).reports.push(r);
+    });
   });
 
-  await eventbridge.send(
-    new PutEventsCommand({
-      Entries: [
-        {
-          Source: "org.prx.cloudwatch-alarm-reminders",
-          DetailType: "Slack Message Relay Message Payload",
-          Detail: JSON.stringify({
-            username: "Amazon CloudWatch Alarms",
-            icon_emoji: ":ops-cloudwatch-alarm:",
-            channel: "G2QHBL6UX", // #ops-info
-            attachments: [
-              {
-                color: "#a30200",
-                fallback: `tktktk`,
-                blocks,
-              },
-            ],
-          }),
-        },
-      ],
-    }),
-  );
+  const entries = [...groups.values()]
+    // Only Slack destinations are currently supported
+    .filter((g) => (g.destination.type || "slack") === "slack")
+    .map((g) => ({
+      Source: "org.prx.cloudwatch-alarm-reminders",
+      DetailType: "Slack Message Relay Message Payload",
+      Detail: JSON.stringify({
+        username: "Amazon CloudWatch Alarms",
+        icon_emoji: ":ops-cloudwatch-alarm:",
+        channel: g.destination.channel,
+        attachments: [
+          {
+            color: "#a30200",
+            fallback: `tktktk`,
+            blocks: reportBlocks(g.reports, g.team),
+          },
+        ],
+      }),
+    }));
+
+  // PutEvents accepts at most 10 entries per request
+  for (let i = 0; i < entries.length; i += 10) {
+    // eslint-disable-next-line no-await-in-loop
+    await eventbridge.send(
+      new PutEventsCommand({ Entries: entries.slice(i, i + 10) }),
+    );
+  }
+
+  await sendDigest(reports, 26);
 };
@@ -1,15 +1,4 @@
-/**
- * Creates a deep link to an AWS Console URL in a specific account, using an
- * IAM Identity Center access role
- * @param {String} accountId
- * @param {String} url
- * @returns
- */
-export function ssoDeepLink(accountId, url) {
-  const deepLinkRoleName = "AdministratorAccess";
-  const urlEncodedUrl = encodeURIComponent(url);
-  return `https://aws.prx.tech/#/console?account_id=${accountId}&role_name=${deepLinkRoleName}&destination=${urlEncodedUrl}`;
-}
+import { consoleHost } from "./regions.mjs";
 
 /**
  * Returns a URL to CloudWatch Alarms console for the alarm that triggered
@@ -21,5 +10,5 @@ export function alarmConsole(alarmDetail) {
   const name = alarmDetail.AlarmName;
   const region = alarmDetail.AlarmArn.split(":")[3];
   const encoded = encodeURI(name.replace(/ /g, "+")).replace(/%/g, "$");
-  return `https://console.aws.amazon.com/cloudwatch/home?region=${region}#alarmsV2:alarm/${encoded}`;
+  return `https://${consoleHost(region)}/cloudwatch/home?region=${region}#alarmsV2:alarm/${encoded}`;
 }
@@ -0,0 +1,78 @@
+/**
+ * EventBridge delivers events at least once, and Lambda retries async
+ * invocations that fail, so a function may receive the same alarm event more
+ * than once. Each event is claimed by its ID before it's handled, and events
+ * that have already been claimed are skipped.
+ *
+ * Claims are kept per function, since every function that receives an event
+ * should handle it once.
+ *
+ * This file is identical in each function that sends notifications.
+ */
+
+/** @typedef {import('./state-store.mjs').StateStore} StateStore */
+
+/**
+ * @typedef {Object} DedupEvent
+ * @property {String} id
+ * @property {{ alarmName: String, state: { timestamp: String } }} detail
+ */
+
+import { stateStore } from "./state-store.mjs";
+
+// EventBridge retries delivery for up to 24 hours
+const CLAIM_TTL_SECONDS = 86400;
+
+/**
+ * @param {String} source The function handling the event, e.g., sms
+ * @param {DedupEvent} event
+ * @returns {String}
+ */
+function claimKey(source, event) {
+  return `event:${source}:${event.id}`;
+}
+
+/**
+ * Claims an event for handling. Returns false if it was already claimed, in
+ * which case it should be skipped.
+ * @param {String} source The function handling the event, e.g., sms
+ * @param {DedupEvent} event
+ * @param {StateStore} [store]
+ * @returns {Promise<Boolean>}
+ */
+export async function claimEvent(source, event, store = stateStore()) {
+  const claimed = await store.add(
+    claimKey(source, event),
+    {
+      alarmName: event.detail.alarmName,
+      stateTimestamp: event.detail.state.timestamp,
+      claimedAt: new Date().toISOString(),
+    },
+    CLAIM_TTL_SECONDS,
+  );
+
+  if (!claimed) {
+    console.log(
+      JSON.stringify({
+        msg: "Skipped duplicate event",
+        source,
+        eventId: event.id,
+        alarmName: event.detail.alarmName,
+      }),
+    );
+  }
+
+  return claimed;
+}
+
+/**
+ * Releases the claim on an event, so that it can be handled again, e.g., when
+ * handling failed and the invocation will be retried
+ * @param {String} source
+ * @param {DedupEvent} event
+ * @param {StateStore} [store]
+ * @returns {Promise<void>}
+ */
+export async function releaseEvent(source, event, store = stateStore()) {
+  await store.delete(claimKey(source, event));
+}
@@ -51,14 +51,57 @@
 
 /** @typedef { import('aws-lambda').EventBridgeEvent<'CloudWatch Alarm State Change', EventBridgeCloudWatchAlarmsEventDetail> } EventBridgeCloudWatchAlarmsEvent */
 
+import { ListTagsForResourceCommand } from "@aws-sdk/client-cloudwatch";
 import { PublishCommand, SNSClient } from "@aws-sdk/client-sns";
+import { crossAccountProvider } from "./credentials.mjs";
+import { claimEvent, releaseEvent } from "./dedup.mjs";
+import { muted, windowsUseTags } from "./maintenance.mjs";
 import { regionName } from "./regions.mjs";
+import { suppressed, usesTags } from "./suppression.mjs";
 
+const accounts = crossAccountProvider(
+  process.env.CROSS_ACCOUNT_CLOUDWATCH_ALARM_IAM_ROLE_NAME,
+  "sms_notifications_lambda_reader",
+);
 const sns = new SNSClient({
   apiVersion: "2010-03-31",
   region: process.env.FATAL_SMS_CONTACT_LIST_SNS_TOPIC_ARN.split(":")[3],
 });
 
+/**
+ * Returns the tags of the alarm that triggered the event, using credentials
+ * for the account where the alarm originated
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @returns {Promise<Object.<string, string>>}
+ */
+async function alarmTags(event) {
+  const cloudwatch = accounts.cloudWatchClient(event.account, event.region);
+
+  const tagList = await cloudwatch.send(
+    new ListTagsForResourceCommand({ ResourceARN: event.resources[0] }),
+  );
+
+  return Object.fromEntries((tagList.Tags || []).map((t) => [t.Key, t.Value]));
+}
+
+/**
+ * Returns the suppression subject for an alarm event
+ * @param {EventBridgeCloudWatchAlarmsEvent} event
+ * @param {Object.<string, string>} [tags]
+ * @returns {import('./suppression.mjs').SuppressionSubject}
+ */
+function suppressionSubject(event, tags) {
+  return {
+    source: "sms",
+    alarmName: event.detail.alarmName,
+    account: event.account,
+    region: event.region,
+    namespace: event.detail.configuration?.metrics?.find((m) => m.metricStat)
+      ?.metricStat.metric.namespace,
+    tags,
+  };
+}
+
 /**
  * @param {EventBridgeCloudWatchAlarmsEvent} event
  * @returns {Promise<void>}
@@ -67,13 +110,60 @@ export const handler = async (event) => {
   console.log(JSON.stringify(event));
 
   if (event.detail.alarmName.startsWith("FATAL")) {
+    const eventTime = new Date(event.time);
+
+    const subject = suppressionSubject(event);
+    if (suppressed(subject) || muted(subject, eventTime)) {
+      return;
+    }
+
+    // Tags are only looked up when they could cause the alarm to be
+    // suppressed or muted. If they can't be looked up, the message is sent
+    // based on the untagged subject, since a page shouldn't be dropped
+    // because of a problem in another account.
+    if (usesTags() || windowsUseTags()) {
+      /** @type {Object.<string, string>} */
+      let tags;
+
+      try {
+        tags = await alarmTags(event);
+      } catch (error) {
+        console.log(
+          JSON.stringify({
+            msg: "Alarm tag lookup failed",
+            alarmName: event.detail.alarmName,
+            error: /** @type {Error} */ (error).message,
+          }),
+        );
+      }
+
+      const taggedSubject = tags && suppressionSubject(event, tags);
+
+      if (
+        taggedSubject &&
+        (suppressed(taggedSubject) || muted(taggedSubject, eventTime))
+      ) {
+        return;
+      }
+    }
+
+    if (!(await claimEvent("sms", event))) {
+      return;
+    }
+
     const region = regionName(event.region);
 
-    await sns.send(
-      new PublishCommand({
-        TopicArn: process.env.FATAL_SMS_CONTACT_LIST_SNS_TOPIC_ARN,
-        Message: `${event.detail.state.value} | ${region} » ${event.detail.alarmName}`,
-      }),
-    );
+    try {
+      await sns.send(
+        new PublishCommand({
+          TopicArn: process.env.FATAL_SMS_CONTACT_LIST_SNS_TOPIC_ARN,
+          Message: `${event.detail.state.value} | ${region} » ${event.detail.alarmName}`,
+        }),
+      );
+    } catch (error) {
+      // Let the retried invocation send the message
+      await releaseEvent("sms", event);
+      throw error;
+    }
   }
 };
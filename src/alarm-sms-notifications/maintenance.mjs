@@ -0,0 +1,125 @@
+/**
+ * Maintenance windows hold back notifications for matching alarms during a
+ * planned period of time, like a deploy. Each window has a time range and a
+ * matcher, which uses the same conditions as a suppression rule (accounts,
+ * regions, namespaces, an alarm name pattern, and tags). A window must have
+ * at least one condition.
+ *
+ * Unlike suppression, muting is temporary. When a window ends, a summary of
+ * what fired during it is sent by the reminders function.
+ *
+ * Windows can be provided as JSON in the ALARM_MAINTENANCE_WINDOWS
+ * environment variable, e.g.:
+ *
+ *   [{ "name": "Feeder deploy", "start": "2024-05-01T14:00:00Z",
+ *      "end": "2024-05-01T15:00:00Z", "match": { "alarmName": "\\[Feeder\\]" } }]
+ *
+ * This file is identical in each function that uses it.
+ */
+
+/** @typedef {import('./suppression.mjs').SuppressionRule} SuppressionRule */
+/** @typedef {import('./suppression.mjs').SuppressionSubject} SuppressionSubject */
+
+/**
+ * @typedef {Object} MaintenanceWindow
+ * @property {String} name
+ * @property {String} start An ISO 8601 timestamp
+ * @property {String} end An ISO 8601 timestamp
+ * @property {Omit<SuppressionRule, 'name'>} match
+ * @property {{ type?: 'slack', channel: String }[]} [destinations] Where the end-of-window summary is sent. Defaults to where reminders are sent.
+ */
+
+import { suppression } from "./suppression.mjs";
+
+/**
+ * Returns the configured maintenance windows
+ * @returns {MaintenanceWindow[]}
+ */
+export function maintenanceWindows() {
+  if (process.env.ALARM_MAINTENANCE_WINDOWS) {
+    return JSON.parse(process.env.ALARM_MAINTENANCE_WINDOWS);
+  }
+
+  return [];
+}
+
+/**
+ * Returns true if any window matches on alarm tags. Tags can be expensive to
+ * look up, so this can be used to skip fetching them.
+ * @param {MaintenanceWindow[]} [windows]
+ * @returns {Boolean}
+ */
+export function windowsUseTags(windows = maintenanceWindows()) {
+  return windows.some((w) => w.match?.tags);
+}
+
+/**
+ * Returns true if the subject matches the window's conditions, regardless of
+ * the window's time range
+ * @param {MaintenanceWindow} window
+ * @param {SuppressionSubject} subject
+ * @returns {Boolean}
+ */
+export function matchesWindow(window, subject) {
+  return !!suppression(subject, [{ ...window.match, name: window.name }]);
+}
+
+/**
+ * Returns the window that is active at the given time and matches the
+ * subject, if any
+ * @param {SuppressionSubject} subject
+ * @param {Date} at
+ * @param {MaintenanceWindow[]} [windows]
+ * @returns {MaintenanceWindow}
+ */
+export function activeWindow(subject, at, windows = maintenanceWindows()) {
+  return windows.find(
+    (w) =>
+      Date.parse(w.start) <= +at &&
+      +at < Date.parse(w.end) &&
+      matchesWindow(w, subject),
+  );
+}
+
+/**
+ * Returns true and logs the window if the subject is muted at the given time
+ * @param {SuppressionSubject} subject
+ * @param {Date} at
+ * @param {MaintenanceWindow[]} [windows]
+ * @returns {Boolean}
+ */
+export function muted(subject, at, windows = maintenanceWindows()) {
+  const window = activeWindow(subject, at, windows);
+
+  if (!window) {
+    return false;
+  }
+
+  console.log(
+    JSON.stringify({
+      msg: "Muted alarm during maintenance window",
+      source: subject.source,
+      alarmName: subject.alarmName,
+      account: subject.account,
+      region: subject.region,
+      window: window.name,
+      end: window.end,
+    }),
+  );
+
+  return true;
+}
+
+/**
+ * Returns the windows that ended within a time range, which is inclusive of
+ * the start and exclusive of the end
+ * @param {Date} since
+ * @param {Date} until
+ * @param {MaintenanceWindow[]} [windows]
+ * @returns {MaintenanceWindow[]}
+ */
+export function endedWindows(since, until, windows = maintenanceWindows()) {
+  return windows.filter(
+    (w) => +since <= Date.parse(w.end) && Date.parse(w.end) < +until,
+  );
+}
@@ -16,37 +16,110 @@ export function regionName(region) {
       return "Cape Town";
     case "ap-east-1":
       return "Hong Kong";
+    case "ap-east-2":
+      return "Taipei";
     case "ap-south-1":
       return "Mumbai";
+    case "ap-south-2":
+      return "Hyderabad";
     case "ap-northeast-3":
       return "Osaka";
     case "ap-northeast-2":
       return "Seoul";
+    case "ap-northeast-1":
+      return "Tokyo";
     case "ap-southeast-1":
       return "Singapore";
     case "ap-southeast-2":
       return "Sydney";
-    case "ap-northeast-1":
-      return "Tokyo";
+    case "ap-southeast-3":
+      return "Jakarta";
+    case "ap-southeast-4":
+      return "Melbourne";
+    case "ap-southeast-5":
+      return "Malaysia";
+    case "ap-southeast-6":
+      return "New Zealand";
+    case "ap-southeast-7":
+      return "Thailand";
     case "ca-central-1":
       return "C. Canada";
+    case "ca-west-1":
+      return "Calgary";
     case "eu-central-1":
       return "Frankfurt";
+    case "eu-central-2":
+      return "Zurich";
     case "eu-west-1":
       return "Ireland";
     case "eu-west-2":
       return "London";
     case "eu-south-1":
       return "Milan";
+    case "eu-south-2":
+      return "Spain";
     case "eu-west-3":
       return "Paris";
     case "eu-north-1":
       return "Stockholm";
+    case "il-central-1":
+      return "Tel Aviv";
     case "me-south-1":
       return "Bahrain";
+    case "me-central-1":
+      return "UAE";
+    case "mx-central-1":
+      return "Mexico";
     case "sa-east-1":
       return "São Paulo";
+    case "cn-north-1":
+      return "Beijing";
+    case "cn-northwest-1":
+      return "Ningxia";
+    case "us-gov-west-1":
+      return "GovCloud (US-West)";
+    case "us-gov-east-1":
+      return "GovCloud (US-East)";
     default:
       return region;
   }
 }
+
+/**
+ * Returns the partition of a region or ARN
+ * e.g., cn-north-1 => aws-cn, arn:aws-us-gov:cloudwatch:… => aws-us-gov
+ * @param {String} regionOrArn
+ * @returns {String}
+ */
+export function partition(regionOrArn) {
+  if (regionOrArn?.startsWith("arn:")) {
+    return regionOrArn.split(":")[1];
+  }
+
+  if (regionOrArn?.startsWith("cn-")) {
+    return "aws-cn";
+  }
+
+  if (regionOrArn?.startsWith("us-gov-")) {
+    return "aws-us-gov";
+  }
+
+  return "aws";
+}
+
+/**
+ * Returns the host of the AWS Management Console for a region. Only the
+ * commercial partition has regional console hosts.
+ * @param {String} region
+ * @returns {String}
+ */
+export function consoleHost(region) {
+  switch (partition(region)) {
+    case "aws-cn":
+      return "console.amazonaws.cn";
+    case "aws-us-gov":
+      return "console.amazonaws-us-gov.com";
+    default:
+      return `${region}.console.aws.amazon.com`;
+  }
+}
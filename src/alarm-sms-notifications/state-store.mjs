@@ -0,0 +1,204 @@
+/**
+ * A small key-value store for state that needs to persist between
+ * invocations, like the Slack messages that were sent for an alarm.
+ *
+ * In Lambda, the store is backed by the DynamoDB table named in the
+ * ALARM_STATE_TABLE_NAME environment variable. For local testing, a JSON file
+ * can be used instead by setting ALARM_STATE_FILE, and if neither is set the
+ * store only lives as long as the process.
+ *
+ * This file is identical in each function that keeps state.
+ */
+
+/**
+ * @typedef {Object} StateStore
+ * @property {(key: String) => Promise<Object>} get Returns undefined if the key doesn't exist or has expired
+ * @property {(key: String, value: Object, ttlSeconds: Number) => Promise<void>} put
+ * @property {(key: String, value: Object, ttlSeconds: Number) => Promise<Boolean>} add Like put, but only if the key doesn't exist or has expired. Returns false if it exists.
+ * @property {(key: String) => Promise<void>} delete
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import {
+  ConditionalCheckFailedException,
+  DeleteItemCommand,
+  DynamoDBClient,
+  GetItemCommand,
+  PutItemCommand,
+} from "@aws-sdk/client-dynamodb";
+
+/**
+ * Returns a store that keeps everything in memory
+ * @returns {StateStore}
+ */
+export function memoryStore() {
+  const items = new Map();
+
+  return {
+    async get(key) {
+      const item = items.get(key);
+      return item && item.expiresAt > Date.now() ? item.value : undefined;
+    },
+    async put(key, value, ttlSeconds) {
+      items.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+    async add(key, value, ttlSeconds) {
+      if (await this.get(key)) {
+        return false;
+      }
+
+      await this.put(key, value, ttlSeconds);
+      return true;
+    },
+    async delete(key) {
+      items.delete(key);
+    },
+  };
+}
+
+/**
+ * Returns a store that keeps everything in a JSON file
+ * @param {String} path
+ * @returns {StateStore}
+ */
+export function fileStore(path) {
+  const load = async () => {
+    try {
+      return JSON.parse(await readFile(path, "utf8"));
+    } catch (error) {
+      // A file that doesn't exist yet is an empty store
+      if (/** @type {NodeJS.ErrnoException} */ (error).code === "ENOENT") {
+        return {};
+      }
+
+      throw error;
+    }
+  };
+
+  return {
+    async get(key) {
+      const item = (await load())[key];
+      return item && item.expiresAt > Date.now() ? item.value : undefined;
+    },
+    async put(key, value, ttlSeconds) {
+      const items = await load();
+      items[key] = { value, expiresAt: Date.now() + ttlSeconds * 1000 };
+      await writeFile(path, JSON.stringify(items, null, 2));
+    },
+    async add(key, value, ttlSeconds) {
+      if (await this.get(key)) {
+        return false;
+      }
+
+      await this.put(key, value, ttlSeconds);
+      return true;
+    },
+    async delete(key) {
+      const items = await load();
+      delete items[key];
+      await writeFile(path, JSON.stringify(items, null, 2));
+    },
+  };
+}
+
+/**
+ * Returns a store backed by a DynamoDB table, which must have a string
+ * partition key named `key`. Items include an `expiresAt` attribute (in
+ * epoch seconds), which should be the table's TTL attribute. Since TTL
+ * deletion is not immediate, expiration is also checked on read.
+ * @param {String} tableName
+ * @param {DynamoDBClient} [client]
+ * @returns {StateStore}
+ */
+export function dynamoDbStore(tableName, client = new DynamoDBClient({})) {
+  return {
+    async get(key) {
+      const data = await client.send(
+        new GetItemCommand({
+          TableName: tableName,
+          Key: { key: { S: key } },
+          ConsistentRead: true,
+        }),
+      );
+
+      if (!data.Item || +data.Item.expiresAt.N * 1000 <= Date.now()) {
+        return undefined;
+      }
+
+      return JSON.parse(data.Item.value.S);
+    },
+    async put(key, value, ttlSeconds) {
+      await client.send(
+        new PutItemCommand({
+          TableName: tableName,
+          Item: {
+            key: { S: key },
+            value: { S: JSON.stringify(value) },
+            expiresAt: { N: `${Math.floor(Date.now() / 1000) + ttlSeconds}` },
+          },
+        }),
+      );
+    },
+    async add(key, value, ttlSeconds) {
+      const now = Math.floor(Date.now() / 1000);
+
+      try {
+        // The condition makes this atomic, so only one of several concurrent
+        // invocations can add the key
+        await client.send(
+          new PutItemCommand({
+            TableName: tableName,
+            Item: {
+              key: { S: key },
+              value: { S: JSON.stringify(value) },
+              expiresAt: { N: `${now + ttlSeconds}` },
+            },
+            ConditionExpression:
+              "attribute_not_exists(#key) OR #expiresAt <= :now",
+            ExpressionAttributeNames: {
+              "#key": "key",
+              "#expiresAt": "expiresAt",
+            },
+            ExpressionAttributeValues: { ":now": { N: `${now}` } },
+          }),
+        );
+
+        return true;
+      } catch (error) {
+        if (error instanceof ConditionalCheckFailedException) {
+          return false;
+        }
+
+        throw error;
+      }
+    },
+    async delete(key) {
+      await client.send(
+        new DeleteItemCommand({
+          TableName: tableName,
+          Key: { key: { S: key } },
+        }),
+      );
+    },
+  };
+}
+
+let defaultStore;
+
+/**
+ * Returns the store to use, based on the environment
+ * @returns {StateStore}
+ */
+export function stateStore() {
+  if (!defaultStore) {
+    if (process.env.ALARM_STATE_TABLE_NAME) {
+      defaultStore = dynamoDbStore(process.env.ALARM_STATE_TABLE_NAME);
+    } else if (process.env.ALARM_STATE_FILE) {
+      defaultStore = fileStore(process.env.ALARM_STATE_FILE);
+    } else {
+      defaultStore = memoryStore();
+    }
+  }
+
+  return defaultStore;
+}
@@ -0,0 +1,154 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  alarmName,
+  alarmNames,
+  format,
+  parse,
+} from "../../src/alarm-slack-notifications/alarm-rule.mjs";
+
+describe("alarm rule", () => {
+  describe("parse", () => {
+    it("parses a state function", () => {
+      assert.deepEqual(parse('ALARM("Foo")'), {
+        type: "state",
+        state: "ALARM",
+        alarm: "Foo",
+      });
+    });
+
+    it("binds NOT tighter than AND, and AND tighter than OR", () => {
+      assert.deepEqual(parse("ALARM(A) OR NOT OK(B) AND ALARM(C)"), {
+        type: "or",
+        operands: [
+          { type: "state", state: "ALARM", alarm: "A" },
+          {
+            type: "and",
+            operands: [
+              {
+                type: "not",
+                operand: { type: "state", state: "OK", alarm: "B" },
+              },
+              { type: "state", state: "ALARM", alarm: "C" },
+            ],
+          },
+        ],
+      });
+    });
+
+    it("groups with nested parentheses", () => {
+      assert.deepEqual(parse("NOT ((ALARM(A) OR ALARM(B)) AND TRUE)"), {
+        type: "not",
+        operand: {
+          type: "and",
+          operands: [
+            {
+              type: "or",
+              operands: [
+                { type: "state", state: "ALARM", alarm: "A" },
+                { type: "state", state: "ALARM", alarm: "B" },
+              ],
+            },
+            { type: "constant", value: true },
+          ],
+        },
+      });
+    });
+
+    it("parses AT_LEAST with a count or a percentage", () => {
+      assert.deepEqual(parse('AT_LEAST(2, ALARM, ("A", "B", "C"))'), {
+        type: "atLeast",
+        threshold: "2",
+        state: "ALARM",
+        negated: false,
+        alarms: ["A", "B", "C"],
+      });
+
+      const tree = /** @type {any} */ (
+        parse('AT_LEAST(50%, NOT OK, ("A", B)) AND ALARM(C)')
+      );
+
+      assert.deepEqual(tree.operands[0], {
+        type: "atLeast",
+        threshold: "50%",
+        state: "OK",
+        negated: true,
+        alarms: ["A", "B"],
+      });
+    });
+
+    it("keeps quoted alarm names whole, including escaped quotes", () => {
+      const tree = parse(
+        'ALARM("ERROR [Feeder] Too many 5XX (prod)") AND OK("Say \\"hi\\", OR not")',
+      );
+
+      assert.deepEqual(alarmNames(tree), [
+        "ERROR [Feeder] Too many 5XX (prod)",
+        'Say "hi", OR not',
+      ]);
+    });
+
+    it("throws on malformed input", () => {
+      assert.throws(() => parse(""), /Unexpected end/);
+      assert.throws(() => parse('ALARM("Foo'), /Unterminated/);
+      assert.throws(() => parse("ALARM(A"), /Expected "\)"/);
+      assert.throws(() => parse("(ALARM(A) OR ALARM(B)"), /Expected "\)"/);
+      assert.throws(() => parse("ALARM(A) ALARM(B)"), /Unexpected "ALARM"/);
+      assert.throws(() => parse("ALARM(A) AND"), /Unexpected end/);
+      assert.throws(() => parse("ALARM()"), /Expected an alarm name/);
+      assert.throws(() => parse("BROKEN(A)"), /Unexpected "BROKEN"/);
+      assert.throws(
+        () => parse("AT_LEAST(two, ALARM, (A))"),
+        /count or percentage/,
+      );
+      assert.throws(
+        () => parse("AT_LEAST(2, BROKEN, (A))"),
+        /Expected a state/,
+      );
+      assert.throws(() => parse("AT_LEAST(2, ALARM, ())"), /alarm name/);
+    });
+  });
+
+  describe("alarmName", () => {
+    it("shortens an ARN to the alarm name", () => {
+      assert.equal(
+        alarmName("arn:aws:cloudwatch:us-east-1:123456789012:alarm:Foo:Bar"),
+        "Foo:Bar",
+      );
+      assert.equal(alarmName("Foo"), "Foo");
+    });
+  });
+
+  describe("alarmNames", () => {
+    it("lists each alarm once", () => {
+      assert.deepEqual(
+        alarmNames(
+          parse(
+            'ALARM(A) OR (OK(B) AND AT_LEAST(1, ALARM, (A, "arn:aws:cloudwatch:us-east-1:123456789012:alarm:C")))',
+          ),
+        ),
+        ["A", "B", "C"],
+      );
+    });
+  });
+
+  describe("format", () => {
+    it("only includes necessary parentheses", () => {
+      assert.equal(
+        format(parse("((ALARM(A) OR ALARM(B)) AND (NOT (OK(C))))")),
+        '(ALARM("A") OR ALARM("B")) AND NOT OK("C")',
+      );
+      assert.equal(
+        format(parse("(ALARM(A) AND ALARM(B)) OR ALARM(C)")),
+        'ALARM("A") AND ALARM("B") OR ALARM("C")',
+      );
+    });
+
+    it("formats AT_LEAST", () => {
+      assert.equal(
+        format(parse("AT_LEAST(50%, NOT OK, (A, B))")),
+        'AT_LEAST(50%, NOT OK, ("A", "B"))',
+      );
+    });
+  });
+});
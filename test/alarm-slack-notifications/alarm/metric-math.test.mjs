@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { detailLines } from "../../../src/alarm-slack-notifications/alarm/metric-math.mjs";
+
+/**
+ * @param {String} id
+ * @param {String} metricName
+ * @returns {import('@aws-sdk/client-cloudwatch').MetricDataQuery}
+ */
+function lambdaQuery(id, metricName) {
+  return {
+    Id: id,
+    MetricStat: {
+      Metric: {
+        Namespace: "AWS/Lambda",
+        MetricName: metricName,
+        Dimensions: [{ Name: "FunctionName", Value: "feeder" }],
+      },
+      Period: 300,
+      Stat: "Sum",
+    },
+    ReturnData: false,
+  };
+}
+
+/** @type {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} */
+const desc = {
+  MetricAlarms: [
+    {
+      AlarmName: "ERROR [Feeder] Error rate",
+      EvaluationPeriods: 3,
+      DatapointsToAlarm: 2,
+      ComparisonOperator: "GreaterThanOrEqualToThreshold",
+      Threshold: 5,
+      Metrics: [
+        lambdaQuery("m1", "Invocations"),
+        lambdaQuery("m2", "Errors"),
+        {
+          Id: "e1",
+          Label: "Error rate",
+          Expression: "100*(m2/m1)",
+          ReturnData: true,
+        },
+      ],
+    },
+  ],
+};
+
+const event = /** @type {any} */ ({
+  account: "123456789012",
+  region: "us-east-1",
+  detail: {
+    alarmName: "ERROR [Feeder] Error rate",
+    state: {
+      value: "ALARM",
+      reasonData: JSON.stringify({
+        version: "1.0",
+        queryDate: "2026-01-01T12:00:00.000+0000",
+        startDate: "2026-01-01T11:50:00.000+0000",
+        evaluatedDatapoints: [
+          { timestamp: "2026-01-01T11:50:00.000+0000", value: 7.25 },
+          { timestamp: "2026-01-01T11:45:00.000+0000", value: 6 },
+        ],
+        threshold: 5,
+      }),
+    },
+    configuration: { metrics: [] },
+  },
+});
+
+describe("metric math alarms", () => {
+  it("describes the expression, its inputs, and the datapoints", async () => {
+    const lines = await detailLines(
+      event,
+      desc,
+      { AlarmHistoryItems: [] },
+      { names: [], filterPatterns: [] },
+    );
+
+    assert.equal(
+      lines[0],
+      "*Cause:* `Error rate` (`100*(m2/m1)`) was `≥ 5` for at least 2 5 minute periods in 15 minutes",
+    );
+    assert.equal(
+      lines[1],
+      "*Inputs:* `m1` = Sum of `Invocations` (FunctionName: feeder) • `m2` = Sum of `Errors` (FunctionName: feeder)",
+    );
+    assert.equal(lines.at(-1), "*Datapoints:* `6`, `7.25`");
+  });
+
+  it("graphs the expression and its hidden inputs", async () => {
+    const [, , startedLine] = await detailLines(
+      event,
+      desc,
+      { AlarmHistoryItems: [] },
+      { names: [], filterPatterns: [] },
+    );
+
+    const link = decodeURIComponent(startedLine);
+
+    assert.match(link, /expression~'100\*\*28m2\*2Fm1\*29~id~'e1/);
+    assert.match(
+      link,
+      /'Invocations~'FunctionName~'feeder~\(stat~'Sum~period~300~id~'m1~visible~false\)/,
+    );
+  });
+});
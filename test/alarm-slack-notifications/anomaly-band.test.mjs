@@ -0,0 +1,153 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  bandDatapoints,
+  formatBandDatapoints,
+} from "../../src/alarm-slack-notifications/anomaly-band.mjs";
+
+/** @type {import('@aws-sdk/client-cloudwatch').MetricAlarm} */
+const alarm = {
+  AlarmName: "WARN [Feeder] Unusual request count",
+  ComparisonOperator: "LessThanLowerOrGreaterThanUpperThreshold",
+  ThresholdMetricId: "ad1",
+  Metrics: [
+    {
+      Id: "m1",
+      ReturnData: true,
+      MetricStat: {
+        Metric: {
+          Namespace: "AWS/ApplicationELB",
+          MetricName: "RequestCount",
+          Dimensions: [{ Name: "LoadBalancer", Value: "app/feeder/abc123" }],
+        },
+        Period: 300,
+        Stat: "Sum",
+      },
+    },
+    {
+      Id: "ad1",
+      Label: "RequestCount (expected)",
+      ReturnData: true,
+      Expression: "ANOMALY_DETECTION_BAND(m1, 2)",
+    },
+  ],
+};
+
+const t1 = new Date("2026-01-01T14:05:00.000Z");
+const t2 = new Date("2026-01-01T14:00:00.000Z");
+
+/**
+ * A GetMetricData response in the shape the SDK returns it. The band
+ * expression produces two results with the expression's ID, one for each
+ * bound, in no particular order.
+ * @param {import('@aws-sdk/client-cloudwatch').MetricDataResult[]} bands
+ * @returns {import('@aws-sdk/client-cloudwatch').GetMetricDataOutput}
+ */
+function getMetricDataOutput(bands) {
+  return {
+    Messages: [],
+    MetricDataResults: [
+      {
+        Id: "m1",
+        Label: "RequestCount",
+        Timestamps: [t1, t2],
+        Values: [120.5, 95],
+        StatusCode: "Complete",
+      },
+      ...bands,
+    ],
+  };
+}
+
+/**
+ * @param {import('@aws-sdk/client-cloudwatch').GetMetricDataOutput} output
+ */
+function cloudWatchClient(output) {
+  /** @type {any[]} */
+  const commands = [];
+
+  return {
+    commands,
+    client: /** @type {any} */ ({
+      send: async (command) => {
+        commands.push(command);
+        return output;
+      },
+    }),
+  };
+}
+
+describe("anomaly band", () => {
+  it("pairs the two band results into lower and upper bounds", async () => {
+    const { client, commands } = cloudWatchClient(
+      getMetricDataOutput([
+        {
+          Id: "ad1",
+          Label: "RequestCount (expected) High",
+          Timestamps: [t1, t2],
+          Values: [110.24, 104.5],
+          StatusCode: "Complete",
+        },
+        {
+          Id: "ad1",
+          Label: "RequestCount (expected) Low",
+          Timestamps: [t1, t2],
+          Values: [80.06, 76.5],
+          StatusCode: "Complete",
+        },
+      ]),
+    );
+
+    const points = await bandDatapoints(client, alarm, t2, t1);
+
+    assert.deepEqual(
+      commands[0].input.MetricDataQueries.filter((q) => q.ReturnData).map(
+        (q) => q.Id,
+      ),
+      ["m1", "ad1"],
+    );
+    assert.deepEqual(points, [
+      { timestamp: t1, value: 120.5, lower: 80.06, upper: 110.24 },
+      { timestamp: t2, value: 95, lower: 76.5, upper: 104.5 },
+    ]);
+    assert.equal(
+      formatBandDatapoints(points),
+      "`120.50` (`80.06`–`110.24`) at 14:05, `95` (`76.50`–`104.50`) at 14:00",
+    );
+  });
+
+  it("leaves out the band where only one bound has a value", async () => {
+    const { client } = cloudWatchClient(
+      getMetricDataOutput([
+        {
+          Id: "ad1",
+          Label: "RequestCount (expected) High",
+          Timestamps: [t1, t2],
+          Values: [110.24, 104.5],
+          StatusCode: "PartialData",
+        },
+        {
+          Id: "ad1",
+          Label: "RequestCount (expected) Low",
+          Timestamps: [t1],
+          Values: [80.06],
+          StatusCode: "PartialData",
+        },
+      ]),
+    );
+
+    const points = await bandDatapoints(client, alarm, t2, t1);
+
+    assert.deepEqual(points[1], { timestamp: t2, value: 95 });
+    assert.equal(
+      formatBandDatapoints(points),
+      "`120.50` (`80.06`–`110.24`) at 14:05, `95` at 14:00",
+    );
+  });
+
+  it("returns no datapoints without the metric's result", async () => {
+    const { client } = cloudWatchClient({ MetricDataResults: [] });
+
+    assert.deepEqual(await bandDatapoints(client, alarm, t2, t1), []);
+  });
+});
@@ -0,0 +1,149 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { detailLines } from "../../src/alarm-slack-notifications/builder-insufficient-data.mjs";
+
+const event = /** @type {any} */ ({
+  account: "123456789012",
+  region: "us-east-1",
+  detail: {
+    alarmName: "WARN [Feeder] No invocations",
+    state: { value: "INSUFFICIENT_DATA", reason: "Insufficient Data" },
+    configuration: {
+      metrics: [
+        {
+          id: "m1",
+          metricStat: {
+            metric: {
+              namespace: "AWS/Lambda",
+              name: "Invocations",
+              dimensions: { FunctionName: "feeder" },
+            },
+            period: 300,
+            stat: "Sum",
+          },
+          returnData: true,
+        },
+      ],
+    },
+  },
+});
+
+/** @type {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} */
+const desc = {
+  MetricAlarms: [
+    {
+      AlarmName: "WARN [Feeder] No invocations",
+      Namespace: "AWS/Lambda",
+      MetricName: "Invocations",
+      Dimensions: [{ Name: "FunctionName", Value: "feeder" }],
+      Period: 300,
+      EvaluationPeriods: 3,
+      TreatMissingData: "breaching",
+    },
+  ],
+};
+
+/**
+ * Returns a CloudWatch client with canned responses
+ * @param {Object} responses
+ * @param {Date} [responses.recent] The last datapoint at the alarm's period
+ * @param {Date} [responses.hourly] The last datapoint at an hourly period
+ * @param {Object[]} [responses.exact] Metrics with the alarm's dimensions
+ * @param {Object[]} [responses.similar] Metrics with any dimensions
+ * @returns {any}
+ */
+function cloudWatchClient({ recent, hourly, exact = [], similar = [] }) {
+  return {
+    send: async (command) => {
+      if (command.constructor.name === "ListMetricsCommand") {
+        return { Metrics: command.input.Dimensions ? exact : similar };
+      }
+
+      const hourlyRange =
+        command.input.MetricDataQueries[0].MetricStat.Period === 3600;
+      const last = hourlyRange ? hourly : recent;
+
+      return {
+        MetricDataResults: [
+          last
+            ? { Timestamps: [new Date(), last], Values: [0, 4] }
+            : { Timestamps: [], Values: [] },
+        ],
+      };
+    },
+  };
+}
+
+/**
+ * @param {Object} responses
+ * @returns {Promise<String>}
+ */
+async function diagnosis(responses) {
+  const lines = await detailLines(
+    event,
+    desc,
+    { AlarmHistoryItems: [] },
+    { names: [], filterPatterns: [] },
+    cloudWatchClient(responses),
+  );
+
+  assert.equal(lines[0], "*Reason:* Insufficient Data");
+  assert.match(lines[1], /^\*CloudWatch:\* <.+\|Metrics>$/);
+
+  return lines.slice(2).join("\n");
+}
+
+describe("INSUFFICIENT_DATA notifications", () => {
+  it("diagnoses sparse data when the metric is still reporting", async () => {
+    const lines = await diagnosis({
+      recent: new Date(Date.now() - 10 * 60 * 1000),
+    });
+
+    assert.match(lines, /`Invocations` last reported 10 minutes ago/);
+    assert.match(lines, /still reporting, but not in every period/);
+    assert.match(lines, /treated as `breaching`/);
+  });
+
+  it("diagnoses an emitter that stopped", async () => {
+    const lines = await diagnosis({
+      hourly: new Date(Date.now() - 2 * 86400 * 1000),
+      exact: [{ Namespace: "AWS/Lambda", MetricName: "Invocations" }],
+    });
+
+    assert.match(lines, /last reported 2 days ago/);
+    assert.match(lines, /still exists with these dimensions/);
+  });
+
+  it("diagnoses a renamed resource", async () => {
+    const lines = await diagnosis({
+      similar: [
+        {
+          Namespace: "AWS/Lambda",
+          MetricName: "Invocations",
+          Dimensions: [{ Name: "Resource", Value: "feeder:live" }],
+        },
+        {
+          Namespace: "AWS/Lambda",
+          MetricName: "Invocations",
+          Dimensions: [{ Name: "FunctionName", Value: "feeder-v2" }],
+        },
+      ],
+    });
+
+    assert.match(lines, /has not reported in the last 14 days/);
+    assert.match(
+      lines,
+      /reported with other dimension values, e\.g\., `FunctionName=feeder-v2`\./,
+    );
+  });
+
+  it("diagnoses a deleted resource", async () => {
+    const lines = await diagnosis({});
+
+    assert.match(
+      lines,
+      /No `Invocations` metric has been reported in `AWS\/Lambda`/,
+    );
+    assert.match(lines, /deleted resource/);
+  });
+});
@@ -0,0 +1,256 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+import { CloudWatchClient } from "@aws-sdk/client-cloudwatch";
+import { CloudWatchLogsClient } from "@aws-sdk/client-cloudwatch-logs";
+import { STSClient } from "@aws-sdk/client-sts";
+import {
+  blocks,
+  enrichment,
+} from "../../src/alarm-slack-notifications/builder.mjs";
+import { logsConsoleUrl } from "../../src/alarm-slack-notifications/urls.mjs";
+
+/**
+ * @param {String} account Credentials are cached by account, so each test
+ * uses its own
+ * @returns {import('../../src/alarm-slack-notifications/index.mjs').EventBridgeCloudWatchAlarmsEvent}
+ */
+function alarmEvent(account) {
+  return /** @type {any} */ ({
+    id: "e1",
+    account,
+    region: "us-east-1",
+    time: "2026-01-01T12:00:00Z",
+    resources: [
+      `arn:aws:cloudwatch:us-east-1:${account}:alarm:ERROR [Feeder] Errors`,
+    ],
+    detail: {
+      alarmName: "ERROR [Feeder] Errors",
+      state: {
+        value: "ALARM",
+        reason: "Threshold Crossed",
+        timestamp: "2026-01-01T12:00:00.000+0000",
+      },
+      previousState: {
+        value: "OK",
+        reason: "Threshold Crossed",
+        timestamp: "2026-01-01T11:00:00.000+0000",
+      },
+      configuration: { description: "", metrics: [] },
+    },
+  });
+}
+
+function mockCredentials() {
+  mock.method(STSClient.prototype, "send", async () => ({
+    Credentials: {
+      AccessKeyId: "a",
+      SecretAccessKey: "b",
+      SessionToken: "c",
+      Expiration: new Date(Date.now() + 3600000),
+    },
+  }));
+}
+
+/**
+ * Returns the enrichment failures that were logged as metrics
+ * @param {import('node:test').Mock<Function>} log
+ * @returns {String[]}
+ */
+function loggedSteps(log) {
+  return log.mock.calls
+    .map((c) => JSON.parse(String(c.arguments[0])))
+    .filter((entry) => entry.EnrichmentFailures)
+    .map((entry) => entry.Step);
+}
+
+describe("enrichment", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("counts every step as failed when the account can't be accessed", async () => {
+    mock.method(STSClient.prototype, "send", async () => {
+      throw new Error("AccessDenied");
+    });
+    const log = mock.method(console, "log", () => {});
+
+    const enriched = await enrichment(alarmEvent("310987654321"));
+
+    assert.deepEqual(enriched.failures, [
+      "credentials",
+      "description",
+      "tags",
+      "history",
+    ]);
+    assert.equal(enriched.desc, undefined);
+
+    // Only the step that actually failed is counted
+    assert.deepEqual(loggedSteps(log), ["credentials"]);
+  });
+
+  it("counts each step that fails, and keeps the results of the others", async () => {
+    mockCredentials();
+    mock.method(CloudWatchClient.prototype, "send", async (command) => {
+      switch (command.constructor.name) {
+        case "DescribeAlarmsCommand":
+          return { MetricAlarms: [{ AlarmName: "ERROR [Feeder] Errors" }] };
+        case "ListTagsForResourceCommand":
+          throw new Error("Throttling");
+        default:
+          throw new Error("AccessDenied");
+      }
+    });
+    const log = mock.method(console, "log", () => {});
+
+    const enriched = await enrichment(alarmEvent("410987654321"));
+
+    assert.deepEqual(enriched.failures, ["tags", "history"]);
+    assert.equal(enriched.desc.MetricAlarms.length, 1);
+    assert.equal(enriched.tagList, undefined);
+    assert.equal(enriched.history, undefined);
+    assert.deepEqual(loggedSteps(log), ["tags", "history"]);
+  });
+
+  it("counts a deleted alarm as a failed description", async () => {
+    mockCredentials();
+    mock.method(CloudWatchClient.prototype, "send", async (command) => {
+      switch (command.constructor.name) {
+        case "DescribeAlarmsCommand":
+          return { MetricAlarms: [], CompositeAlarms: [] };
+        case "ListTagsForResourceCommand":
+          return { Tags: [] };
+        default:
+          return { AlarmHistoryItems: [] };
+      }
+    });
+    const log = mock.method(console, "log", () => {});
+
+    const enriched = await enrichment(alarmEvent("510987654321"));
+
+    assert.deepEqual(enriched.failures, ["description"]);
+    assert.equal(enriched.desc, undefined);
+    assert.deepEqual(loggedSteps(log), ["description"]);
+  });
+
+  it("notes the missing details in the message", async () => {
+    const event = alarmEvent("610987654321");
+
+    const blox = await blocks(event, {
+      cloudwatch: undefined,
+      desc: undefined,
+      tagList: undefined,
+      history: undefined,
+      logGroups: { names: [], filterPatterns: [] },
+      failures: ["credentials", "description", "tags", "history"],
+    });
+
+    assert.match(blox[1].text.text, /\*Reason:\* Threshold Crossed/);
+    assert.deepEqual(blox.at(-1), {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: ":warning: Some details couldn't be loaded: account access, alarm configuration, tags, history",
+        },
+      ],
+    });
+  });
+});
+
+describe("log groups", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("are found once and shared by the logs link and the log excerpt", async () => {
+    const event = alarmEvent("710987654321");
+    event.detail.state.reasonData = JSON.stringify({
+      startDate: "2026-01-01T11:55:00.000+0000",
+    });
+    event.detail.configuration.metrics = /** @type {any} */ ([
+      {
+        id: "m1",
+        metricStat: {
+          metric: { namespace: "Feeder", name: "Errors", dimensions: {} },
+          period: 60,
+          stat: "Sum",
+        },
+        returnData: true,
+      },
+    ]);
+
+    mockCredentials();
+    mock.method(CloudWatchClient.prototype, "send", async (command) => {
+      switch (command.constructor.name) {
+        case "DescribeAlarmsCommand":
+          return {
+            MetricAlarms: [
+              {
+                AlarmName: "ERROR [Feeder] Errors",
+                Namespace: "Feeder",
+                MetricName: "Errors",
+                Dimensions: [],
+                Statistic: "Sum",
+                Period: 60,
+                EvaluationPeriods: 1,
+                ComparisonOperator: "GreaterThanThreshold",
+                Threshold: 0,
+              },
+            ],
+          };
+        case "ListTagsForResourceCommand":
+          return { Tags: [] };
+        default:
+          return { AlarmHistoryItems: [] };
+      }
+    });
+    const logs = mock.method(
+      CloudWatchLogsClient.prototype,
+      "send",
+      async (command) => {
+        switch (command.constructor.name) {
+          case "DescribeMetricFiltersCommand":
+            return {
+              metricFilters: [
+                { logGroupName: "/feeder/app", filterPattern: "ERROR" },
+              ],
+            };
+          case "StartQueryCommand":
+            return { queryId: "q1" };
+          default:
+            return {
+              status: "Complete",
+              results: [[{ field: "@message", value: "ERROR boom" }]],
+            };
+        }
+      },
+    );
+    mock.method(console, "log", () => {});
+
+    const enriched = await enrichment(event);
+    const blox = await blocks(event, enriched);
+
+    const commands = logs.mock.calls.map((c) => c.arguments[0]);
+    const lookups = commands.filter(
+      (c) => c.constructor.name === "DescribeMetricFiltersCommand",
+    );
+    const query = commands.find(
+      (c) => c.constructor.name === "StartQueryCommand",
+    );
+
+    assert.deepEqual(enriched.logGroups, {
+      names: ["/feeder/app"],
+      filterPatterns: ["ERROR"],
+    });
+    assert.equal(lookups.length, 1);
+    assert.deepEqual(query.input.logGroupNames, ["/feeder/app"]);
+
+    // The end of the link's time range is when the link was made, so only
+    // the log groups at the end of the link are compared
+    const source = logsConsoleUrl(event, enriched.logGroups).match(
+      /source.*$/,
+    )[0];
+    assert.ok(blox[1].text.text.includes(`${source}|Logs>`));
+    assert.match(blox.at(-1).text.text, /Recent logs:\*\n```\nERROR boom\n```/);
+  });
+});
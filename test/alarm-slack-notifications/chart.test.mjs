@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { inflateSync } from "node:zlib";
+import { renderChart } from "../../src/alarm-slack-notifications/chart.mjs";
+
+/**
+ * Returns the size and RGB pixel rows of a PNG from renderChart
+ * @param {Buffer} png
+ * @returns {{ width: Number, height: Number, pixel: (x: Number, y: Number) => Number[], colors: Set<String> }}
+ */
+function decode(png) {
+  assert.deepEqual(
+    [...png.subarray(0, 8)],
+    [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  );
+
+  const chunks = {};
+  for (let i = 8; i < png.length; ) {
+    const length = png.readUInt32BE(i);
+    const type = png.toString("ascii", i + 4, i + 8);
+    chunks[type] = png.subarray(i + 8, i + 8 + length);
+    i += length + 12;
+  }
+
+  assert.ok(chunks.IEND);
+
+  const width = chunks.IHDR.readUInt32BE(0);
+  const height = chunks.IHDR.readUInt32BE(4);
+  const rows = inflateSync(chunks.IDAT);
+
+  assert.equal(rows.length, (width * 3 + 1) * height);
+
+  const pixel = (x, y) => {
+    const i = y * (width * 3 + 1) + 1 + x * 3;
+    return [...rows.subarray(i, i + 3)];
+  };
+
+  const colors = new Set();
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      colors.add(pixel(x, y).join(","));
+    }
+  }
+
+  return { width, height, pixel, colors };
+}
+
+describe("chart", () => {
+  const start = new Date("2026-01-01T12:00:00Z");
+  const end = new Date("2026-01-01T13:40:00Z");
+
+  it("renders the series, threshold and alarm windows", () => {
+    const png = renderChart({
+      start,
+      end,
+      width: 100,
+      height: 50,
+      threshold: 5,
+      points: Array.from({ length: 11 }, (_, i) => ({
+        timestamp: new Date(+start + i * 10 * 60 * 1000),
+        value: 0,
+      })),
+      windows: [{ start: new Date(+start + 50 * 60 * 1000) }],
+    });
+
+    const { width, height, pixel, colors } = decode(png);
+
+    assert.equal(width, 100);
+    assert.equal(height, 50);
+
+    // Background, alarm window, threshold and series
+    assert.deepEqual(pixel(20, 20), [255, 255, 255]);
+    assert.deepEqual(pixel(85, 20), [255, 221, 221]);
+    assert.ok(colors.has("214,39,40"));
+    assert.ok(colors.has("31,119,180"));
+  });
+
+  it("renders a chart without any data", () => {
+    const { width, height, colors } = decode(
+      renderChart({ start, end, points: [] }),
+    );
+
+    assert.equal(width, 480);
+    assert.equal(height, 160);
+    assert.ok(!colors.has("31,119,180"));
+  });
+});
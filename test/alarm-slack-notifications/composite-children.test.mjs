@@ -0,0 +1,28 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { triggeringAlarmNames } from "../../src/alarm-slack-notifications/composite-children.mjs";
+
+describe("composite children", () => {
+  describe("triggeringAlarmNames", () => {
+    it("returns the names of the alarms that triggered the state change", () => {
+      const reasonData = JSON.stringify({
+        triggeringAlarms: [
+          {
+            arn: "arn:aws:cloudwatch:us-east-1:123456789012:alarm:ERROR [Feeder] 5XX",
+            state: { value: "ALARM" },
+          },
+          { state: { value: "ALARM" } },
+        ],
+      });
+
+      assert.deepEqual(triggeringAlarmNames(reasonData), [
+        "ERROR [Feeder] 5XX",
+      ]);
+    });
+
+    it("returns nothing for missing or malformed reason data", () => {
+      assert.deepEqual(triggeringAlarmNames(undefined), []);
+      assert.deepEqual(triggeringAlarmNames('{"triggeringAlarms":[{"ar'), []);
+    });
+  });
+});
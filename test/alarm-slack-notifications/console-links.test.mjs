@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import {
+  consoleLink,
+  linkSettings,
+} from "../../src/alarm-slack-notifications/console-links.mjs";
+
+const CONSOLE_URL =
+  "https://us-east-1.console.aws.amazon.com/cloudwatch/home#alarms";
+
+describe("console links", () => {
+  afterEach(() => {
+    delete process.env.CONSOLE_LINKS;
+  });
+
+  it("links through the default access portal", () => {
+    assert.equal(
+      consoleLink("123456789012", CONSOLE_URL),
+      `https://aws.prx.tech/#/console?account_id=123456789012&role_name=AdministratorAccess&destination=${encodeURIComponent(CONSOLE_URL)}`,
+    );
+  });
+
+  it("uses account settings over the top-level settings", () => {
+    process.env.CONSOLE_LINKS = JSON.stringify({
+      portalUrl: "https://d-1234567890.awsapps.com/start/",
+      roleName: "ReadOnlyAccess",
+      accounts: {
+        123456789012: { roleName: "Power User" },
+        210987654321: { type: "console" },
+      },
+    });
+
+    assert.deepEqual(linkSettings("123456789012"), {
+      type: "portal",
+      portalUrl: "https://d-1234567890.awsapps.com/start/",
+      roleName: "Power User",
+    });
+    assert.equal(
+      consoleLink("123456789012", CONSOLE_URL),
+      `https://d-1234567890.awsapps.com/start/#/console?account_id=123456789012&role_name=Power%20User&destination=${encodeURIComponent(CONSOLE_URL)}`,
+    );
+    assert.match(
+      consoleLink("111111111111", CONSOLE_URL),
+      /account_id=111111111111&role_name=ReadOnlyAccess&/,
+    );
+    assert.equal(consoleLink("210987654321", CONSOLE_URL), CONSOLE_URL);
+  });
+});
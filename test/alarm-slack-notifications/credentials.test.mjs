@@ -0,0 +1,143 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+import { CloudWatchLogsClient } from "@aws-sdk/client-cloudwatch-logs";
+import { STSClient } from "@aws-sdk/client-sts";
+import { crossAccountProvider } from "../../src/alarm-slack-notifications/credentials.mjs";
+
+/**
+ * @param {Number} expiresInMs
+ * @returns {Object}
+ */
+function assumedRole(expiresInMs) {
+  return {
+    Credentials: {
+      AccessKeyId: "a",
+      SecretAccessKey: "b",
+      SessionToken: "c",
+      Expiration: new Date(Date.now() + expiresInMs),
+    },
+  };
+}
+
+describe("cross-account credentials", () => {
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.CROSS_ACCOUNT_ROLE_OPTIONS;
+  });
+
+  it("assumes each account's role once for concurrent requests", async () => {
+    const send = mock.method(STSClient.prototype, "send", async () =>
+      assumedRole(3600000),
+    );
+    const accounts = crossAccountProvider("Reader", "test");
+
+    await Promise.all([
+      accounts.credentials("123456789012", "us-east-1"),
+      accounts.credentials("123456789012", "us-west-2"),
+      accounts.credentials("210987654321", "us-east-1"),
+    ]);
+    await accounts.credentials("123456789012", "us-east-1");
+
+    assert.equal(send.mock.callCount(), 2);
+  });
+
+  it("assumes the role again when credentials are about to expire", async () => {
+    const send = mock.method(STSClient.prototype, "send", async () =>
+      assumedRole(60000),
+    );
+    const accounts = crossAccountProvider("Reader", "test");
+
+    await accounts.credentials("123456789012", "us-east-1");
+    await accounts.credentials("123456789012", "us-east-1");
+
+    assert.equal(send.mock.callCount(), 2);
+  });
+
+  it("doesn't cache failures", async () => {
+    const send = mock.method(STSClient.prototype, "send", async () => {
+      throw new Error("AccessDenied");
+    });
+    const accounts = crossAccountProvider("Reader", "test");
+
+    await assert.rejects(
+      accounts.credentials("123456789012", "us-east-1"),
+      /AccessDenied/,
+    );
+
+    send.mock.mockImplementation(async () => assumedRole(3600000));
+
+    await accounts.credentials("123456789012", "us-east-1");
+
+    assert.equal(send.mock.callCount(), 2);
+  });
+
+  it("passes the account's role options", async () => {
+    process.env.CROSS_ACCOUNT_ROLE_OPTIONS = JSON.stringify({
+      123456789012: { externalId: "abc", sessionTags: { app: "alarms" } },
+      "*": { externalId: "default" },
+    });
+
+    const send = mock.method(STSClient.prototype, "send", async () =>
+      assumedRole(3600000),
+    );
+    const accounts = crossAccountProvider("Reader", "test");
+
+    await accounts.credentials("123456789012", "us-east-1");
+    await accounts.credentials("210987654321", "us-east-1");
+
+    /** @type {any[]} */
+    const inputs = send.mock.calls.map((c) => c.arguments[0].input);
+
+    assert.deepEqual(inputs[0], {
+      RoleArn: "arn:aws:iam::123456789012:role/Reader",
+      RoleSessionName: "test",
+      ExternalId: "abc",
+      Tags: [{ Key: "app", Value: "alarms" }],
+    });
+    assert.equal(inputs[1].ExternalId, "default");
+  });
+
+  it("assumes roles in the partition of the region", async () => {
+    const send = mock.method(STSClient.prototype, "send", async () =>
+      assumedRole(3600000),
+    );
+    const accounts = crossAccountProvider("Reader", "test");
+
+    await accounts.credentials("123456789012", "cn-north-1");
+    await accounts.credentials("210987654321", "us-gov-west-1");
+
+    /** @type {any[]} */
+    const inputs = send.mock.calls.map((c) => c.arguments[0].input);
+
+    assert.deepEqual(
+      inputs.map((i) => i.RoleArn),
+      [
+        "arn:aws-cn:iam::123456789012:role/Reader",
+        "arn:aws-us-gov:iam::210987654321:role/Reader",
+      ],
+    );
+  });
+
+  it("reuses clients for the same account and region", () => {
+    const accounts = crossAccountProvider("Reader", "test");
+
+    const client = accounts.client(
+      CloudWatchLogsClient,
+      "123456789012",
+      "us-east-1",
+    );
+
+    assert.equal(
+      accounts.client(CloudWatchLogsClient, "123456789012", "us-east-1"),
+      client,
+    );
+    assert.notEqual(
+      accounts.client(CloudWatchLogsClient, "123456789012", "us-west-2"),
+      client,
+    );
+    assert.equal(
+      accounts.cloudWatchClient("123456789012", "us-east-1"),
+      accounts.cloudWatchClient("123456789012", "us-east-1"),
+    );
+  });
+});
@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  claimEvent,
+  releaseEvent,
+} from "../../src/alarm-slack-notifications/dedup.mjs";
+import { memoryStore } from "../../src/alarm-slack-notifications/state-store.mjs";
+
+/**
+ * @param {String} id
+ * @returns {import('../../src/alarm-slack-notifications/dedup.mjs').DedupEvent}
+ */
+function dedupEvent(id) {
+  return {
+    id,
+    detail: {
+      alarmName: "FATAL [Feeder] Down",
+      state: { timestamp: "2026-01-01T12:00:00.000+0000" },
+    },
+  };
+}
+
+describe("dedup", () => {
+  it("claims an event the first time it's seen", async () => {
+    const store = memoryStore();
+
+    assert.equal(await claimEvent("slack", dedupEvent("a"), store), true);
+  });
+
+  it("drops an event with an ID that was already claimed", async () => {
+    const store = memoryStore();
+
+    await claimEvent("slack", dedupEvent("a"), store);
+
+    assert.equal(await claimEvent("slack", dedupEvent("a"), store), false);
+  });
+
+  it("claims events with different IDs for the same alarm", async () => {
+    const store = memoryStore();
+
+    await claimEvent("slack", dedupEvent("a"), store);
+
+    assert.equal(await claimEvent("slack", dedupEvent("b"), store), true);
+  });
+
+  it("keeps claims separate for each function", async () => {
+    const store = memoryStore();
+
+    await claimEvent("slack", dedupEvent("a"), store);
+
+    assert.equal(await claimEvent("sms", dedupEvent("a"), store), true);
+  });
+
+  it("allows a released event to be claimed again", async () => {
+    const store = memoryStore();
+
+    await claimEvent("sms", dedupEvent("a"), store);
+    await releaseEvent("sms", dedupEvent("a"), store);
+
+    assert.equal(await claimEvent("sms", dedupEvent("a"), store), true);
+  });
+});
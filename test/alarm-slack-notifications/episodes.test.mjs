@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+import {
+  openEpisode,
+  recordEpisode,
+} from "../../src/alarm-slack-notifications/episodes.mjs";
+
+/**
+ * @param {'ALARM'|'OK'} value
+ * @returns {import('../../src/alarm-slack-notifications/index.mjs').EventBridgeCloudWatchAlarmsEvent}
+ */
+function alarmEvent(value) {
+  return /** @type {any} */ ({
+    account: "123456789012",
+    region: "us-east-1",
+    detail: {
+      alarmName: "ERROR [Feeder] Too many 5XX",
+      state: { value, timestamp: "2026-01-01T13:00:00.000+0000" },
+    },
+  });
+}
+
+/**
+ * @param {String} channel
+ * @returns {import('../../src/alarm-slack-notifications/episodes.mjs').EpisodeMessage}
+ */
+function episodeMessage(channel) {
+  return {
+    destination: channel,
+    channel,
+    ts: "1767268800.000100",
+    attachments: [{ blocks: [] }],
+  };
+}
+
+describe("episodes", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("ends the episode even when a message can't be marked as resolved", async () => {
+    const messages = [episodeMessage("C1"), episodeMessage("C2")];
+
+    await recordEpisode(alarmEvent("ALARM"), undefined, messages);
+    const episode = await openEpisode(alarmEvent("OK"));
+
+    // The first message was deleted, so it can't be updated
+    const fetch = mock.method(globalThis, "fetch", async (_, init) => {
+      const { channel } = JSON.parse(init.body);
+
+      return Response.json(
+        channel === "C1"
+          ? { ok: false, error: "message_not_found" }
+          : { ok: true },
+      );
+    });
+
+    await recordEpisode(alarmEvent("OK"), episode, []);
+
+    assert.equal(fetch.mock.callCount(), 2);
+    assert.equal(await openEpisode(alarmEvent("ALARM")), undefined);
+  });
+});
@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  insightsFilter,
+  insightsQuery,
+} from "../../src/alarm-slack-notifications/filter-patterns.mjs";
+
+describe("filter patterns", () => {
+  it("translates term patterns", () => {
+    assert.equal(
+      insightsFilter('ERROR -Retry "timed out" ?WARN ?FATAL'),
+      [
+        "@message like /ERROR/",
+        "@message like /timed out/",
+        "@message not like /Retry/",
+        "(@message like /WARN/ or @message like /FATAL/)",
+      ].join(" and "),
+    );
+    assert.equal(insightsFilter("a.b/c"), "@message like /a\\.b\\/c/");
+  });
+
+  it("translates regular expression patterns", () => {
+    assert.equal(insightsFilter("%5\\d\\d%"), "@message like /5\\d\\d/");
+  });
+
+  it("translates JSON patterns", () => {
+    assert.equal(
+      insightsFilter('{ $.level = "error" && $.items[0].id > 5 }'),
+      'level = "error" and items.0.id > 5',
+    );
+    assert.equal(insightsFilter("{ $.user IS NULL }"), undefined);
+    assert.equal(insightsFilter('{ $.msg = "*fail*" }'), undefined);
+  });
+
+  it("doesn't translate space-delimited or empty patterns", () => {
+    assert.equal(insightsFilter("[ip, user, ...]"), undefined);
+    assert.equal(insightsFilter("  "), undefined);
+    assert.equal(insightsFilter(undefined), undefined);
+  });
+
+  it("builds a query that matches any of the patterns", () => {
+    assert.equal(
+      insightsQuery(["ERROR"]),
+      "fields @timestamp, @message\n| filter @message like /ERROR/\n| sort @timestamp desc",
+    );
+    assert.equal(
+      insightsQuery(["ERROR", "%5\\d\\d%"]),
+      "fields @timestamp, @message\n| filter (@message like /ERROR/) or (@message like /5\\d\\d/)\n| sort @timestamp desc",
+    );
+  });
+
+  it("doesn't filter when any pattern could match every event", () => {
+    assert.equal(
+      insightsQuery(["ERROR", "[ip, user]"]),
+      "# Metric filter pattern: [ip, user]\nfields @timestamp, @message\n| sort @timestamp desc",
+    );
+    assert.equal(
+      insightsQuery(["", "ERROR"]),
+      "fields @timestamp, @message\n| sort @timestamp desc",
+    );
+  });
+});
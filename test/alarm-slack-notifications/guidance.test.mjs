@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  guidanceLine,
+  runbookUrl,
+} from "../../src/alarm-slack-notifications/guidance.mjs";
+import { dashboardConsoleUrl } from "../../src/alarm-slack-notifications/urls.mjs";
+
+/** @type {import('../../src/alarm-slack-notifications/index.mjs').EventBridgeCloudWatchAlarmsEvent} */
+const event = /** @type {any} */ ({
+  account: "123456789012",
+  region: "us-east-1",
+  detail: { alarmName: "ERROR [Feeder] Too many 5XX" },
+});
+
+/**
+ * @param {Object.<string, string>} tags
+ * @returns {import('@aws-sdk/client-cloudwatch').ListTagsForResourceOutput}
+ */
+function tagList(tags) {
+  return {
+    Tags: Object.entries(tags).map(([Key, Value]) => ({ Key, Value })),
+  };
+}
+
+describe("guidance", () => {
+  it("only allows http and https runbook URLs", () => {
+    assert.equal(
+      runbookUrl("https://wiki.example.com/feeder?a=1|2"),
+      "https://wiki.example.com/feeder?a=1%7C2",
+    );
+    assert.equal(runbookUrl("javascript:alert(1)"), undefined);
+    assert.equal(runbookUrl("wiki/feeder"), undefined);
+    assert.equal(runbookUrl(undefined), undefined);
+  });
+
+  it("links to the runbook and dashboard, and names the owner", () => {
+    assert.equal(
+      guidanceLine(
+        event,
+        tagList({
+          "prx:ops:runbook-url": " https://wiki.example.com/feeder ",
+          "prx:ops:cloudwatch-dashboard-name": "Feeder-Production",
+          "prx:ops:escalation-contact": "ops@example.com",
+          "prx:ops:team": "Feeder",
+        }),
+      ),
+      [
+        "<https://wiki.example.com/feeder|Runbook>",
+        `<${dashboardConsoleUrl(event, "Feeder-Production")}|Dashboard>`,
+        "Owner: <mailto:ops@example.com|ops@example.com>",
+      ].join(" • "),
+    );
+  });
+
+  it("falls back to the team, and skips values that aren't valid", () => {
+    assert.equal(
+      guidanceLine(
+        event,
+        tagList({
+          "prx:ops:runbook-url": "ftp://example.com/runbook",
+          "prx:ops:cloudwatch-dashboard-name": "Feeder|Production>",
+          "prx:ops:team": "<Feeder & Dovetail>",
+        }),
+      ),
+      "Owner: &lt;Feeder &amp; Dovetail&gt;",
+    );
+  });
+
+  it("returns nothing without any guidance tags", () => {
+    assert.equal(guidanceLine(event, tagList({})), undefined);
+    assert.equal(guidanceLine(event, undefined), undefined);
+  });
+});
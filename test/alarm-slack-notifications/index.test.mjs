@@ -0,0 +1,129 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+import { CloudWatchClient } from "@aws-sdk/client-cloudwatch";
+import { EventBridgeClient } from "@aws-sdk/client-eventbridge";
+import { STSClient } from "@aws-sdk/client-sts";
+import { claimEvent } from "../../src/alarm-slack-notifications/dedup.mjs";
+import { handler } from "../../src/alarm-slack-notifications/index.mjs";
+
+/**
+ * @param {String} id
+ * @param {'ALARM'|'OK'} [value]
+ * @returns {import('../../src/alarm-slack-notifications/index.mjs').EventBridgeCloudWatchAlarmsEvent}
+ */
+function alarmEvent(id, value = "ALARM") {
+  return /** @type {any} */ ({
+    id,
+    account: "123456789012",
+    region: "us-east-1",
+    time: "2026-01-01T12:00:00Z",
+    resources: [
+      "arn:aws:cloudwatch:us-east-1:123456789012:alarm:FATAL [Feeder] Down",
+    ],
+    detail: {
+      alarmName: "FATAL [Feeder] Down",
+      state: {
+        value,
+        reason: "Threshold Crossed",
+        timestamp: "2026-01-01T12:00:00.000+0000",
+      },
+      previousState: {
+        value: "OK",
+        reason: "Threshold Crossed",
+        timestamp: "2026-01-01T11:00:00.000+0000",
+      },
+      configuration: { description: "", metrics: [] },
+    },
+  });
+}
+
+describe("notifications handler", () => {
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.ALARM_MAINTENANCE_WINDOWS;
+    delete process.env.ALARM_ROUTING_RULES;
+  });
+
+  it("releases the claim and retries when handling runs out of time before sending", async () => {
+    // Assuming the role in the alarm's account never finishes
+    mock.method(STSClient.prototype, "send", () => new Promise(() => {}));
+    const relay = mock.method(
+      EventBridgeClient.prototype,
+      "send",
+      async () => ({}),
+    );
+
+    const context = /** @type {any} */ ({
+      getRemainingTimeInMillis: () => 3050,
+    });
+
+    await assert.rejects(
+      handler(alarmEvent("timed-out"), context),
+      /did not finish/,
+    );
+
+    // The failure is still reported to Slack
+    assert.equal(relay.mock.callCount(), 1);
+
+    // The retried invocation can claim the event again
+    assert.equal(
+      await claimEvent("notifications", alarmEvent("timed-out")),
+      true,
+    );
+  });
+
+  it("resolves PagerDuty incidents during a maintenance window", async () => {
+    process.env.ALARM_MAINTENANCE_WINDOWS = JSON.stringify([
+      {
+        name: "Feeder deploy",
+        start: "2026-01-01T11:30:00Z",
+        end: "2026-01-01T12:30:00Z",
+        match: { alarmName: "\\[Feeder\\]" },
+      },
+    ]);
+    process.env.ALARM_ROUTING_RULES = JSON.stringify({
+      rules: [
+        {
+          name: "Fatal",
+          match: { severity: ["FATAL"] },
+          destinations: [
+            { channel: "#ops-fatal" },
+            { type: "pagerduty", routingKey: "abc" },
+          ],
+        },
+      ],
+    });
+
+    mock.method(STSClient.prototype, "send", async () => ({
+      Credentials: {
+        AccessKeyId: "a",
+        SecretAccessKey: "b",
+        SessionToken: "c",
+        Expiration: new Date(Date.now() + 3600000),
+      },
+    }));
+    mock.method(CloudWatchClient.prototype, "send", async () => ({
+      MetricAlarms: [{ AlarmName: "FATAL [Feeder] Down" }],
+      Tags: [],
+    }));
+    const fetch = mock.method(globalThis, "fetch", async () =>
+      Response.json({}, { status: 202 }),
+    );
+
+    // Credentials are cached by account, and the role in the other test's
+    // account is never assumed
+    const ok = { ...alarmEvent("muted-ok", "OK"), account: "210987654321" };
+    const alarm = { ...alarmEvent("muted-alarm"), account: "210987654321" };
+
+    await handler(ok);
+    await handler(alarm);
+
+    // Only the OK is sent, and only to PagerDuty
+    assert.equal(fetch.mock.callCount(), 1);
+    assert.match(String(fetch.mock.calls[0].arguments[0]), /pagerduty/);
+    assert.equal(
+      JSON.parse(String(fetch.mock.calls[0].arguments[1].body)).event_action,
+      "resolve",
+    );
+  });
+});
@@ -0,0 +1,114 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+import { CloudWatchLogsClient } from "@aws-sdk/client-cloudwatch-logs";
+import {
+  logGroups,
+  taggedLogGroups,
+} from "../../src/alarm-slack-notifications/log-groups.mjs";
+
+const event = /** @type {any} */ ({
+  account: "123456789012",
+  region: "us-east-1",
+  detail: { alarmName: "ERROR [Feeder] Errors" },
+});
+
+/**
+ * @param {String} metricName
+ * @returns {import('@aws-sdk/client-cloudwatch').MetricDataQuery}
+ */
+function metricQuery(metricName) {
+  return {
+    Id: metricName.toLowerCase(),
+    MetricStat: {
+      Metric: { Namespace: "Feeder", MetricName: metricName },
+      Period: 60,
+      Stat: "Sum",
+    },
+  };
+}
+
+describe("log groups", () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("uses the tagged log groups and query", () => {
+    assert.deepEqual(
+      taggedLogGroups({
+        Tags: [
+          {
+            Key: "prx:ops:cloudwatch-log-group-name",
+            Value: " /feeder/app  /feeder/worker ",
+          },
+          {
+            Key: "prx:ops:cloudwatch-logs-insights-query",
+            Value: "fields @message",
+          },
+        ],
+      }),
+      {
+        names: ["/feeder/app", "/feeder/worker"],
+        filterPatterns: [],
+        query: "fields @message",
+      },
+    );
+    assert.equal(taggedLogGroups({ Tags: [] }), undefined);
+  });
+
+  it("finds log groups for custom metrics from their metric filters", async () => {
+    const send = mock.method(
+      CloudWatchLogsClient.prototype,
+      "send",
+      async (command) => {
+        if (command.input.metricName === "Timeouts") {
+          throw new Error("AccessDenied");
+        }
+
+        return {
+          metricFilters: [
+            { logGroupName: "/feeder/app", filterPattern: "ERROR" },
+            { logGroupName: "/feeder/app", filterPattern: "" },
+          ],
+        };
+      },
+    );
+    const log = mock.method(console, "log", () => {});
+
+    const groups = await logGroups(
+      event,
+      {
+        MetricAlarms: [
+          {
+            AlarmName: "ERROR [Feeder] Errors",
+            Metrics: [
+              metricQuery("Errors"),
+              metricQuery("Timeouts"),
+              { Id: "e1", Expression: "m1 + m2", ReturnData: true },
+            ],
+          },
+        ],
+      },
+      {
+        Tags: [
+          {
+            Key: "prx:ops:cloudwatch-logs-insights-query",
+            Value: "fields @message",
+          },
+        ],
+      },
+    );
+
+    assert.equal(send.mock.callCount(), 2);
+    assert.deepEqual(groups, {
+      names: ["/feeder/app"],
+      filterPatterns: ["ERROR", ""],
+      query: "fields @message",
+    });
+
+    // The failed lookup is skipped
+    assert.equal(
+      JSON.parse(String(log.mock.calls[0].arguments[0])).msg,
+      "Log group lookup failed",
+    );
+  });
+});
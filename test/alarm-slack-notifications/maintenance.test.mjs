@@ -0,0 +1,132 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+import {
+  activeWindow,
+  endedWindows,
+  maintenanceWindows,
+  muted,
+  windowsUseTags,
+} from "../../src/alarm-slack-notifications/maintenance.mjs";
+
+/**
+ * @param {Object} [props]
+ * @returns {import('../../src/alarm-slack-notifications/suppression.mjs').SuppressionSubject}
+ */
+function subject(props = {}) {
+  return /** @type {any} */ ({
+    source: "notifications",
+    alarmName: "ERROR [Feeder] Too many 5XX",
+    account: "123456789012",
+    region: "us-east-1",
+    namespace: "AWS/ApplicationELB",
+    tags: {},
+    ...props,
+  });
+}
+
+/** @type {import('../../src/alarm-slack-notifications/maintenance.mjs').MaintenanceWindow[]} */
+const WINDOWS = [
+  {
+    name: "Feeder deploy",
+    start: "2026-01-01T14:00:00Z",
+    end: "2026-01-01T15:00:00Z",
+    match: { alarmName: "\\[Feeder\\]" },
+  },
+  {
+    name: "Staging database upgrade",
+    start: "2026-01-01T14:30:00Z",
+    end: "2026-01-01T16:00:00Z",
+    match: { tags: { "prx:ops:environment": "Staging" } },
+  },
+  {
+    name: "Everything",
+    start: "2026-01-01T00:00:00Z",
+    end: "2026-01-02T00:00:00Z",
+    match: {},
+  },
+];
+
+describe("maintenance windows", () => {
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.ALARM_MAINTENANCE_WINDOWS;
+  });
+
+  it("reads windows from the environment", () => {
+    assert.deepEqual(maintenanceWindows(), []);
+
+    process.env.ALARM_MAINTENANCE_WINDOWS = JSON.stringify(WINDOWS);
+
+    assert.deepEqual(maintenanceWindows(), WINDOWS);
+  });
+
+  it("is active from its start until its end", () => {
+    const at = (time) => activeWindow(subject(), new Date(time), WINDOWS);
+
+    assert.equal(at("2026-01-01T13:59:59Z"), undefined);
+    assert.equal(at("2026-01-01T14:00:00Z").name, "Feeder deploy");
+    assert.equal(at("2026-01-01T14:59:59Z").name, "Feeder deploy");
+    assert.equal(at("2026-01-01T15:00:00Z"), undefined);
+  });
+
+  it("only matches subjects that meet its conditions", () => {
+    const at = new Date("2026-01-01T15:30:00Z");
+
+    assert.equal(
+      activeWindow(
+        subject({
+          alarmName: "ERROR [Dovetail] Errors",
+          tags: { "prx:ops:environment": "Staging" },
+        }),
+        at,
+        WINDOWS,
+      ).name,
+      "Staging database upgrade",
+    );
+
+    // The window without any conditions doesn't match anything
+    assert.equal(
+      activeWindow(
+        subject({ alarmName: "ERROR [Dovetail] Errors" }),
+        at,
+        WINDOWS,
+      ),
+      undefined,
+    );
+  });
+
+  it("logs the window that mutes a subject", () => {
+    const log = mock.method(console, "log", () => {});
+
+    assert.equal(
+      muted(subject(), new Date("2026-01-01T14:10:00Z"), WINDOWS),
+      true,
+    );
+    assert.equal(
+      muted(subject(), new Date("2026-01-01T16:10:00Z"), WINDOWS),
+      false,
+    );
+
+    assert.equal(log.mock.callCount(), 1);
+    assert.equal(
+      JSON.parse(String(log.mock.calls[0].arguments[0])).window,
+      "Feeder deploy",
+    );
+  });
+
+  it("finds the windows that ended within a time range", () => {
+    assert.deepEqual(
+      endedWindows(
+        new Date("2026-01-01T15:00:00Z"),
+        new Date("2026-01-01T16:00:00Z"),
+        WINDOWS,
+      ).map((w) => w.name),
+      ["Feeder deploy"],
+    );
+  });
+
+  it("knows when windows match on tags", () => {
+    assert.equal(windowsUseTags(WINDOWS), true);
+    assert.equal(windowsUseTags(WINDOWS.slice(0, 1)), false);
+  });
+});
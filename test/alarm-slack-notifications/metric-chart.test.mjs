@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+import { chartBlock } from "../../src/alarm-slack-notifications/metric-chart.mjs";
+
+const event = /** @type {any} */ ({
+  account: "123456789012",
+  region: "us-east-1",
+  detail: { alarmName: "ERROR [Feeder] Errors" },
+});
+
+/** @type {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput} */
+const desc = {
+  MetricAlarms: [
+    {
+      AlarmName: "ERROR [Feeder] Errors",
+      Namespace: "AWS/Lambda",
+      MetricName: "Errors",
+      Dimensions: [{ Name: "FunctionName", Value: "feeder" }],
+      Period: 300,
+      Statistic: "Sum",
+      Threshold: 1,
+    },
+  ],
+};
+
+/**
+ * @param {Number[]} values
+ * @returns {{ client: any, commands: any[] }}
+ */
+function cloudWatchClient(values) {
+  const commands = [];
+
+  return {
+    commands,
+    client: {
+      send: async (command) => {
+        commands.push(command);
+        return {
+          MetricDataResults: [
+            {
+              Id: "chart",
+              Timestamps: values.map((_, i) => new Date(Date.now() - i * 3e5)),
+              Values: values,
+            },
+          ],
+        };
+      },
+    },
+  };
+}
+
+describe("metric chart", () => {
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.SLACK_ACCESS_TOKEN;
+  });
+
+  it("isn't included without the Slack Web API", async () => {
+    const { client, commands } = cloudWatchClient([1, 2]);
+
+    assert.equal(
+      await chartBlock(event, desc, { AlarmHistoryItems: [] }, client),
+      undefined,
+    );
+    assert.equal(commands.length, 0);
+  });
+
+  it("uploads the chart and references it in an image block", async () => {
+    process.env.SLACK_ACCESS_TOKEN = "xoxb-test";
+
+    const fetch = mock.method(globalThis, "fetch", async (url) => {
+      if (String(url).endsWith("files.getUploadURLExternal")) {
+        return Response.json({
+          ok: true,
+          upload_url: "https://files.slack.com/upload/v1/abc",
+          file_id: "F123",
+        });
+      }
+
+      return Response.json({ ok: true });
+    });
+    const { client, commands } = cloudWatchClient([0, 3, 1]);
+
+    const block = await chartBlock(
+      event,
+      desc,
+      { AlarmHistoryItems: [] },
+      client,
+    );
+
+    assert.deepEqual(block, {
+      type: "image",
+      slack_file: { id: "F123" },
+      alt_text: "ERROR [Feeder] Errors (last 3 hours)",
+    });
+    assert.deepEqual(commands[0].input.MetricDataQueries[0].MetricStat, {
+      Metric: {
+        Namespace: "AWS/Lambda",
+        MetricName: "Errors",
+        Dimensions: [{ Name: "FunctionName", Value: "feeder" }],
+      },
+      Period: 300,
+      Stat: "Sum",
+    });
+    assert.deepEqual(
+      fetch.mock.calls.map((c) => String(c.arguments[0])),
+      [
+        "https://slack.com/api/files.getUploadURLExternal",
+        "https://files.slack.com/upload/v1/abc",
+        "https://slack.com/api/files.completeUploadExternal",
+      ],
+    );
+  });
+
+  it("isn't included when the metric has no data", async () => {
+    process.env.SLACK_ACCESS_TOKEN = "xoxb-test";
+
+    const fetch = mock.method(globalThis, "fetch");
+    const { client } = cloudWatchClient([]);
+
+    assert.equal(
+      await chartBlock(event, desc, { AlarmHistoryItems: [] }, client),
+      undefined,
+    );
+    assert.equal(fetch.mock.callCount(), 0);
+  });
+});
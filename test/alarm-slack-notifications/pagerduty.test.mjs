@@ -0,0 +1,276 @@
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { after, afterEach, before, describe, it } from "node:test";
+import {
+  dedupKey,
+  pagerDutyEvent,
+  pagerDutySeverity,
+  sendEvent,
+} from "../../src/alarm-slack-notifications/pagerduty.mjs";
+
+/**
+ * @param {'OK'|'ALARM'|'INSUFFICIENT_DATA'} state
+ * @param {String} [alarmName]
+ * @returns {import('../../src/alarm-slack-notifications/index.mjs').EventBridgeCloudWatchAlarmsEvent}
+ */
+function alarmEvent(state, alarmName = "FATAL [Feeder] Lambda errors") {
+  return /** @type {any} */ ({
+    id: "c4c1c1c9-6542-e61b-6ef0-8c4d36933a92",
+    account: "123456789012",
+    region: "us-east-1",
+    time: "2026-01-01T12:05:00Z",
+    resources: [`arn:aws:cloudwatch:us-east-1:123456789012:alarm:${alarmName}`],
+    detail: {
+      alarmName,
+      state: {
+        value: state,
+        reason: "Threshold Crossed: 1 datapoint [12.0] was greater than 5.0",
+        timestamp: "2026-01-01T12:05:00.000+0000",
+      },
+      previousState: {
+        value: state === "OK" ? "ALARM" : "OK",
+        reason: "Threshold Crossed",
+        timestamp: "2026-01-01T12:00:00.000+0000",
+      },
+      configuration: {
+        description: "Errors in the Feeder API function",
+        metrics: [
+          {
+            id: "m1",
+            metricStat: {
+              metric: {
+                name: "Errors",
+                namespace: "AWS/Lambda",
+                dimensions: { FunctionName: "feeder-api" },
+              },
+              period: 60,
+              stat: "Sum",
+            },
+            returnData: true,
+          },
+        ],
+      },
+    },
+  });
+}
+
+/** @type {import('../../src/alarm-slack-notifications/builder.mjs').AlarmEnrichment} */
+const ENRICHED = /** @type {any} */ ({
+  desc: {
+    MetricAlarms: [
+      {
+        AlarmName: "FATAL [Feeder] Lambda errors",
+        Namespace: "AWS/Lambda",
+        MetricName: "Errors",
+        Dimensions: [{ Name: "FunctionName", Value: "feeder-api" }],
+        Statistic: "Sum",
+        Period: 60,
+        EvaluationPeriods: 1,
+        ComparisonOperator: "GreaterThanThreshold",
+        Threshold: 5,
+      },
+    ],
+    CompositeAlarms: [],
+  },
+  tagList: { Tags: [] },
+  history: { AlarmHistoryItems: [] },
+  logGroups: { names: ["/aws/lambda/feeder-api"], filterPatterns: [] },
+});
+
+describe("pagerduty", () => {
+  describe("dedupKey", () => {
+    it("identifies the alarm by account, region, and name", () => {
+      assert.equal(
+        dedupKey(alarmEvent("ALARM")),
+        "123456789012:us-east-1:FATAL [Feeder] Lambda errors",
+      );
+    });
+
+    it("is the same for ALARM and OK", () => {
+      assert.equal(dedupKey(alarmEvent("ALARM")), dedupKey(alarmEvent("OK")));
+    });
+
+    it("is limited to 255 characters", () => {
+      const key = dedupKey(alarmEvent("ALARM", `FATAL ${"x".repeat(300)}`));
+
+      assert.equal(key.length, 255);
+    });
+  });
+
+  describe("pagerDutySeverity", () => {
+    it("maps alarm name prefixes to PagerDuty severities", () => {
+      assert.equal(pagerDutySeverity("FATAL foo"), "critical");
+      assert.equal(pagerDutySeverity("CRITICAL foo"), "critical");
+      assert.equal(pagerDutySeverity("ERROR foo"), "error");
+      assert.equal(pagerDutySeverity("MAJOR foo"), "error");
+      assert.equal(pagerDutySeverity("WARN foo"), "warning");
+      assert.equal(pagerDutySeverity("MINOR foo"), "warning");
+      assert.equal(pagerDutySeverity("INFO foo"), "info");
+      assert.equal(pagerDutySeverity("foo"), "error");
+    });
+  });
+
+  describe("pagerDutyEvent", () => {
+    it("triggers an incident for ALARM", async () => {
+      const body = await pagerDutyEvent(alarmEvent("ALARM"), ENRICHED, "key1");
+
+      assert.equal(body.routing_key, "key1");
+      assert.equal(body.event_action, "trigger");
+      assert.equal(body.dedup_key, dedupKey(alarmEvent("ALARM")));
+      assert.deepEqual(
+        { ...body.payload, custom_details: undefined },
+        {
+          summary: "FATAL [Feeder] Lambda errors",
+          source: "123456789012/us-east-1",
+          severity: "critical",
+          timestamp: "2026-01-01T12:05:00.000+0000",
+          class: "CloudWatch Alarm",
+          component: "AWS/Lambda",
+          custom_details: undefined,
+        },
+      );
+      assert.equal(body.payload.custom_details.metric, "Errors");
+      assert.deepEqual(body.payload.custom_details.dimensions, {
+        FunctionName: "feeder-api",
+      });
+      assert.equal(body.payload.custom_details.threshold, "> 5");
+      assert.deepEqual(
+        body.links.map((l) => l.text),
+        ["Alarm", "Metrics", "Logs"],
+      );
+    });
+
+    it("resolves the incident for OK", async () => {
+      const body = await pagerDutyEvent(alarmEvent("OK"), ENRICHED, "key1");
+
+      assert.deepEqual(body, {
+        routing_key: "key1",
+        event_action: "resolve",
+        dedup_key: dedupKey(alarmEvent("OK")),
+      });
+    });
+
+    it("has no event for INSUFFICIENT_DATA", async () => {
+      const body = await pagerDutyEvent(
+        alarmEvent("INSUFFICIENT_DATA"),
+        ENRICHED,
+        "key1",
+      );
+
+      assert.equal(body, undefined);
+    });
+  });
+
+  describe("sendEvent", () => {
+    /** @type {import('node:http').Server} */
+    let server;
+    let requests = [];
+    let status = 202;
+    let hang = false;
+
+    before(async () => {
+      server = createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => {
+          body += chunk;
+        });
+        req.on("end", () => {
+          requests.push(JSON.parse(body));
+
+          if (hang) {
+            return;
+          }
+
+          res.writeHead(status);
+          res.end("{}");
+        });
+      });
+
+      await new Promise((resolve) => {
+        server.listen(0, "127.0.0.1", () => resolve(undefined));
+      });
+
+      const { port } = /** @type {import('node:net').AddressInfo} */ (
+        server.address()
+      );
+      process.env.PAGERDUTY_EVENTS_URL = `http://127.0.0.1:${port}/v2/enqueue`;
+    });
+
+    after(() => {
+      server.closeAllConnections();
+      server.close();
+      delete process.env.PAGERDUTY_EVENTS_URL;
+    });
+
+    afterEach(() => {
+      requests = [];
+      status = 202;
+      hang = false;
+      delete process.env.PAGERDUTY_ROUTING_KEY;
+    });
+
+    it("prefers the destination's routing key", async () => {
+      process.env.PAGERDUTY_ROUTING_KEY = "default";
+
+      await sendEvent(
+        { type: "pagerduty", routingKey: "team" },
+        alarmEvent("OK"),
+        ENRICHED,
+      );
+
+      assert.equal(requests.length, 1);
+      assert.equal(requests[0].routing_key, "team");
+    });
+
+    it("falls back to PAGERDUTY_ROUTING_KEY", async () => {
+      process.env.PAGERDUTY_ROUTING_KEY = "default";
+
+      await sendEvent({ type: "pagerduty" }, alarmEvent("ALARM"), ENRICHED);
+
+      assert.equal(requests[0].routing_key, "default");
+      assert.equal(requests[0].event_action, "trigger");
+    });
+
+    it("sends nothing without a routing key", async () => {
+      await sendEvent({ type: "pagerduty" }, alarmEvent("ALARM"), ENRICHED);
+
+      assert.equal(requests.length, 0);
+    });
+
+    it("sends nothing for INSUFFICIENT_DATA", async () => {
+      await sendEvent(
+        { type: "pagerduty", routingKey: "team" },
+        alarmEvent("INSUFFICIENT_DATA"),
+        ENRICHED,
+      );
+
+      assert.equal(requests.length, 0);
+    });
+
+    it("throws when PagerDuty rejects the event", async () => {
+      status = 400;
+
+      await assert.rejects(
+        sendEvent(
+          { type: "pagerduty", routingKey: "team" },
+          alarmEvent("OK"),
+          ENRICHED,
+        ),
+        /PagerDuty event failed: 400/,
+      );
+    });
+
+    it("gives up when PagerDuty doesn't respond in time", async () => {
+      hang = true;
+
+      await assert.rejects(
+        sendEvent(
+          { type: "pagerduty", routingKey: "team" },
+          alarmEvent("ALARM"),
+          ENRICHED,
+        ),
+        { name: "TimeoutError" },
+      );
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  alarmMetrics,
+  bandWidth,
+  isAnomalyDetection,
+  isMetricMath,
+  metricDataQueries,
+  queryPeriod,
+  returnDataQuery,
+} from "../../src/alarm-slack-notifications/queries.mjs";
+
+const errors = {
+  Id: "m1",
+  MetricStat: {
+    Metric: { Namespace: "AWS/Lambda", MetricName: "Errors" },
+    Period: 300,
+    Stat: "Sum",
+  },
+  ReturnData: false,
+};
+
+/** @type {import('@aws-sdk/client-cloudwatch').MetricAlarm} */
+const mathAlarm = {
+  AlarmName: "ERROR [Feeder] Error rate",
+  Metrics: [
+    errors,
+    { Id: "e1", Label: "Doubled", Expression: "m1*2", ReturnData: true },
+  ],
+};
+
+/** @type {import('@aws-sdk/client-cloudwatch').MetricAlarm} */
+const bandAlarm = {
+  AlarmName: "WARN [Feeder] Unusual errors",
+  ThresholdMetricId: "ad1",
+  Metrics: [
+    { ...errors, ReturnData: true },
+    {
+      Id: "ad1",
+      Expression: "ANOMALY_DETECTION_BAND(m1, 3)",
+      ReturnData: true,
+      Period: 600,
+    },
+  ],
+};
+
+describe("metric data queries", () => {
+  it("tells alarm types apart", () => {
+    assert.equal(isMetricMath(mathAlarm), true);
+    assert.equal(isMetricMath({ Namespace: "AWS/Lambda" }), false);
+    assert.equal(isAnomalyDetection(bandAlarm), true);
+    assert.equal(isAnomalyDetection(mathAlarm), false);
+  });
+
+  it("finds the query the alarm evaluates, other than the band", () => {
+    assert.equal(returnDataQuery(mathAlarm).Id, "e1");
+    assert.equal(returnDataQuery(bandAlarm).Id, "m1");
+  });
+
+  it("finds the period from the query or its inputs", () => {
+    assert.equal(queryPeriod(mathAlarm), 300);
+    assert.equal(
+      queryPeriod({
+        ...mathAlarm,
+        Metrics: [errors, { ...mathAlarm.Metrics[1], Period: 60 }],
+      }),
+      60,
+    );
+  });
+
+  it("returns the band width, which defaults to 2", () => {
+    assert.equal(bandWidth(bandAlarm), 3);
+    assert.equal(
+      bandWidth({
+        ...bandAlarm,
+        Metrics: [
+          errors,
+          { Id: "ad1", Expression: "ANOMALY_DETECTION_BAND(m1)" },
+        ],
+      }),
+      2,
+    );
+  });
+
+  it("only returns data for the requested queries", () => {
+    assert.deepEqual(metricDataQueries(mathAlarm), [
+      { ...errors, ReturnData: false },
+      { Id: "e1", Label: "Doubled", Expression: "m1*2", ReturnData: true },
+    ]);
+    assert.deepEqual(
+      metricDataQueries(bandAlarm, ["m1", "ad1"]).map((q) => [
+        q.Id,
+        q.ReturnData,
+        q.Period,
+      ]),
+      [
+        ["m1", true, undefined],
+        ["ad1", true, 600],
+      ],
+    );
+  });
+
+  it("lists the metrics that an alarm watches", () => {
+    assert.deepEqual(alarmMetrics({ MetricAlarms: [mathAlarm] }), [
+      errors.MetricStat.Metric,
+    ]);
+    assert.deepEqual(
+      alarmMetrics({
+        MetricAlarms: [
+          { Namespace: "AWS/SQS", MetricName: "Age", Dimensions: [] },
+        ],
+      }),
+      [{ Namespace: "AWS/SQS", MetricName: "Age", Dimensions: [] }],
+    );
+    assert.deepEqual(alarmMetrics({ MetricAlarms: [] }), []);
+  });
+});
@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import descriptor, {
+  consoleHost,
+  partition,
+} from "../../src/alarm-slack-notifications/regions.mjs";
+import { alarmConsoleUrl } from "../../src/alarm-slack-notifications/urls.mjs";
+
+describe("regions", () => {
+  it("names regions", () => {
+    assert.equal(descriptor("us-east-2"), "Ohio");
+    assert.equal(descriptor("cn-northwest-1"), "Ningxia");
+    assert.equal(descriptor("us-gov-east-1"), "GovCloud (US-East)");
+    assert.equal(descriptor("xx-future-1"), "xx-future-1");
+  });
+
+  it("finds the partition of a region or ARN", () => {
+    assert.equal(partition("us-east-1"), "aws");
+    assert.equal(partition("cn-north-1"), "aws-cn");
+    assert.equal(partition("us-gov-west-1"), "aws-us-gov");
+    assert.equal(
+      partition("arn:aws-us-gov:cloudwatch:us-gov-west-1:123456789012:alarm:A"),
+      "aws-us-gov",
+    );
+    assert.equal(partition(undefined), "aws");
+  });
+
+  it("links to the console of the region's partition", () => {
+    assert.equal(consoleHost("eu-west-1"), "eu-west-1.console.aws.amazon.com");
+    assert.equal(consoleHost("cn-north-1"), "console.amazonaws.cn");
+    assert.equal(consoleHost("us-gov-east-1"), "console.amazonaws-us-gov.com");
+
+    const event = /** @type {any} */ ({
+      account: "123456789012",
+      region: "cn-north-1",
+      detail: { alarmName: "ERROR [Feeder] Errors" },
+    });
+
+    assert.match(
+      decodeURIComponent(alarmConsoleUrl(event)),
+      /destination=https:\/\/console\.amazonaws\.cn\/cloudwatch\/home\?region=cn-north-1#/,
+    );
+  });
+});
@@ -0,0 +1,134 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { SQSClient } from "@aws-sdk/client-sqs";
+import { accounts } from "../../src/alarm-slack-notifications/accounts.mjs";
+import { resourceLines } from "../../src/alarm-slack-notifications/resource-context.mjs";
+
+const EVENT = /** @type {any} */ ({
+  account: "123456789012",
+  region: "us-east-1",
+  detail: { alarmName: "ERROR [Feeder] Queue backed up" },
+});
+
+const originalClient = accounts.client;
+
+/**
+ * Replaces the clients for the alarm's account with mocks
+ * @param {(Client: any, account: String, region: String) => any} factory
+ */
+function mockClients(factory) {
+  accounts.client = /** @type {any} */ (factory);
+}
+
+/**
+ * @param {...import('@aws-sdk/client-cloudwatch').MetricDataQuery} queries
+ * @returns {import('@aws-sdk/client-cloudwatch').DescribeAlarmsOutput}
+ */
+function metricMathAlarm(...queries) {
+  return { MetricAlarms: [{ Metrics: queries }] };
+}
+
+/**
+ * @param {String} id
+ * @param {String} namespace
+ * @param {String} metricName
+ * @param {Object.<string, string>} dimensions
+ * @returns {import('@aws-sdk/client-cloudwatch').MetricDataQuery}
+ */
+function metricQuery(id, namespace, metricName, dimensions) {
+  return {
+    Id: id,
+    MetricStat: {
+      Metric: {
+        Namespace: namespace,
+        MetricName: metricName,
+        Dimensions: Object.entries(dimensions).map(([Name, Value]) => ({
+          Name,
+          Value,
+        })),
+      },
+      Period: 60,
+      Stat: "Sum",
+    },
+  };
+}
+
+const CLOUDWATCH = /** @type {any} */ ({
+  async send() {
+    return { MetricDataResults: [{ Id: "m1", Values: [] }] };
+  },
+});
+
+describe("resource context", () => {
+  afterEach(() => {
+    accounts.client = originalClient;
+  });
+
+  it("describes each resource once", async () => {
+    const clients = [];
+
+    mockClients((Client, account, region) => {
+      clients.push({ Client, account, region });
+
+      return {
+        async send() {
+          return { QueueUrl: "https://example.com/feeder", Attributes: {} };
+        },
+      };
+    });
+
+    const lines = await resourceLines(
+      EVENT,
+      metricMathAlarm(
+        metricQuery("m1", "AWS/SQS", "NumberOfMessagesSent", {
+          QueueName: "feeder",
+        }),
+        metricQuery("m2", "AWS/SQS", "NumberOfMessagesDeleted", {
+          QueueName: "feeder",
+        }),
+      ),
+      CLOUDWATCH,
+    );
+
+    assert.deepEqual(clients, [
+      { Client: SQSClient, account: "123456789012", region: "us-east-1" },
+    ]);
+    assert.deepEqual(lines, ["*Queue:* 0 visible, 0 in flight, 0 delayed"]);
+  });
+
+  it("skips plugins that fail", async () => {
+    mockClients(() => ({
+      async send() {
+        throw new Error("AccessDenied");
+      },
+    }));
+
+    const lines = await resourceLines(
+      EVENT,
+      metricMathAlarm(
+        metricQuery("m1", "AWS/SQS", "NumberOfMessagesSent", {
+          QueueName: "feeder",
+        }),
+      ),
+      CLOUDWATCH,
+    );
+
+    assert.deepEqual(lines, []);
+  });
+
+  it("has no lines for namespaces without a plugin", async () => {
+    mockClients(() => {
+      throw new Error("No client should be created");
+    });
+
+    const lines = await resourceLines(
+      EVENT,
+      metricMathAlarm(
+        metricQuery("m1", "PRX/Feeder", "Errors", { Service: "api" }),
+      ),
+      CLOUDWATCH,
+    );
+
+    assert.deepEqual(lines, []);
+  });
+});
@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  DescribeTargetGroupsCommand,
+  DescribeTargetHealthCommand,
+} from "@aws-sdk/client-elastic-load-balancing-v2";
+import { contextLines } from "../../../src/alarm-slack-notifications/resources/application-elb.mjs";
+
+const EVENT = /** @type {any} */ ({
+  account: "123456789012",
+  region: "us-east-1",
+});
+
+const ARN_PREFIX = "arn:aws:elasticloadbalancing:us-east-1:123456789012";
+
+/**
+ * Returns a mock ELB client with targets in the given states for each target
+ * group ARN
+ * @param {Object.<string, string[]>} targetGroups
+ * @returns {{ send: (command: any) => Promise<Object>, commands: any[] }}
+ */
+function mockElb(targetGroups) {
+  const commands = [];
+
+  return {
+    commands,
+    async send(command) {
+      commands.push(command);
+
+      if (command instanceof DescribeTargetGroupsCommand) {
+        return {
+          TargetGroups: Object.keys(targetGroups).map((arn) => ({
+            TargetGroupArn: arn,
+          })),
+        };
+      }
+
+      if (command instanceof DescribeTargetHealthCommand) {
+        return {
+          TargetHealthDescriptions: targetGroups[
+            command.input.TargetGroupArn
+          ].map((State) => ({ TargetHealth: { State } })),
+        };
+      }
+
+      throw new Error(`Unexpected ${command.constructor.name}`);
+    },
+  };
+}
+
+describe("application-elb resource context", () => {
+  it("uses the target group from the metric's dimensions", async () => {
+    const arn = `${ARN_PREFIX}:targetgroup/feeder-tg/1234567890abcdef`;
+    const elb = mockElb({ [arn]: ["healthy", "healthy", "unhealthy"] });
+
+    const lines = await contextLines(
+      EVENT,
+      {
+        TargetGroup: "targetgroup/feeder-tg/1234567890abcdef",
+        LoadBalancer: "app/feeder-alb/fedcba0987654321",
+      },
+      /** @type {any} */ (elb),
+    );
+
+    assert.deepEqual(lines, ["*Targets:* 2 healthy, 1 unhealthy"]);
+    assert.ok(
+      elb.commands.every((c) => !(c instanceof DescribeTargetGroupsCommand)),
+    );
+  });
+
+  it("resolves the target groups of a load balancer", async () => {
+    const web = `${ARN_PREFIX}:targetgroup/feeder-web/1111111111111111`;
+    const api = `${ARN_PREFIX}:targetgroup/feeder-api/2222222222222222`;
+    const elb = mockElb({ [web]: ["healthy"], [api]: ["draining"] });
+
+    const lines = await contextLines(
+      EVENT,
+      { LoadBalancer: "app/feeder-alb/fedcba0987654321" },
+      /** @type {any} */ (elb),
+    );
+
+    assert.equal(
+      elb.commands[0].input.LoadBalancerArn,
+      `${ARN_PREFIX}:loadbalancer/app/feeder-alb/fedcba0987654321`,
+    );
+    assert.deepEqual(lines, [
+      "*Targets (feeder-web):* 1 healthy",
+      "*Targets (feeder-api):* 1 draining",
+    ]);
+  });
+
+  it("only includes the first few target groups", async () => {
+    const arns = [1, 2, 3, 4, 5].map(
+      (i) => `${ARN_PREFIX}:targetgroup/tg-${i}/${i}`,
+    );
+    const elb = mockElb(
+      Object.fromEntries(arns.map((arn) => [arn, ["healthy"]])),
+    );
+
+    const lines = await contextLines(
+      EVENT,
+      { LoadBalancer: "app/feeder-alb/fedcba0987654321" },
+      /** @type {any} */ (elb),
+    );
+
+    assert.equal(lines.length, 3);
+  });
+
+  it("reports target groups without targets", async () => {
+    const arn = `${ARN_PREFIX}:targetgroup/feeder-tg/1234567890abcdef`;
+    const elb = mockElb({ [arn]: [] });
+
+    const lines = await contextLines(
+      EVENT,
+      { TargetGroup: "targetgroup/feeder-tg/1234567890abcdef" },
+      /** @type {any} */ (elb),
+    );
+
+    assert.deepEqual(lines, ["*Targets:* none registered"]);
+  });
+
+  it("has no lines without a load balancer or target group", async () => {
+    const elb = mockElb({});
+
+    assert.deepEqual(
+      await contextLines(EVENT, {}, /** @type {any} */ (elb)),
+      [],
+    );
+    assert.equal(elb.commands.length, 0);
+  });
+});
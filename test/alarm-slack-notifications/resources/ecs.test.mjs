@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { DescribeServicesCommand } from "@aws-sdk/client-ecs";
+import { contextLines } from "../../../src/alarm-slack-notifications/resources/ecs.mjs";
+
+const EVENT = /** @type {any} */ ({
+  account: "123456789012",
+  region: "us-east-1",
+});
+
+const DIMENSIONS = { ClusterName: "prod", ServiceName: "feeder" };
+
+/**
+ * Returns a mock ECS client that describes the given service
+ * @param {Object} service
+ * @returns {any}
+ */
+function mockEcs(service) {
+  return {
+    async send(command) {
+      assert.ok(command instanceof DescribeServicesCommand);
+      assert.equal(command.input.cluster, "prod");
+      assert.deepEqual(command.input.services, ["feeder"]);
+
+      return { services: service ? [service] : [] };
+    },
+  };
+}
+
+describe("ecs resource context", () => {
+  it("includes the task counts", async () => {
+    const lines = await contextLines(
+      EVENT,
+      DIMENSIONS,
+      mockEcs({
+        runningCount: 4,
+        desiredCount: 4,
+        pendingCount: 0,
+        deployments: [{ status: "PRIMARY", rolloutState: "COMPLETED" }],
+      }),
+    );
+
+    assert.deepEqual(lines, ["*Tasks:* 4 running, 4 desired"]);
+  });
+
+  it("includes pending tasks and a deployment that hasn't completed", async () => {
+    const lines = await contextLines(
+      EVENT,
+      DIMENSIONS,
+      mockEcs({
+        runningCount: 2,
+        desiredCount: 4,
+        pendingCount: 2,
+        deployments: [
+          { status: "ACTIVE", rolloutState: "COMPLETED" },
+          { status: "PRIMARY", rolloutState: "IN_PROGRESS" },
+        ],
+      }),
+    );
+
+    assert.deepEqual(lines, [
+      "*Tasks:* 2 running, 4 desired, 2 pending • deployment in progress",
+    ]);
+  });
+
+  it("has no lines when the service isn't found", async () => {
+    assert.deepEqual(await contextLines(EVENT, DIMENSIONS, mockEcs()), []);
+  });
+
+  it("has no lines without a cluster and service", async () => {
+    assert.deepEqual(
+      await contextLines(EVENT, { ClusterName: "prod" }, mockEcs()),
+      [],
+    );
+  });
+});
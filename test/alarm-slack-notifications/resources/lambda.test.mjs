@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  GetAccountSettingsCommand,
+  GetFunctionConcurrencyCommand,
+} from "@aws-sdk/client-lambda";
+import { contextLines } from "../../../src/alarm-slack-notifications/resources/lambda.mjs";
+
+const EVENT = /** @type {any} */ ({
+  account: "123456789012",
+  region: "us-east-1",
+});
+
+const DIMENSIONS = { FunctionName: "feeder-worker" };
+
+/**
+ * Returns a mock Lambda client for a function with the given reserved
+ * concurrency, if any
+ * @param {Number} [reserved]
+ * @returns {any}
+ */
+function mockLambda(reserved) {
+  return {
+    async send(command) {
+      if (command instanceof GetFunctionConcurrencyCommand) {
+        assert.equal(command.input.FunctionName, "feeder-worker");
+
+        return reserved === undefined
+          ? {}
+          : { ReservedConcurrentExecutions: reserved };
+      }
+
+      if (command instanceof GetAccountSettingsCommand) {
+        return { AccountLimit: { ConcurrentExecutions: 1000 } };
+      }
+
+      throw new Error(`Unexpected ${command.constructor.name}`);
+    },
+  };
+}
+
+/**
+ * Returns a mock CloudWatch client with values for each metric, newest first
+ * @param {Object.<string, Number[]>} values
+ * @returns {any}
+ */
+function mockCloudWatch(values) {
+  return {
+    async send(command) {
+      const { MetricName } =
+        command.input.MetricDataQueries[0].MetricStat.Metric;
+
+      return { MetricDataResults: [{ Id: "m1", Values: values[MetricName] }] };
+    },
+  };
+}
+
+describe("lambda resource context", () => {
+  it("compares peak concurrency to the function's reserved concurrency", async () => {
+    const lines = await contextLines(
+      EVENT,
+      DIMENSIONS,
+      mockLambda(50),
+      mockCloudWatch({ ConcurrentExecutions: [12, 48, 30], Throttles: [0, 3] }),
+    );
+
+    assert.deepEqual(lines, [
+      "*Concurrency:* peak 48 of 50 reserved • 3 throttles in the last 15 minutes",
+    ]);
+  });
+
+  it("compares peak concurrency to the account limit without a reservation", async () => {
+    const lines = await contextLines(
+      EVENT,
+      DIMENSIONS,
+      mockLambda(),
+      mockCloudWatch({ ConcurrentExecutions: [7], Throttles: [1] }),
+    );
+
+    assert.deepEqual(lines, [
+      "*Concurrency:* peak 7 of 1000 (account limit) • 1 throttle in the last 15 minutes",
+    ]);
+  });
+
+  it("treats a reservation of zero as a limit", async () => {
+    const lines = await contextLines(
+      EVENT,
+      DIMENSIONS,
+      mockLambda(0),
+      mockCloudWatch({ ConcurrentExecutions: [], Throttles: [] }),
+    );
+
+    assert.deepEqual(lines, [
+      "*Concurrency:* peak 0 of 0 reserved • 0 throttles in the last 15 minutes",
+    ]);
+  });
+
+  it("has no lines without a function name", async () => {
+    assert.deepEqual(
+      await contextLines(EVENT, {}, mockLambda(), mockCloudWatch({})),
+      [],
+    );
+  });
+});
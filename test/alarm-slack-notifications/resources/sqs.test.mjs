@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  GetQueueAttributesCommand,
+  GetQueueUrlCommand,
+} from "@aws-sdk/client-sqs";
+import { contextLines } from "../../../src/alarm-slack-notifications/resources/sqs.mjs";
+
+const EVENT = /** @type {any} */ ({
+  account: "123456789012",
+  region: "us-east-1",
+});
+
+const QUEUE_URL = "https://sqs.us-east-1.amazonaws.com/123456789012/feeder";
+
+const mockSqs = /** @type {any} */ ({
+  async send(command) {
+    if (command instanceof GetQueueUrlCommand) {
+      return { QueueUrl: QUEUE_URL };
+    }
+
+    if (command instanceof GetQueueAttributesCommand) {
+      assert.equal(command.input.QueueUrl, QUEUE_URL);
+
+      return {
+        Attributes: {
+          ApproximateNumberOfMessages: "12",
+          ApproximateNumberOfMessagesNotVisible: "3",
+        },
+      };
+    }
+
+    throw new Error(`Unexpected ${command.constructor.name}`);
+  },
+});
+
+/**
+ * Returns a mock CloudWatch client whose metric data has the given values,
+ * newest first
+ * @param {Number[]} values
+ * @returns {any}
+ */
+function mockCloudWatch(values) {
+  return {
+    async send(command) {
+      assert.equal(
+        command.input.MetricDataQueries[0].MetricStat.Metric.MetricName,
+        "ApproximateAgeOfOldestMessage",
+      );
+
+      return { MetricDataResults: [{ Id: "m1", Values: values }] };
+    },
+  };
+}
+
+/**
+ * @param {Number} seconds
+ * @returns {Promise<String>}
+ */
+async function oldest(seconds) {
+  const [line] = await contextLines(
+    EVENT,
+    { QueueName: "feeder" },
+    mockSqs,
+    mockCloudWatch([seconds, 5]),
+  );
+
+  return line.split(" • ")[1];
+}
+
+describe("sqs resource context", () => {
+  it("includes the queue depth and the age of the oldest message", async () => {
+    const lines = await contextLines(
+      EVENT,
+      { QueueName: "feeder" },
+      mockSqs,
+      mockCloudWatch([42]),
+    );
+
+    assert.deepEqual(lines, [
+      "*Queue:* 12 visible, 3 in flight, 0 delayed • oldest message 42 seconds old",
+    ]);
+  });
+
+  it("formats the age of the oldest message in the largest unit", async () => {
+    assert.equal(await oldest(59), "oldest message 59 seconds old");
+    assert.equal(await oldest(90), "oldest message 2 minutes old");
+    assert.equal(await oldest(5400), "oldest message 2 hours old");
+    assert.equal(await oldest(3 * 86400), "oldest message 3 days old");
+  });
+
+  it("leaves out the age when there are no recent datapoints", async () => {
+    const lines = await contextLines(
+      EVENT,
+      { QueueName: "feeder" },
+      mockSqs,
+      mockCloudWatch([]),
+    );
+
+    assert.deepEqual(lines, ["*Queue:* 12 visible, 3 in flight, 0 delayed"]);
+  });
+
+  it("has no lines without a queue name", async () => {
+    assert.deepEqual(
+      await contextLines(EVENT, {}, mockSqs, mockCloudWatch([])),
+      [],
+    );
+  });
+});
@@ -0,0 +1,352 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import {
+  explain,
+  owner,
+  route,
+  severity,
+} from "../../src/alarm-slack-notifications/routing.mjs";
+
+/**
+ * @param {Object} [props]
+ * @returns {import('../../src/alarm-slack-notifications/routing.mjs').RoutingSubject}
+ */
+function subject(props = {}) {
+  return {
+    source: "notifications",
+    alarmName: "ERROR [Feeder] Too many 5XX",
+    account: "123456789012",
+    region: "us-east-1",
+    namespace: "AWS/ApplicationELB",
+    tags: {},
+    ...props,
+  };
+}
+
+/** @type {import('../../src/alarm-slack-notifications/routing.mjs').RoutingDocument} */
+const DOCUMENT = {
+  rules: [
+    {
+      name: "Dovetail in us-west-2",
+      match: { alarmName: "\\[Dovetail\\]", region: ["us-west-2"] },
+      destinations: [{ channel: "#dovetail-west" }],
+    },
+    {
+      name: "Tagged fatal",
+      match: { severity: ["FATAL"], tags: { "prx:ops:pager": true } },
+      destinations: [
+        { channel: "#ops-fatal" },
+        { type: "pagerduty", routingKey: "abc" },
+      ],
+    },
+    {
+      name: "Lambda staging",
+      match: {
+        namespace: ["AWS/Lambda"],
+        tags: { "prx:ops:environment": ["Staging", "Development"] },
+      },
+      destinations: [{ channel: "#ops-staging" }],
+    },
+    {
+      name: "Summaries",
+      match: { kind: ["maintenance-summary"] },
+      destinations: [{ channel: "#ops-maintenance" }],
+    },
+    {
+      name: "Critical",
+      match: { severity: ["CRITICAL"] },
+      destinations: [
+        { channel: "#ops-critical" },
+        { type: "teams", webhookUrl: "https://example.com/teams" },
+        { type: "webhook", url: "https://example.com/hook" },
+      ],
+    },
+    {
+      name: "Errors",
+      match: { severity: ["ERROR"] },
+      destinations: [{ channel: "#ops-error" }],
+    },
+  ],
+  defaultDestinations: [{ channel: "#ops-default" }],
+};
+
+describe("routing", () => {
+  beforeEach(() => {
+    delete process.env.ALARM_ROUTING_RULES;
+  });
+
+  describe("severity", () => {
+    it("comes from the prefix of the alarm name", () => {
+      assert.equal(severity("FATAL [Feeder] Down"), "FATAL");
+      assert.equal(severity("MINOR [Feeder] Slow"), "MINOR");
+      assert.equal(severity("[Feeder] FATAL"), undefined);
+    });
+  });
+
+  describe("rule matching", () => {
+    it("uses the first rule whose conditions all match", () => {
+      const result = route(
+        subject({
+          alarmName: "ERROR [Dovetail] Too many 5XX",
+          region: "us-west-2",
+        }),
+        DOCUMENT,
+      );
+
+      assert.equal(result.rule.name, "Dovetail in us-west-2");
+      assert.deepEqual(result.destinations, [{ channel: "#dovetail-west" }]);
+    });
+
+    it("skips rules with any condition that doesn't match", () => {
+      const result = route(
+        subject({ alarmName: "ERROR [Dovetail] Too many 5XX" }),
+        DOCUMENT,
+      );
+
+      assert.equal(result.rule.name, "Errors");
+    });
+
+    it("matches tags that are present with any value", () => {
+      const tagged = route(
+        subject({
+          alarmName: "FATAL [Feeder] Down",
+          tags: { "prx:ops:pager": "yes" },
+        }),
+        DOCUMENT,
+      );
+      const untagged = route(
+        subject({ alarmName: "FATAL [Feeder] Down" }),
+        DOCUMENT,
+      );
+
+      assert.equal(tagged.rule.name, "Tagged fatal");
+      assert.equal(untagged.rule, undefined);
+    });
+
+    it("matches tags against a list of values", () => {
+      const staging = route(
+        subject({
+          alarmName: "WARN [Feeder] Slow",
+          namespace: "AWS/Lambda",
+          tags: { "prx:ops:environment": "Staging" },
+        }),
+        DOCUMENT,
+      );
+      const production = route(
+        subject({
+          alarmName: "WARN [Feeder] Slow",
+          namespace: "AWS/Lambda",
+          tags: { "prx:ops:environment": "Production" },
+        }),
+        DOCUMENT,
+      );
+
+      assert.equal(staging.rule.name, "Lambda staging");
+      assert.equal(production.rule, undefined);
+    });
+
+    it("uses the default destinations when no rule matches", () => {
+      const result = route(subject({ alarmName: "INFO Deployed" }), DOCUMENT);
+
+      assert.equal(result.rule, undefined);
+      assert.deepEqual(result.destinations, [{ channel: "#ops-default" }]);
+    });
+
+    it("matches messages that aren't about an alarm by kind", () => {
+      const result = route(
+        {
+          source: "reminders",
+          kind: "maintenance-summary",
+          window: "Database upgrade",
+          alarmName: undefined,
+          account: undefined,
+          region: undefined,
+        },
+        DOCUMENT,
+      );
+
+      assert.equal(result.rule.name, "Summaries");
+    });
+
+    it("doesn't match alarm name conditions without an alarm name", () => {
+      const result = route(
+        {
+          source: "reminders",
+          kind: "maintenance-summary",
+          alarmName: undefined,
+          account: undefined,
+          region: "us-west-2",
+        },
+        { ...DOCUMENT, rules: DOCUMENT.rules.slice(0, 1) },
+      );
+
+      assert.equal(result.rule, undefined);
+    });
+
+    it("reads the rules document from the environment", () => {
+      process.env.ALARM_ROUTING_RULES = JSON.stringify(DOCUMENT);
+
+      const result = route(subject());
+
+      assert.equal(result.rule.name, "Errors");
+    });
+  });
+
+  describe("team overrides", () => {
+    it("sends to the team's channel instead of the rule's chat destinations", () => {
+      const result = route(
+        subject({
+          alarmName: "ERROR [Feeder] Too many 5XX",
+          tags: {
+            "prx:ops:team": "Feeder",
+            "prx:ops:slack-channel": "#feeder",
+          },
+        }),
+        DOCUMENT,
+      );
+
+      assert.equal(result.rule.name, "Errors");
+      assert.equal(result.owner.team, "Feeder");
+      assert.deepEqual(result.destinations, [
+        { type: "slack", channel: "#feeder" },
+      ]);
+    });
+
+    it("keeps paging destinations from the matching rule", () => {
+      const result = route(
+        subject({
+          alarmName: "FATAL [Feeder] Down",
+          tags: {
+            "prx:ops:pager": "yes",
+            "prx:ops:slack-channel": "#feeder",
+          },
+        }),
+        DOCUMENT,
+      );
+
+      assert.deepEqual(result.destinations, [
+        { type: "slack", channel: "#feeder" },
+        { type: "pagerduty", routingKey: "abc" },
+      ]);
+    });
+
+    it("keeps Teams and webhook destinations from the matching rule", () => {
+      const result = route(
+        subject({
+          alarmName: "CRITICAL [Feeder] Down",
+          tags: { "prx:ops:slack-channel": "#feeder" },
+        }),
+        DOCUMENT,
+      );
+
+      assert.deepEqual(result.destinations, [
+        { type: "slack", channel: "#feeder" },
+        { type: "teams", webhookUrl: "https://example.com/teams" },
+        { type: "webhook", url: "https://example.com/hook" },
+      ]);
+    });
+
+    it("applies to alarms that no rule matches", () => {
+      const result = route(
+        subject({
+          alarmName: "INFO Deployed",
+          tags: { "prx:ops:slack-channel": "#feeder" },
+        }),
+        DOCUMENT,
+      );
+
+      assert.deepEqual(result.destinations, [
+        { type: "slack", channel: "#feeder" },
+      ]);
+    });
+
+    it("doesn't change destinations for a team without a channel", () => {
+      const result = route(
+        subject({
+          tags: { "prx:ops:team": "Feeder", "prx:ops:slack-user-group": "S1" },
+        }),
+        DOCUMENT,
+      );
+
+      assert.deepEqual(result.owner, {
+        team: "Feeder",
+        channel: undefined,
+        userGroup: "S1",
+      });
+      assert.deepEqual(result.destinations, [{ channel: "#ops-error" }]);
+    });
+
+    it("has no owner for an untagged alarm", () => {
+      assert.equal(owner({}), undefined);
+      assert.equal(owner(undefined), undefined);
+    });
+  });
+
+  describe("default rules", () => {
+    it("sends reminders and reports to their own channels", () => {
+      const reminders = route(subject({ source: "reminders" }));
+      const report = route(subject({ source: "report" }));
+
+      assert.equal(reminders.rule.name, "Long-running alarm reminders");
+      assert.equal(report.rule.name, "Alarm reports");
+    });
+
+    it("routes notifications by severity", () => {
+      const names = ["FATAL", "CRITICAL", "ERROR", "MAJOR", "WARN", "MINOR"]
+        .map((s) => subject({ alarmName: `${s} [Feeder] Something` }))
+        .map((s) => route(s).rule.name);
+
+      assert.deepEqual(names, [
+        "Fatal alarms",
+        "Fatal alarms",
+        "Error alarms",
+        "Error alarms",
+        "Warning alarms",
+        "Warning alarms",
+      ]);
+    });
+
+    it("doesn't page for fatal alarms unless configured to", () => {
+      const result = route(subject({ alarmName: "FATAL [Feeder] Down" }));
+
+      assert.ok(result.destinations.every((d) => d.type !== "pagerduty"));
+    });
+
+    it("sends maintenance summaries wherever reminders go", () => {
+      const result = route({
+        source: "reminders",
+        kind: "maintenance-summary",
+        alarmName: undefined,
+        account: undefined,
+        region: undefined,
+      });
+
+      assert.equal(result.rule.name, "Long-running alarm reminders");
+    });
+
+    it("uses the default destinations for alarms without a severity", () => {
+      const result = route(subject({ alarmName: "Feeder is slow" }));
+
+      assert.equal(result.rule, undefined);
+      assert.deepEqual(result.destinations, [
+        { type: "slack", channel: "#sandbox2" },
+      ]);
+    });
+  });
+
+  describe("explain", () => {
+    it("lists why each rule did or did not match", () => {
+      const lines = explain(
+        subject({ alarmName: "ERROR [Dovetail] Too many 5XX" }),
+        DOCUMENT,
+      );
+
+      assert.match(lines[0], /^#1 Dovetail in us-west-2: no match \(region/);
+      assert.equal(lines[5], "#6 Errors: MATCHED");
+      assert.equal(
+        lines.at(-1),
+        `Destinations: ${JSON.stringify([{ channel: "#ops-error" }])}`,
+      );
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import { SecretsManagerClient } from "@aws-sdk/client-secrets-manager";
+import { loadSecrets } from "../../src/alarm-slack-notifications/secrets.mjs";
+
+const KEYS = [
+  "NOTIFICATION_SECRETS_ARN",
+  "SLACK_ACCESS_TOKEN",
+  "PAGERDUTY_ROUTING_KEY",
+  "WEBHOOK_SIGNING_SECRET",
+];
+
+describe("secrets", () => {
+  beforeEach(() => {
+    for (const key of KEYS) {
+      delete process.env[key];
+    }
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+
+    for (const key of KEYS) {
+      delete process.env[key];
+    }
+  });
+
+  it("does nothing without a secret ARN", async () => {
+    const send = mock.method(SecretsManagerClient.prototype, "send");
+
+    await loadSecrets();
+
+    assert.equal(send.mock.callCount(), 0);
+  });
+
+  it("retries after a failed load, then reads the secret only once", async () => {
+    process.env.NOTIFICATION_SECRETS_ARN = "arn:secret";
+    process.env.WEBHOOK_SIGNING_SECRET = "local";
+
+    const send = mock.method(
+      SecretsManagerClient.prototype,
+      "send",
+      async () => {
+        throw new Error("AccessDenied");
+      },
+    );
+
+    await assert.rejects(loadSecrets(), /AccessDenied/);
+
+    send.mock.mockImplementation(async () => ({
+      SecretString: JSON.stringify({
+        SLACK_ACCESS_TOKEN: "xoxb-token",
+        PAGERDUTY_ROUTING_KEY: "",
+        WEBHOOK_SIGNING_SECRET: "stored",
+      }),
+    }));
+
+    await loadSecrets();
+    await loadSecrets();
+
+    assert.equal(send.mock.callCount(), 2);
+    assert.deepEqual(send.mock.calls[1].arguments[0].input, {
+      SecretId: "arn:secret",
+    });
+    assert.equal(process.env.SLACK_ACCESS_TOKEN, "xoxb-token");
+    assert.equal(process.env.PAGERDUTY_ROUTING_KEY, undefined);
+    assert.equal(process.env.WEBHOOK_SIGNING_SECRET, "local");
+  });
+});
@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  SIGNATURE_HEADER,
+  sign,
+  TIMESTAMP_HEADER,
+  verify,
+} from "../../src/alarm-slack-notifications/webhook-signature.mjs";
+
+const BODY = JSON.stringify({ version: 1, id: "abc" });
+const SECRET = "s3cret";
+const SIGNED_AT = new Date("2026-01-01T00:00:00Z");
+
+describe("webhook signature", () => {
+  it("verifies a body it signed", () => {
+    const headers = sign(BODY, SECRET, SIGNED_AT);
+
+    assert.equal(headers[TIMESTAMP_HEADER], "1767225600");
+    assert.match(headers[SIGNATURE_HEADER], /^v1=[0-9a-f]{64}$/);
+    assert.equal(verify(BODY, headers, SECRET, { now: SIGNED_AT }), true);
+  });
+
+  it("matches header names case-insensitively, as Node.js lowercases them", () => {
+    const headers = Object.fromEntries(
+      Object.entries(sign(BODY, SECRET, SIGNED_AT)).map(([k, v]) => [
+        k.toLowerCase(),
+        [v],
+      ]),
+    );
+
+    assert.equal(verify(BODY, headers, SECRET, { now: SIGNED_AT }), true);
+  });
+
+  it("rejects a tampered body", () => {
+    const headers = sign(BODY, SECRET, SIGNED_AT);
+    const tampered = BODY.replace("abc", "abd");
+
+    assert.equal(verify(tampered, headers, SECRET, { now: SIGNED_AT }), false);
+  });
+
+  it("rejects a body signed with a different secret", () => {
+    const headers = sign(BODY, "other", SIGNED_AT);
+
+    assert.equal(verify(BODY, headers, SECRET, { now: SIGNED_AT }), false);
+  });
+
+  it("rejects a signature from too long ago", () => {
+    const headers = sign(BODY, SECRET, SIGNED_AT);
+    const later = new Date(+SIGNED_AT + 301 * 1000);
+
+    assert.equal(verify(BODY, headers, SECRET, { now: later }), false);
+    assert.equal(
+      verify(BODY, headers, SECRET, { now: later, toleranceSeconds: 600 }),
+      true,
+    );
+  });
+
+  it("rejects a request without the headers", () => {
+    const headers = sign(BODY, SECRET, SIGNED_AT);
+
+    assert.equal(
+      verify(BODY, { [SIGNATURE_HEADER]: headers[SIGNATURE_HEADER] }, SECRET, {
+        now: SIGNED_AT,
+      }),
+      false,
+    );
+    assert.equal(verify(BODY, {}, SECRET, { now: SIGNED_AT }), false);
+  });
+});
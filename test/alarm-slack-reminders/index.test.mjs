@@ -0,0 +1,123 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+import { CloudWatchClient } from "@aws-sdk/client-cloudwatch";
+import { EventBridgeClient } from "@aws-sdk/client-eventbridge";
+import { STSClient } from "@aws-sdk/client-sts";
+import { handler } from "../../src/alarm-slack-reminders/index.mjs";
+import { stateStore } from "../../src/alarm-slack-reminders/state-store.mjs";
+
+const ALARM_NAME = "WARN [Feeder] Queue depth";
+const ENV = {
+  SEARCH_ACCOUNTS: "123456789012",
+  SEARCH_REGIONS: "us-east-1",
+  CHECK_INTERVAL_MINUTES: "15",
+  ALARM_ROUTING_RULES: JSON.stringify({
+    rules: [
+      {
+        name: "Feeder",
+        match: { alarmName: "\\[Feeder\\]" },
+        destinations: [{ channel: "#ops-feeder" }, { channel: "#ops-warn" }],
+      },
+    ],
+  }),
+};
+
+/**
+ * @param {Number} minutes
+ * @returns {Date}
+ */
+function minutesAgo(minutes) {
+  return new Date(Date.now() - minutes * 60 * 1000);
+}
+
+describe("reminders handler", () => {
+  afterEach(() => {
+    mock.restoreAll();
+
+    for (const key of Object.keys(ENV)) {
+      delete process.env[key];
+    }
+  });
+
+  it("threads stabilized notices under the message that said the alarm was flapping", async () => {
+    Object.assign(process.env, ENV);
+
+    await stateStore().put(
+      "reminders:last-check:stabilized-notices",
+      { time: minutesAgo(15).toISOString() },
+      3600,
+    );
+    await stateStore().put(
+      `flap:123456789012:us-east-1:${ALARM_NAME}`,
+      {
+        messages: [
+          {
+            destination: "#ops-feeder",
+            channel: "C0FEEDER",
+            ts: "1767268800.000200",
+            attachments: [],
+            reply: true,
+            threadTs: "1767268800.000100",
+          },
+        ],
+      },
+      3600,
+    );
+
+    mock.method(STSClient.prototype, "send", async () => ({
+      Credentials: {
+        AccessKeyId: "a",
+        SecretAccessKey: "b",
+        SessionToken: "c",
+        Expiration: new Date(Date.now() + 3600000),
+      },
+    }));
+    mock.method(CloudWatchClient.prototype, "send", async (command) => {
+      switch (command.constructor.name) {
+        case "DescribeAlarmHistoryCommand":
+          // Flapping 15 minutes ago, but not anymore
+          return {
+            AlarmHistoryItems: [70, 65, 60, 55].map((m) => ({
+              AlarmName: ALARM_NAME,
+              HistorySummary: "Alarm updated from OK to ALARM",
+              Timestamp: minutesAgo(m),
+            })),
+          };
+        case "DescribeAlarmsCommand":
+          return {
+            MetricAlarms: [
+              {
+                AlarmName: ALARM_NAME,
+                AlarmArn: `arn:aws:cloudwatch:us-east-1:123456789012:alarm:${ALARM_NAME}`,
+                StateValue: "OK",
+              },
+            ],
+          };
+        default:
+          return { Tags: [] };
+      }
+    });
+    const putEvents = mock.method(
+      EventBridgeClient.prototype,
+      "send",
+      async () => ({}),
+    );
+
+    await handler({ frequentChecks: true });
+
+    assert.equal(putEvents.mock.callCount(), 1);
+
+    /** @type {any} */
+    const command = putEvents.mock.calls[0].arguments[0];
+    const details = command.input.Entries.map((e) => JSON.parse(e.Detail));
+
+    // The channel with a flapping message gets a reply in its thread, and
+    // the other gets a new message
+    assert.equal(details.length, 2);
+    assert.equal(details[0].channel, "C0FEEDER");
+    assert.equal(details[0].thread_ts, "1767268800.000100");
+    assert.equal(details[1].channel, "#ops-warn");
+    assert.equal(details[1].thread_ts, undefined);
+    assert.match(details[0].attachments[0].fallback, /^Stabilized/);
+  });
+});
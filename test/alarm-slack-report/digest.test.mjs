@@ -0,0 +1,147 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { afterEach, describe, it, mock } from "node:test";
+import { SESv2Client } from "@aws-sdk/client-sesv2";
+import {
+  digestContent,
+  mimeMessage,
+  sendDigest,
+} from "../../src/alarm-slack-report/digest.mjs";
+
+const KEYS = [
+  "DIGEST_EMAIL_FILE",
+  "DIGEST_EMAIL_RECIPIENTS",
+  "DIGEST_EMAIL_SENDER",
+];
+
+/**
+ * @param {String} name
+ * @param {String} account
+ * @param {Number} count
+ * @returns {import('../../src/alarm-slack-report/digest.mjs').AlarmReport}
+ */
+function report(name, account, count) {
+  return {
+    Alarm: {
+      AlarmName: name,
+      AlarmArn: `arn:aws:cloudwatch:us-east-1:${account}:alarm:${name}`,
+      StateValue: "ALARM",
+    },
+    Count: count,
+  };
+}
+
+/**
+ * Returns the decoded bodies of a multipart MIME message, by content type
+ * @param {String} raw
+ * @returns {Object.<string, string>}
+ */
+function mimeParts(raw) {
+  const boundary = raw.match(/boundary="([^"]+)"/)[1];
+
+  return Object.fromEntries(
+    raw
+      .split(`--${boundary}`)
+      .slice(1, -1)
+      .map((part) => {
+        const [headers, body] = part.split("\r\n\r\n");
+        const type = headers.match(/Content-Type: ([^;]+)/)[1];
+        return [type, Buffer.from(body, "base64").toString("utf-8")];
+      }),
+  );
+}
+
+describe("email digest", () => {
+  afterEach(() => {
+    mock.restoreAll();
+
+    for (const key of KEYS) {
+      delete process.env[key];
+    }
+  });
+
+  it("groups alarms by account and region, most active first", () => {
+    const content = digestContent(
+      [
+        report("WARN [Feeder] Slow", "222222222222", 1),
+        report("ERROR [Dovetail] <5XX> & more", "111111111111", 2),
+        report("FATAL [Dovetail] Down", "111111111111", 5),
+      ],
+      24,
+    );
+
+    assert.equal(
+      content.subject,
+      "24-Hour Alarm Report: 3 alarms, 8 state changes to ALARM",
+    );
+    assert.match(content.html, /&lt;5XX&gt; &amp; more/);
+    assert.ok(
+      content.text.indexOf("FATAL [Dovetail]") <
+        content.text.indexOf("ERROR [Dovetail]"),
+    );
+    assert.ok(
+      content.text.indexOf("111111111111") <
+        content.text.indexOf("222222222222"),
+    );
+  });
+
+  it("renders a multipart message with both bodies", () => {
+    const content = {
+      subject: "24-Hour Alarm Report: 1 alarm · 1 state change",
+      text: "Plain",
+      html: `<p>${"x".repeat(200)}</p>`,
+    };
+
+    const raw = mimeMessage(
+      content,
+      "alarms@example.com",
+      ["a@example.com", "b@example.com"],
+      new Date("2026-01-01T12:00:00Z"),
+    );
+
+    assert.match(raw, /^From: alarms@example.com\r\n/);
+    assert.match(raw, /\r\nTo: a@example.com, b@example.com\r\n/);
+    assert.match(raw, /\r\nDate: Thu, 01 Jan 2026 12:00:00 GMT\r\n/);
+    assert.match(raw, /\r\nSubject: =\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=\r\n/);
+    assert.ok(raw.split("\r\n").every((line) => line.length <= 998));
+
+    assert.deepEqual(mimeParts(raw), {
+      "text/plain": "Plain",
+      "text/html": content.html,
+    });
+  });
+
+  it("writes the message to DIGEST_EMAIL_FILE instead of sending it", async () => {
+    const dir = await mkdtemp(join(tmpdir(), "digest-"));
+    process.env.DIGEST_EMAIL_FILE = join(dir, "digest.eml");
+    process.env.DIGEST_EMAIL_RECIPIENTS = "ops@example.com";
+    process.env.DIGEST_EMAIL_SENDER = "alarms@example.com";
+
+    const send = mock.method(SESv2Client.prototype, "send");
+    mock.method(console, "log", () => {});
+
+    try {
+      await sendDigest([report("WARN [Feeder] Slow", "222222222222", 1)], 24);
+
+      const raw = await readFile(process.env.DIGEST_EMAIL_FILE, "utf-8");
+
+      assert.equal(send.mock.callCount(), 0);
+      assert.match(raw, /\r\nTo: ops@example.com\r\n/);
+      assert.match(mimeParts(raw)["text/plain"], /WARN \[Feeder\] Slow/);
+    } finally {
+      await rm(dir, { recursive: true });
+    }
+  });
+
+  it("does nothing without recipients", async () => {
+    process.env.DIGEST_EMAIL_SENDER = "alarms@example.com";
+
+    const send = mock.method(SESv2Client.prototype, "send");
+
+    await sendDigest([report("WARN [Feeder] Slow", "222222222222", 1)], 24);
+
+    assert.equal(send.mock.callCount(), 0);
+  });
+});
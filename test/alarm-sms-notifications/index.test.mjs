@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { afterEach, before, beforeEach, describe, it, mock } from "node:test";
+import { CloudWatchClient } from "@aws-sdk/client-cloudwatch";
+import { SNSClient } from "@aws-sdk/client-sns";
+
+/** @type {import('../../src/alarm-sms-notifications/index.mjs').handler} */
+let handler;
+
+/**
+ * @param {String} id
+ * @returns {import('../../src/alarm-sms-notifications/index.mjs').EventBridgeCloudWatchAlarmsEvent}
+ */
+function alarmEvent(id) {
+  return /** @type {any} */ ({
+    id,
+    account: "123456789012",
+    region: "us-east-1",
+    time: "2026-01-01T12:00:00Z",
+    resources: [
+      "arn:aws:cloudwatch:us-east-1:123456789012:alarm:FATAL [Feeder] Down",
+    ],
+    detail: {
+      alarmName: "FATAL [Feeder] Down",
+      state: {
+        value: "ALARM",
+        reason: "Threshold Crossed",
+        timestamp: "2026-01-01T12:00:00.000+0000",
+      },
+      previousState: {
+        value: "OK",
+        reason: "Threshold Crossed",
+        timestamp: "2026-01-01T11:00:00.000+0000",
+      },
+      configuration: { description: "" },
+    },
+  });
+}
+
+describe("sms notifications", () => {
+  before(async () => {
+    process.env.FATAL_SMS_CONTACT_LIST_SNS_TOPIC_ARN =
+      "arn:aws:sns:us-east-1:123456789012:fatal-sms";
+
+    // The handler creates its SNS client when it's loaded
+    ({ handler } = await import("../../src/alarm-sms-notifications/index.mjs"));
+  });
+
+  beforeEach(() => {
+    // The default suppression rules look up the alarm's tags
+    mock.method(CloudWatchClient.prototype, "send", async () => ({ Tags: [] }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it("sends a duplicate event once", async () => {
+    const send = mock.method(SNSClient.prototype, "send", async () => ({}));
+
+    await handler(alarmEvent("duplicate"));
+    await handler(alarmEvent("duplicate"));
+
+    assert.equal(send.mock.callCount(), 1);
+  });
+
+  it("releases the claim when the message can't be sent", async () => {
+    const send = mock.method(SNSClient.prototype, "send", async () => {
+      throw new Error("Throttled");
+    });
+
+    await assert.rejects(handler(alarmEvent("retried")), /Throttled/);
+
+    send.mock.mockImplementation(async () => ({}));
+
+    // The retried invocation sends the message, and any after it are dropped
+    await handler(alarmEvent("retried"));
+    await handler(alarmEvent("retried"));
+
+    assert.equal(send.mock.callCount(), 2);
+  });
+
+  it("sends the message when the alarm's tags can't be looked up", async () => {
+    mock.method(CloudWatchClient.prototype, "send", async () => {
+      throw new Error("AccessDenied");
+    });
+    const send = mock.method(SNSClient.prototype, "send", async () => ({}));
+
+    await handler(alarmEvent("untagged"));
+
+    assert.equal(send.mock.callCount(), 1);
+  });
+});